@@ -0,0 +1,170 @@
+/**
+ * Blood Donation Event Website
+ * Shared translation helpers - loaded by the browser as /i18n.js and
+ * required by the server, so both pick languages and fill in messages the same way
+ * The messages themselves live in /locales/<code>.json, one bundle per language
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    // ============================================
+    // LANGUAGES
+    // ============================================
+
+    /**
+     * Supported languages
+     * code: bundle name and Accept-Language tag, name: shown in the language switcher,
+     * intl: locale used to format numbers and dates (Marathi uses Devanagari digits)
+     */
+    const LOCALES = [
+        { code: 'en', name: 'English', intl: 'en-US' },
+        { code: 'hi', name: 'हिन्दी', intl: 'hi-IN' },
+        { code: 'mr', name: 'मराठी', intl: 'mr-IN' }
+    ];
+
+    // Used when nothing better matches, and for any message a bundle is missing
+    const DEFAULT_LOCALE = 'en';
+
+    const CODES = LOCALES.map(locale => locale.code);
+
+    /**
+     * Normalises a language code to a supported one
+     * @param {string} code - e.g. "hi", "hi-IN" or "HI"
+     * @returns {string|null} Supported code, or null
+     */
+    function supportedLocale(code) {
+        const primary = String(code || '').trim().toLowerCase().split('-')[0];
+        return CODES.includes(primary) ? primary : null;
+    }
+
+    /**
+     * Picks the best supported language from an Accept-Language header
+     * @param {string} header - e.g. "mr-IN,mr;q=0.9,en;q=0.8"
+     * @returns {string} Supported code (DEFAULT_LOCALE when nothing matches)
+     */
+    function matchLocale(header) {
+        const ranges = String(header || '')
+            .split(',')
+            .map((part, index) => {
+                const [tag, ...params] = part.trim().split(';');
+                const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+                return { tag, q: q ? parseFloat(q.slice(2)) : 1, index };
+            })
+            .filter(range => range.tag && range.q > 0)
+            // Highest quality first; equal ones keep the order they were sent in
+            .sort((a, b) => b.q - a.q || a.index - b.index);
+
+        for (const range of ranges) {
+            const code = supportedLocale(range.tag);
+            if (code) return code;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    /**
+     * Returns the Intl locale a language formats with
+     * @param {string} code - Supported code
+     * @returns {string} e.g. "mr-IN"
+     */
+    function intlLocale(code) {
+        const locale = LOCALES.find(item => item.code === code);
+        return locale ? locale.intl : LOCALES[0].intl;
+    }
+
+    // ============================================
+    // FORMATTING
+    // ============================================
+
+    /**
+     * Formats a number for a language
+     * @param {string} code - Supported code
+     * @param {number} value - Number
+     * @param {object} options - Intl.NumberFormat options
+     * @returns {string} e.g. "१,२३४" in Marathi
+     */
+    function formatNumber(code, value, options) {
+        return new Intl.NumberFormat(intlLocale(code), options).format(value);
+    }
+
+    /**
+     * Formats a date for a language
+     * @param {string} code - Supported code
+     * @param {Date|string} value - Date or ISO string
+     * @param {object} options - Intl.DateTimeFormat options (default: medium date)
+     * @returns {string} Formatted date
+     */
+    function formatDate(code, value, options = { dateStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(intlLocale(code), options).format(new Date(value));
+    }
+
+    /**
+     * Fills {placeholders} in a message; numbers and dates are formatted for the language
+     * @param {string} template - e.g. "You must be at least {min} years old"
+     * @param {object} params - Values keyed by placeholder name
+     * @param {string} code - Supported code
+     * @returns {string} Message (unknown placeholders are left as they are)
+     */
+    function interpolate(template, params, code) {
+        if (!params) return template;
+
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            if (typeof value === 'number') return formatNumber(code, value);
+            if (value instanceof Date) return formatDate(code, value);
+            return String(value);
+        });
+    }
+
+    // ============================================
+    // TRANSLATION
+    // ============================================
+
+    /**
+     * Looks up a dotted key in a bundle
+     * @param {object} bundle - Parsed locale bundle
+     * @param {string} key - e.g. "validation.age.min"
+     * @returns {string|undefined} Message template
+     */
+    function lookup(bundle, key) {
+        const value = String(key).split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+        return typeof value === 'string' ? value : undefined;
+    }
+
+    /**
+     * Creates a translate function for one language
+     * Messages missing from its bundle fall back to English, then to the key itself
+     * @param {string} code - Supported code
+     * @param {object} bundles - Parsed bundles keyed by code (at least DEFAULT_LOCALE)
+     * @returns {Function} t(key, params) -> string, with `t.locale` set to the code
+     */
+    function createTranslator(code, bundles) {
+        const locale = supportedLocale(code) || DEFAULT_LOCALE;
+
+        function t(key, params) {
+            const template = lookup(bundles[locale], key);
+            const fallback = template === undefined ? lookup(bundles[DEFAULT_LOCALE], key) : template;
+            return interpolate(fallback === undefined ? key : fallback, params, locale);
+        }
+
+        t.locale = locale;
+        return t;
+    }
+
+    return {
+        LOCALES,
+        DEFAULT_LOCALE,
+        supportedLocale,
+        matchLocale,
+        intlLocale,
+        formatNumber,
+        formatDate,
+        interpolate,
+        createTranslator
+    };
+});
@@ -0,0 +1,185 @@
+/**
+ * Blood Donation Event Website
+ * Offline registration queue - loaded by the registration page and by the
+ * service worker (sw.js), which share one IndexedDB store
+ * Registrations that can't reach the server wait here and are replayed in
+ * order once the connection returns; each carries a client-generated id so
+ * the server registers it only once, however many times it is sent
+ */
+
+(function(root, factory) {
+    root.OfflineQueue = factory(root);
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    const DB_NAME = 'blood-donation-kiosk';
+    const STORE = 'registrations';
+    const ENDPOINT = '/api/donate';
+
+    // Tag the page registers for background sync, and the lock that stops two flushes overlapping
+    const SYNC_TAG = 'registration-queue';
+
+    let dbPromise = null;
+
+    /**
+     * Opens (and on first use creates) the queue database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Runs one request against the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise} The request's result
+     */
+    async function withStore(mode, operation) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = operation(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Queues a registration
+     * @param {object} entry - { id, body, deviceId, kioskToken, locale }; `id` is also sent as the body's clientId,
+     * `kioskToken` (if staff set this device up as a kiosk) lifts it to the kiosk rate limit,
+     * `locale` picks the language of the server's answer
+     * @returns {Promise}
+     */
+    function add(entry) {
+        return withStore('readwrite', store => store.put({
+            ...entry,
+            body: { ...entry.body, clientId: entry.id },
+            queuedAt: Date.now()
+        }));
+    }
+
+    /**
+     * Lists queued registrations, oldest first
+     * @returns {Promise<Array>}
+     */
+    async function all() {
+        const entries = await withStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+    }
+
+    /**
+     * Removes a registration from the queue
+     * @param {string} id - Entry id
+     * @returns {Promise}
+     */
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Counts registrations waiting to sync
+     * @returns {Promise<number>}
+     */
+    function count() {
+        return withStore('readonly', store => store.count());
+    }
+
+    /**
+     * Sends one queued registration
+     * Network errors, timeouts, rate limits and server errors are worth retrying later;
+     * any other answer is final and takes the entry off the queue
+     * @param {object} entry - Queued registration
+     * @returns {Promise<object>} { outcome: 'synced'|'rejected'|'retry', message }
+     */
+    async function send(entry) {
+        let response;
+        try {
+            response = await fetch(ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': entry.id,
+                    'X-Device-Id': entry.deviceId,
+                    ...(entry.kioskToken ? { 'X-Kiosk-Token': entry.kioskToken } : {}),
+                    // Entries queued before the language was recorded get the server's default
+                    ...(entry.locale ? { 'Accept-Language': entry.locale } : {})
+                },
+                body: JSON.stringify(entry.body)
+            });
+        } catch (error) {
+            return { outcome: 'retry', message: error.message };
+        }
+
+        if (response.status === 408 || response.status === 429 || response.status >= 500) {
+            return { outcome: 'retry', message: `Server responded ${response.status}` };
+        }
+
+        const data = await response.json().catch(() => ({}));
+        return {
+            outcome: response.ok ? 'synced' : 'rejected',
+            message: data.message || `Server responded ${response.status}`
+        };
+    }
+
+    /**
+     * Sends queued registrations in order, stopping at the first one that has to wait
+     * @returns {Promise<object>} { synced, rejected: [{ fullName, message }], remaining }
+     */
+    async function flushQueue() {
+        const result = { synced: 0, rejected: [], remaining: 0 };
+        const entries = await all();
+
+        for (let i = 0; i < entries.length; i++) {
+            const { outcome, message } = await send(entries[i]);
+            if (outcome === 'retry') {
+                result.remaining = entries.length - i;
+                break;
+            }
+
+            await remove(entries[i].id);
+            if (outcome === 'synced') {
+                result.synced++;
+            } else {
+                result.rejected.push({ fullName: entries[i].body.fullName, message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Flushes the queue, holding a lock so the page and the service worker don't send the same entry at once
+     * @returns {Promise<object>} See flushQueue; `locked` is true when another flush was already running
+     */
+    function flush() {
+        if (!root.navigator.locks) {
+            return flushQueue();
+        }
+        return root.navigator.locks.request(SYNC_TAG, { ifAvailable: true }, lock => (
+            lock ? flushQueue() : { synced: 0, rejected: [], remaining: 0, locked: true }
+        ));
+    }
+
+    return {
+        SYNC_TAG,
+        add,
+        all,
+        remove,
+        count,
+        flush
+    };
+});
@@ -10,11 +10,121 @@
 const CONFIG = {
     API_BASE_URL: window.location.origin,
     THANK_YOU_DURATION: 10, // seconds
-    STATS_REFRESH_INTERVAL: 5000, // 5 seconds
+    STATS_REFRESH_INTERVAL: 5000, // 5 seconds (polling fallback when the live stream is down)
+    POPUP_DURATION: 10000, // 10 seconds
+    POPUP_GAP: 600, // pause between queued popups
+    SCARCE_SHARE: 0.05, // blood groups under 5% of donors are flagged as scarce
+    GOAL_MILESTONES: [25, 50, 75, 100], // percent of the drive target that gets a celebration
     SLOGAN_INTERVAL: 4000, // 4 seconds
+    SYNC_INTERVAL: 30000, // 30 seconds between attempts to send queued registrations
     COUNT_ANIMATION_DURATION: 2000 // 2 seconds
 };
 
+// ============================================
+// TRANSLATIONS
+// ============================================
+
+// Translate function for the page's language (see loadTranslations); `t.locale` is its code
+let t = I18n.createTranslator(I18n.DEFAULT_LOCALE, {});
+
+// Placeholders any translated element can use, e.g. {lives} from the form settings
+const pageParams = {};
+
+/**
+ * Returns the language picked in the language switcher, or the browser's best supported one
+ * @returns {string} Supported language code
+ */
+function preferredLocale() {
+    return I18n.supportedLocale(localStorage.getItem('locale'))
+        || I18n.matchLocale((navigator.languages || [navigator.language]).join(','));
+}
+
+/**
+ * Loads a language's messages (and English for any it is missing), then translates the page
+ * @param {string} locale - Supported language code
+ */
+async function loadTranslations(locale) {
+    const bundles = {};
+    await Promise.all([...new Set([I18n.DEFAULT_LOCALE, locale])].map(async code => {
+        try {
+            const response = await fetch(`${CONFIG.API_BASE_URL}/locales/${code}.json`);
+            if (response.ok) {
+                bundles[code] = await response.json();
+            }
+        } catch (error) {
+            console.error(`Failed to load ${code} messages:`, error);
+        }
+    }));
+
+    t = I18n.createTranslator(bundles[locale] ? locale : I18n.DEFAULT_LOCALE, bundles);
+    document.documentElement.lang = t.locale;
+    translatePage();
+}
+
+/**
+ * Reads the placeholders for a translated element: the page's, then its own data-i18n-params
+ * @param {HTMLElement} el - Translated element
+ * @returns {object} Placeholder values
+ */
+function elementParams(el) {
+    return { ...pageParams, ...(el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {}) };
+}
+
+/**
+ * Translates the text (data-i18n) and placeholders (data-i18n-placeholder) of marked elements
+ * Messages that didn't load leave the element as it is
+ * @param {ParentNode} root - Where to look (default: the whole page)
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        const text = t(el.dataset.i18n, elementParams(el));
+        if (text !== el.dataset.i18n) el.textContent = text;
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        const text = t(el.dataset.i18nPlaceholder, elementParams(el));
+        if (text !== el.dataset.i18nPlaceholder) el.placeholder = text;
+    });
+}
+
+/**
+ * Shows a message in an element and marks it, so it is translated again if the language changes
+ * @param {HTMLElement} el - Element to fill
+ * @param {string} key - Message key
+ * @param {object} params - Placeholder values (formatted dates should be passed as text)
+ */
+function setTranslatedText(el, key, params) {
+    el.dataset.i18n = key;
+    if (params) {
+        el.dataset.i18nParams = JSON.stringify(params);
+    } else {
+        delete el.dataset.i18nParams;
+    }
+    el.textContent = t(key, elementParams(el));
+}
+
+/**
+ * Fills the language switcher and switches the page's language when another one is picked
+ * The choice is remembered for the next visit (and for the dashboard)
+ * @param {Function} onChange - Called after the page is translated, to redraw anything else
+ */
+function initLanguageSwitcher(onChange) {
+    const select = document.getElementById('languageSelect');
+    if (!select) return;
+
+    I18n.LOCALES.forEach(locale => {
+        const option = new Option(locale.name, locale.code);
+        option.lang = locale.code;
+        select.add(option);
+    });
+    select.value = t.locale;
+
+    select.addEventListener('change', async () => {
+        localStorage.setItem('locale', select.value);
+        await loadTranslations(select.value);
+        onChange();
+    });
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
@@ -28,10 +138,13 @@ const CONFIG = {
 async function apiRequest(endpoint, options = {}) {
     try {
         const response = await fetch(`${CONFIG.API_BASE_URL}${endpoint}`, {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
-            },
-            ...options
+                // Server messages come back in the page's language
+                'Accept-Language': t.locale,
+                ...options.headers
+            }
         });
 
         // Read raw response text first so we can handle non-JSON error pages
@@ -53,7 +166,11 @@ async function apiRequest(endpoint, options = {}) {
         }
 
         if (!response.ok) {
-            throw new Error(data.message || 'Request failed');
+            const error = new Error(data.message || 'Request failed');
+            error.status = response.status;
+            // Field-level messages for invalid input, keyed by field name
+            error.errors = data.errors || {};
+            throw error;
         }
 
         return data;
@@ -64,28 +181,63 @@ async function apiRequest(endpoint, options = {}) {
 }
 
 /**
- * Validates form field and shows error message
- * @param {HTMLElement} field - Input field
- * @param {string} errorId - Error message element ID
- * @param {string} message - Error message to display
+ * Validates a form field against its shared rule (see validation.js) and shows or clears its error
+ * @param {HTMLElement} field - Input field; its error element is `${field.id}Error`
+ * @param {object} rule - Field definition from Validation
  * @returns {boolean} Is field valid
  */
-function validateField(field, errorId, message) {
-    const errorElement = document.getElementById(errorId);
-    const formGroup = field.closest('.form-group');
+function validateField(field, rule) {
+    const { error } = Validation.validateField(rule, field.value, t);
 
-    if (!field.value.trim()) {
-        errorElement.textContent = message;
-        errorElement.classList.add('show');
-        formGroup.classList.add('error');
+    if (error) {
+        showFieldError(field, `${field.id}Error`, error);
         return false;
     }
 
-    errorElement.classList.remove('show');
-    formGroup.classList.remove('error');
+    clearFieldError(field, `${field.id}Error`);
     return true;
 }
 
+/**
+ * Marks a field as invalid and shows an error message
+ * @param {HTMLElement} field - Input field
+ * @param {string} errorId - Error message element ID
+ * @param {string} message - Error message to display
+ */
+function showFieldError(field, errorId, message) {
+    const errorElement = document.getElementById(errorId);
+    errorElement.textContent = message;
+    errorElement.classList.add('show');
+    field.closest('.form-group').classList.add('error');
+}
+
+/**
+ * Clears a field's error message
+ * @param {HTMLElement} field - Input field
+ * @param {string} errorId - Error message element ID
+ */
+function clearFieldError(field, errorId) {
+    document.getElementById(errorId).classList.remove('show');
+    field.closest('.form-group').classList.remove('error');
+}
+
+/**
+ * Applies a shared field rule to a form control: options for selects, limits for inputs
+ * @param {HTMLElement} control - Input or select
+ * @param {object} rule - Field definition from Validation
+ */
+function applyFieldRule(control, rule) {
+    if (rule.options) {
+        // Keep the "Select ..." placeholder; the options may have changed since the last call
+        [...control.options].filter(option => option.value !== '').forEach(option => option.remove());
+        rule.options.forEach(option => control.add(new Option(option.label, option.value)));
+    }
+    if (rule.min !== undefined) control.min = rule.min;
+    if (rule.max !== undefined) control.max = rule.max;
+    if (rule.minLength) control.minLength = rule.minLength;
+    if (rule.maxLength) control.maxLength = rule.maxLength;
+}
+
 /**
  * Animates a number counting up
  * @param {HTMLElement} element - Element to update
@@ -105,12 +257,12 @@ function animateNumber(element, start, end, duration) {
         const easeOutQuart = 1 - Math.pow(1 - progress, 4);
         const currentValue = Math.floor(start + (difference * easeOutQuart));
 
-        element.textContent = currentValue.toLocaleString();
+        element.textContent = formatNumber(currentValue);
 
         if (progress < 1) {
             requestAnimationFrame(updateNumber);
         } else {
-            element.textContent = end.toLocaleString();
+            element.textContent = formatNumber(end);
         }
     }
 
@@ -142,374 +294,2868 @@ function clearDonorInfo() {
 }
 
 /**
- * Formats a date to readable string
- * @param {string} dateString - ISO date string
- * @returns {string} Formatted date
+ * Creates a random identifier (UUID where the browser supports it)
+ * @returns {string} Random id
  */
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+function randomId() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
 }
 
-// ============================================
-// REGISTRATION FORM (index.html)
-// ============================================
-
 /**
- * Initializes the donor registration form
+ * Gets this browser's device id, used by the server to rate limit registrations
+ * @returns {string} Device id
  */
-function initRegistrationForm() {
-    const form = document.getElementById('donorForm');
-    if (!form) return;
-
-    const submitBtn = document.getElementById('submitBtn');
-    const formMessage = document.getElementById('formMessage');
-
-    // Form submission handler
-    form.addEventListener('submit', async (e) => {
-        e.preventDefault();
-
-        // Get form values
-        const fullName = document.getElementById('fullName');
-        const bloodGroup = document.getElementById('bloodGroup');
-        const age = document.getElementById('age');
-        const year = document.getElementById('year');
-
-        // Reset previous errors
-        document.querySelectorAll('.error-message').forEach(el => el.classList.remove('show'));
-        document.querySelectorAll('.form-group').forEach(el => el.classList.remove('error'));
-        formMessage.className = 'form-message';
-
-        // Validate all fields
-        let isValid = true;
-
-        if (!validateField(fullName, 'fullNameError', 'Please enter your full name')) {
-            isValid = false;
-        }
+function getDeviceId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = randomId();
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+}
 
-        if (!validateField(bloodGroup, 'bloodGroupError', 'Please select your blood group')) {
-            isValid = false;
-        }
+/**
+ * Gets the headers that identify this browser to the registration rate limits:
+ * its device id, and the kiosk token if staff set it up as a kiosk
+ * @returns {object} Request headers
+ */
+function getDeviceHeaders() {
+    const kioskToken = localStorage.getItem('kioskToken');
+    return {
+        'X-Device-Id': getDeviceId(),
+        ...(kioskToken ? { 'X-Kiosk-Token': kioskToken } : {})
+    };
+}
 
-        if (!validateField(age, 'ageError', 'Please enter your age')) {
-            isValid = false;
-        } else if (parseInt(age.value) < 18) {
-            document.getElementById('ageError').textContent = 'You must be at least 18 years old';
-            document.getElementById('ageError').classList.add('show');
-            age.closest('.form-group').classList.add('error');
-            isValid = false;
-        } else if (parseInt(age.value) > 65) {
-            document.getElementById('ageError').textContent = 'Maximum age for donation is 65 years';
-            document.getElementById('ageError').classList.add('show');
-            age.closest('.form-group').classList.add('error');
-            isValid = false;
-        }
+/**
+ * Returns the registration form settings saved by the last loadFormConfig, or the defaults
+ * @returns {object} Form configuration
+ */
+function cachedFormConfig() {
+    try {
+        return Validation.resolveFormConfig(JSON.parse(localStorage.getItem('formConfig')));
+    } catch (error) {
+        return Validation.resolveFormConfig(null);
+    }
+}
 
-        if (!validateField(year, 'yearError', 'Please select your academic year')) {
-            isValid = false;
-        }
+/**
+ * Loads the registration form settings (age limits, year and custom fields, lives per unit)
+ * A copy is kept so an offline kiosk still shows the form as configured
+ * @returns {Promise<object>} Form configuration
+ */
+async function loadFormConfig() {
+    try {
+        const response = await apiRequest('/api/config/form');
+        localStorage.setItem('formConfig', JSON.stringify(response.data));
+        return Validation.resolveFormConfig(response.data);
+    } catch (error) {
+        console.error('Failed to load form settings:', error);
+        return cachedFormConfig();
+    }
+}
 
-        if (!isValid) return;
+/**
+ * Shows how many lives one unit can save wherever the page mentions it
+ * (the {lives} placeholder of translated text, or a .lives-per-unit element)
+ * @param {number} livesPerUnit - From the form configuration
+ */
+function showLivesPerUnit(livesPerUnit) {
+    pageParams.lives = livesPerUnit;
+    document.querySelectorAll('.lives-per-unit').forEach(el => {
+        el.textContent = formatNumber(livesPerUnit);
+    });
+    translatePage();
+}
 
-        // Show loading state
-        submitBtn.classList.add('loading');
+/**
+ * Formats a number for the page's language
+ * @param {number} value - Number to format
+ * @param {object} options - Intl.NumberFormat options
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, options) {
+    return I18n.formatNumber(t.locale, value, options);
+}
 
-        try {
-            // Submit donation
-            const response = await apiRequest('/api/donate', {
-                method: 'POST',
-                body: JSON.stringify({
-                    fullName: fullName.value.trim(),
-                    bloodGroup: bloodGroup.value,
-                    age: parseInt(age.value),
-                    year: year.value
-                })
-            });
+/**
+ * Formats a date to readable string in the page's language
+ * @param {string} dateString - ISO date string
+ * @param {object} options - Intl.DateTimeFormat options (default: day and time)
+ * @returns {string} Formatted date
+ */
+function formatDate(dateString, options = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) {
+    return I18n.formatDate(t.locale, dateString, options);
+}
 
-            console.log('Donation successful:', response);
-            
-            // Show success message on form
-            formMessage.textContent = 'Registration successful! Thank you!';
-            formMessage.className = 'form-message success';
-            
-            // Reset form
-            form.reset();
-            submitBtn.classList.remove('loading');
+/**
+ * Formats a number as an ordinal (1st, 2nd, 3rd, 4th...)
+ * @param {number} n - Number to format
+ * @returns {string} Ordinal string
+ */
+function formatOrdinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
 
-        } catch (error) {
-            // Show error message
-            formMessage.textContent = error.message || 'Registration failed. Please try again.';
-            formMessage.className = 'form-message error';
-            submitBtn.classList.remove('loading');
-        }
-    });
+/**
+ * Escapes HTML to prevent XSS (safe in text and quoted attributes)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === undefined || text === null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
 
-    // Real-time validation on blur
-    document.getElementById('fullName').addEventListener('blur', (e) => {
-        validateField(e.target, 'fullNameError', 'Please enter your full name');
-    });
+/**
+ * Renders a registrations-per-bucket timeline as thin vertical bars
+ * @param {HTMLElement} container - Chart container
+ * @param {object} timeline - Timeline from /api/stats/timeline
+ */
+function renderTimelineChart(container, timeline) {
+    if (!container) return;
 
-    document.getElementById('bloodGroup').addEventListener('change', (e) => {
-        validateField(e.target, 'bloodGroupError', 'Please select your blood group');
-    });
+    const { buckets, peak, bucket } = timeline;
+    if (buckets.length === 0) {
+        container.innerHTML = `<p class="timeline-empty">${escapeHtml(t('timeline.empty'))}</p>`;
+        return;
+    }
 
-    document.getElementById('age').addEventListener('blur', (e) => {
-        if (e.target.value && parseInt(e.target.value) < 18) {
-            document.getElementById('ageError').textContent = 'You must be at least 18 years old';
-            document.getElementById('ageError').classList.add('show');
-            e.target.closest('.form-group').classList.add('error');
-        } else if (e.target.value && parseInt(e.target.value) > 65) {
-            document.getElementById('ageError').textContent = 'Maximum age for donation is 65 years';
-            document.getElementById('ageError').classList.add('show');
-            e.target.closest('.form-group').classList.add('error');
-        } else {
-            validateField(e.target, 'ageError', 'Please enter your age');
-        }
-    });
+    const max = Math.max(...buckets.map(item => item.registrations), 1);
+    // Show at most ~12 axis labels however many buckets there are
+    const labelEvery = Math.ceil(buckets.length / 12);
+    const spansDays = buckets[0].label.slice(0, 10) !== buckets[buckets.length - 1].label.slice(0, 10);
+    const formatLabel = label => {
+        if (bucket === '1d') return label.slice(5, 10);
+        return spansDays ? `${label.slice(5, 10)} ${label.slice(11)}` : label.slice(11);
+    };
+
+    container.innerHTML = `
+        <div class="timeline-bars">
+            ${buckets.map(item => `
+                <div class="timeline-bar${peak && item.label === peak.label ? ' peak' : ''}"
+                    title="${escapeHtml(t('timeline.bar', { label: formatLabel(item.label), registrations: item.registrations, donated: item.donated }))}">
+                    <div class="timeline-fill" style="--bar-size: ${(item.registrations / max) * 100}%"></div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="timeline-axis">
+            ${buckets.map((item, index) => `
+                <span>${index % labelEvery === 0 ? escapeHtml(formatLabel(item.label)) : ''}</span>
+            `).join('')}
+        </div>
+        <p class="timeline-peak">${escapeHtml(t('timeline.peak', { label: formatLabel(peak.label), registrations: peak.registrations }))}</p>
+    `;
+}
 
-    document.getElementById('year').addEventListener('change', (e) => {
-        validateField(e.target, 'yearError', 'Please select your academic year');
-    });
+/**
+ * Reads the drive slug from a /dashboard/:slug URL
+ * @returns {string|null} Drive slug, or null for the current drive
+ */
+function getDriveSlugFromPath() {
+    const match = window.location.pathname.match(/^\/dashboard\/([a-z0-9-]+)\/?$/i);
+    return match ? match[1].toLowerCase() : null;
 }
 
 // ============================================
-// THANK YOU PAGE (thankyou.html)
+// OFFLINE KIOSK (index.html)
 // ============================================
 
 /**
- * Initializes the thank you page with countdown
+ * Sets up offline support for the registration page: registers the service
+ * worker, shows how many registrations are waiting to sync, and sends them
+ * when the connection returns
+ * @param {HTMLElement} formMessage - Where sync results are reported
+ * @returns {{ queue: Function }|null} Queues a registration, or null without offline support
  */
-function initThankYouPage() {
-    const donorNameEl = document.getElementById('donorName');
-    const donorBloodGroupEl = document.getElementById('donorBloodGroup');
-    const countdownEl = document.getElementById('countdown');
-    const progressFill = document.getElementById('progressFill');
+function initOfflineKiosk(formMessage) {
+    if (!('serviceWorker' in navigator) || !window.indexedDB || !window.OfflineQueue) {
+        return null;
+    }
 
-    if (!donorNameEl || !countdownEl) return;
+    const syncStatus = document.getElementById('syncStatus');
+    const syncCount = document.getElementById('syncCount');
+    const syncNowBtn = document.getElementById('syncNowBtn');
+    let syncTimer = null;
 
-    // Get donor info from session storage
-    const donorInfo = getDonorInfo();
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
 
-    if (donorInfo) {
-        donorNameEl.textContent = donorInfo.fullName;
-        donorBloodGroupEl.textContent = donorInfo.bloodGroup;
-    } else {
-        // If no donor info, redirect to home
-        donorNameEl.textContent = 'Anonymous Hero';
-        donorBloodGroupEl.textContent = '❤️';
+    /**
+     * Shows the number of registrations still waiting, and keeps retrying while there are any
+     */
+    async function updateSyncStatus() {
+        const waiting = await OfflineQueue.count();
+        setTranslatedText(syncCount, waiting === 1 ? 'form.syncWaitingOne' : 'form.syncWaitingMany', { count: waiting });
+        syncStatus.hidden = waiting === 0;
+
+        if (waiting > 0 && !syncTimer) {
+            syncTimer = setInterval(syncNow, CONFIG.SYNC_INTERVAL);
+        } else if (waiting === 0 && syncTimer) {
+            clearInterval(syncTimer);
+            syncTimer = null;
+        }
     }
 
-    // Countdown timer
-    let countdown = CONFIG.THANK_YOU_DURATION;
-    const totalDuration = CONFIG.THANK_YOU_DURATION;
+    /**
+     * Reports what a sync did: queued registrations the server turned down need a volunteer
+     * @param {object} result - OfflineQueue.flush result
+     */
+    function showSyncResult(result) {
+        if (result.rejected.length === 0) return;
+
+        formMessage.textContent = t('form.syncRejected');
+        const list = document.createElement('ul');
+        result.rejected.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.fullName}: ${entry.message}`;
+            list.appendChild(item);
+        });
+        formMessage.appendChild(list);
+        formMessage.className = 'form-message error';
+    }
 
-    // Update progress bar
-    function updateProgress() {
-        const remaining = countdown / totalDuration;
-        progressFill.style.width = `${remaining * 100}%`;
+    /**
+     * Sends queued registrations now
+     */
+    async function syncNow() {
+        if (!navigator.onLine) return;
+
+        syncNowBtn.disabled = true;
+        try {
+            const result = await OfflineQueue.flush();
+            if (result.synced > 0) {
+                console.log(`🔄 Synced ${result.synced} queued registration(s)`);
+            }
+            showSyncResult(result);
+        } catch (error) {
+            console.error('Error syncing queued registrations:', error);
+        }
+        syncNowBtn.disabled = false;
+        updateSyncStatus();
     }
 
-    // Initial progress
-    updateProgress();
+    /**
+     * Saves a registration to send later, asking the browser to send it in the background where it can
+     * @param {object} entry - { id, body, deviceId, kioskToken, locale }
+     */
+    async function queue(entry) {
+        await OfflineQueue.add(entry);
+        updateSyncStatus();
+
+        // Not awaited: `ready` never resolves if the service worker failed to install
+        navigator.serviceWorker.ready.then(registration => {
+            if (registration.sync) {
+                return registration.sync.register(OfflineQueue.SYNC_TAG);
+            }
+        }).catch(error => {
+            console.error('Background sync registration failed:', error);
+        });
+    }
 
-    // Countdown interval
-    const countdownInterval = setInterval(() => {
-        countdown--;
-        countdownEl.textContent = countdown;
-        updateProgress();
+    syncNowBtn.addEventListener('click', syncNow);
+    window.addEventListener('online', syncNow);
 
-        if (countdown <= 0) {
-            clearInterval(countdownInterval);
-            clearDonorInfo();
-            window.location.href = '/dashboard';
+    // The service worker synced in the background
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'registration-queue') {
+            showSyncResult(event.data.result);
+            updateSyncStatus();
         }
-    }, 1000);
+    });
+
+    syncNow();
+
+    return { queue };
 }
 
 // ============================================
-// DASHBOARD PAGE (dashboard.html)
+// REGISTRATION FORM (index.html)
 // ============================================
 
 /**
- * Initializes the dashboard with live stats
+ * Initializes the donor registration form
  */
-function initDashboard() {
-    const totalUnitsEl = document.getElementById('totalUnits');
-    const livesSavedEl = document.getElementById('livesSaved');
-    const lastUpdatedEl = document.getElementById('lastUpdated');
-    const donorsListEl = document.getElementById('donorsList');
+function initRegistrationForm() {
+    const form = document.getElementById('donorForm');
+    if (!form) return;
 
-    if (!totalUnitsEl) return;
+    const submitBtn = document.getElementById('submitBtn');
+    const nextBtn = document.getElementById('nextBtn');
+    const backBtn = document.getElementById('backBtn');
+    const formMessage = document.getElementById('formMessage');
+    const certificateNameGroup = document.getElementById('certificateNameGroup');
+    const steps = form.querySelectorAll('.form-step');
+    const indicators = document.querySelectorAll('.step-indicator');
+
+    const SCREENING_QUESTIONS = [
+        'recentIllness',
+        'onMedication',
+        'recentTattoo',
+        'recentSurgery',
+        'pregnantOrBreastfeeding'
+    ];
+
+    let currentStep = 1;
+    // 'walk-in' registers a donation now, 'book' reserves a slot for later
+    let mode = 'walk-in';
+    // Idempotency key of the registration being submitted, reused if the request has to be retried
+    // (and as its client id if it has to wait in the offline queue)
+    let submissionKey = null;
+    // Saves registrations made without a connection (null where the browser can't)
+    const kiosk = initOfflineKiosk(formMessage);
+    // Form settings and the rules built from them (see applyFormConfig)
+    let formConfig = null;
+    let donorRules = {};
+    // Custom field rules, keyed by element id (`customFields.<name>`)
+    let customRules = {};
 
-    let previousTotal = 0;
-    let isFirstLoad = true;
+    /**
+     * Returns the elements that belong to the current mode, in order
+     * @param {NodeList} elements - Steps or step indicators
+     * @returns {HTMLElement[]} Elements used by this mode
+     */
+    function forMode(elements) {
+        return [...elements].filter(el => el.dataset.modes.split(' ').includes(mode));
+    }
 
     /**
-     * Shows the thank you popup overlay
+     * Shows the given step of the questionnaire
+     * @param {number} step - Step number (1-based) within the current mode
      */
-    function showThankYouPopup(donorName, bloodGroup) {
-        const overlay = document.getElementById('thankYouOverlay');
-        const nameEl = document.getElementById('overlayDonorName');
-        const bloodEl = document.getElementById('overlayBloodGroup');
+    function showStep(step) {
+        currentStep = step;
+        const modeSteps = forMode(steps);
+        const modeIndicators = forMode(indicators);
 
-        if (overlay) {
-            if (nameEl) nameEl.textContent = donorName;
-            if (bloodEl) bloodEl.textContent = bloodGroup;
-            overlay.classList.add('show');
+        steps.forEach(el => {
+            el.classList.toggle('active', el === modeSteps[step - 1]);
+        });
+        indicators.forEach(el => {
+            const indicatorStep = modeIndicators.indexOf(el) + 1;
+            el.hidden = indicatorStep === 0;
+            el.classList.toggle('active', indicatorStep === step);
+            el.classList.toggle('complete', indicatorStep > 0 && indicatorStep < step);
+        });
 
-            // Hide after 10 seconds
-            setTimeout(() => {
-                overlay.classList.remove('show');
-            }, 10000);
-        }
+        backBtn.hidden = step === 1;
+        nextBtn.hidden = step === modeSteps.length;
+        submitBtn.hidden = step !== modeSteps.length;
     }
 
     /**
-     * Fetches the latest donor and shows popup
+     * Switches between donating now and booking a slot
+     * @param {string} newMode - 'walk-in' or 'book'
      */
-    async function fetchLatestDonorAndShowPopup() {
-        try {
-            const response = await apiRequest('/api/donors?limit=1');
-            if (response.data && response.data.length > 0) {
-                const latestDonor = response.data[0];
-                showThankYouPopup(latestDonor.fullName, latestDonor.bloodGroup);
-            }
-        } catch (error) {
-            console.error('Failed to fetch latest donor:', error);
-        }
+    function setMode(newMode) {
+        mode = newMode;
+        document.querySelectorAll('.mode-option').forEach(el => {
+            const isActive = el.dataset.mode === mode;
+            el.classList.toggle('active', isActive);
+            el.setAttribute('aria-selected', isActive);
+        });
+        setTranslatedText(document.getElementById('submitText'), mode === 'book' ? 'form.submitBook' : 'form.submitDonate');
+        resetErrors();
+        showStep(1);
+    }
+
+    /**
+     * Loads the drive's upcoming slots; the booking option only appears when there are some
+     */
+    async function loadSlots() {
+        const slotList = document.getElementById('slotList');
+        if (!slotList) return;
+
+        try {
+            const response = await apiRequest('/api/slots');
+            const slots = response.data;
+
+            document.getElementById('modeToggle').hidden = slots.length === 0;
+            if (slots.length === 0 && mode === 'book') {
+                setMode('walk-in');
+            }
+
+            // Keep the donor's pick when the list is redrawn (e.g. in another language)
+            const picked = form.querySelector('input[name="slot"]:checked');
+            const pickedId = picked ? picked.value : null;
+            slotList.innerHTML = slots.map(slot => {
+                const isFull = slot.available === 0;
+                const endTime = formatDate(slot.endsAt, { hour: '2-digit', minute: '2-digit' });
+                let places = 'form.slotFull';
+                if (!isFull) {
+                    places = slot.available === 1 ? 'form.slotPlaceLeft' : 'form.slotPlacesLeft';
+                }
+                return `
+                    <label class="slot-option${isFull ? ' full' : ''}">
+                        <input type="radio" name="slot" value="${escapeHtml(slot.id)}"${isFull ? ' disabled' : ''}${!isFull && slot.id === pickedId ? ' checked' : ''}>
+                        <span class="slot-time">${escapeHtml(formatDate(slot.startsAt))} – ${escapeHtml(endTime)}</span>
+                        <span class="slot-meta" data-i18n="${places}" data-i18n-params="${escapeHtml(JSON.stringify({ count: slot.available }))}"></span>
+                    </label>
+                `;
+            }).join('');
+            translatePage(slotList);
+        } catch (error) {
+            console.error('Failed to load slots:', error);
+        }
+    }
+
+    /**
+     * Clears all field errors and the form message
+     */
+    function resetErrors() {
+        document.querySelectorAll('.error-message').forEach(el => el.classList.remove('show'));
+        document.querySelectorAll('.form-group').forEach(el => el.classList.remove('error'));
+        formMessage.className = 'form-message';
+    }
+
+    /**
+     * Validates every field in a set of shared rules
+     * @param {object} fields - Field definitions from Validation, keyed by element id
+     * @returns {boolean} Are all fields valid
+     */
+    function validateFields(fields) {
+        return Object.keys(fields)
+            .map(name => validateField(document.getElementById(name), fields[name]))
+            .every(Boolean);
+    }
+
+    /**
+     * Validates step 1: name, identity, blood group, age, year and custom fields
+     * @returns {boolean} Is step valid
+     */
+    function validateDetailsStep() {
+        const isValid = [validateFields(donorRules), validateFields(customRules)].every(Boolean);
+        return validateIdentity() && isValid;
+    }
+
+    /**
+     * Checks that at least one of roll number, email or phone is given
+     * @returns {boolean} Is an identity key given
+     */
+    function validateIdentity() {
+        const given = Validation.IDENTITY_FIELDS.some(name => document.getElementById(name).value.trim());
+        if (!given) {
+            showFieldError(document.getElementById('phone'), 'phoneError', t(Validation.IDENTITY_MESSAGE_KEY));
+        }
+        return given;
+    }
+
+    /**
+     * Validates step 2: weight, hemoglobin and last donation date
+     * @returns {boolean} Is step valid
+     */
+    function validateHealthStep() {
+        return validateFields(Validation.SCREENING_FIELDS);
+    }
+
+    /**
+     * Validates step 3: every yes/no question is answered
+     * @returns {boolean} Is step valid
+     */
+    function validateScreeningStep() {
+        let isValid = true;
+
+        SCREENING_QUESTIONS.forEach(question => {
+            const answered = form.querySelector(`input[name="${question}"]:checked`);
+            if (!answered) {
+                const firstOption = form.querySelector(`input[name="${question}"]`);
+                showFieldError(firstOption, `${question}Error`, t('validation.screening.unanswered'));
+                isValid = false;
+            }
+        });
+
+        return isValid;
+    }
+
+    /**
+     * Validates the slot step: a slot with free places is picked
+     * @returns {boolean} Is step valid
+     */
+    function validateSlotStep() {
+        if (!form.querySelector('input[name="slot"]:checked')) {
+            const firstOption = form.querySelector('input[name="slot"]') || document.getElementById('slotList');
+            showFieldError(firstOption, 'slotError', t('form.slotRequired'));
+            return false;
+        }
+        return true;
+    }
+
+    const stepValidators = {
+        details: validateDetailsStep,
+        health: validateHealthStep,
+        screening: validateScreeningStep,
+        slot: validateSlotStep
+    };
+
+    /**
+     * Runs the validator for a step of the current mode
+     * @param {number} step - Step number (1-based)
+     * @returns {boolean} Is step valid
+     */
+    function validateStep(step) {
+        return stepValidators[forMode(steps)[step - 1].dataset.step]();
+    }
+
+    /**
+     * Builds the donor details section of the request body
+     * @returns {object} Donor details
+     */
+    function getDonorDetails() {
+        const customFields = {};
+        formConfig.customFields.forEach(field => {
+            customFields[field.name] = document.getElementById(`customFields.${field.name}`).value.trim();
+        });
+
+        return {
+            fullName: document.getElementById('fullName').value.trim(),
+            certificateName: certificateNameGroup.hidden ? undefined : document.getElementById('certificateName').value.trim(),
+            bloodGroup: document.getElementById('bloodGroup').value,
+            age: document.getElementById('age').value,
+            year: formConfig.year.enabled ? document.getElementById('year').value : undefined,
+            customFields,
+            rollNumber: document.getElementById('rollNumber').value.trim(),
+            email: document.getElementById('email').value.trim(),
+            phone: document.getElementById('phone').value.trim(),
+            displayConsent: document.getElementById('displayConsent').checked,
+            contactConsent: document.getElementById('contactConsent').checked
+        };
+    }
+
+    /**
+     * Books the chosen slot and shows the booking code
+     */
+    async function submitBooking() {
+        const slotId = form.querySelector('input[name="slot"]:checked').value;
+        const response = await apiRequest(`/api/slots/${encodeURIComponent(slotId)}/book`, {
+            method: 'POST',
+            body: JSON.stringify(getDonorDetails())
+        });
+
+        const { code, slot } = response.data;
+        formMessage.textContent = t('form.bookingConfirmed', { time: formatDate(slot.startsAt), code });
+        formMessage.className = 'form-message success';
+    }
+
+    /**
+     * Builds the screening section of the request body
+     * @returns {object} Screening answers
+     */
+    function getScreeningAnswers() {
+        const screening = {
+            weightKg: document.getElementById('weightKg').value,
+            hemoglobin: document.getElementById('hemoglobin').value || null,
+            lastDonationDate: document.getElementById('lastDonationDate').value || null
+        };
+
+        SCREENING_QUESTIONS.forEach(question => {
+            screening[question] = form.querySelector(`input[name="${question}"]:checked`).value === 'yes';
+        });
+
+        return screening;
+    }
+
+    /**
+     * Shows the field errors the server rejected a submission with,
+     * on the first step that has one
+     * @param {object} errors - Messages keyed by field name
+     * @returns {boolean} Whether any error could be shown next to its field
+     */
+    function showServerErrors(errors) {
+        const modeSteps = forMode(steps);
+        let firstStep = 0;
+
+        Object.keys(errors).forEach(name => {
+            // A missing identity key is reported under the phone field, as on the form
+            const field = name === 'identity'
+                ? document.getElementById('phone')
+                : document.getElementById(name) || form.querySelector(`input[name="${name}"]`);
+            if (!field || !document.getElementById(`${field.name}Error`)) return;
+
+            showFieldError(field, `${field.name}Error`, errors[name]);
+            const step = modeSteps.indexOf(field.closest('.form-step')) + 1;
+            if (step > 0 && (firstStep === 0 || step < firstStep)) {
+                firstStep = step;
+            }
+        });
+
+        if (firstStep > 0) {
+            showStep(firstStep);
+        }
+        return firstStep > 0;
+    }
+
+    /**
+     * Shows why a donor was deferred
+     * @param {string} message - Server message
+     * @param {Array} reasons - Deferral reasons
+     */
+    function showDeferral(message, reasons) {
+        formMessage.textContent = message;
+
+        const list = document.createElement('ul');
+        reasons.forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = reason.until
+                ? t('form.eligibleAgainFrom', { reason: reason.message, date: new Date(reason.until) })
+                : reason.message;
+            list.appendChild(item);
+        });
+        formMessage.appendChild(list);
+        formMessage.className = 'form-message deferred';
+    }
+
+    // Step navigation
+    nextBtn.addEventListener('click', () => {
+        resetErrors();
+        if (validateStep(currentStep)) {
+            showStep(currentStep + 1);
+        }
+    });
+
+    document.querySelectorAll('.mode-option').forEach(el => {
+        el.addEventListener('click', () => setMode(el.dataset.mode));
+    });
+
+    // An edited form is a different request and needs a new idempotency key
+    form.addEventListener('input', () => {
+        submissionKey = null;
+    });
+
+    backBtn.addEventListener('click', () => {
+        resetErrors();
+        showStep(currentStep - 1);
+    });
+
+    // Form submission handler
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        // Enter key on an earlier step moves forward instead of submitting
+        const stepCount = forMode(steps).length;
+        if (currentStep < stepCount) {
+            nextBtn.click();
+            return;
+        }
+
+        // Reset previous errors
+        resetErrors();
+
+        // Validate all steps, jumping back to the first one with errors
+        for (let step = 1; step <= stepCount; step++) {
+            if (!validateStep(step)) {
+                showStep(step);
+                return;
+            }
+        }
+
+        // Show loading state
+        submitBtn.classList.add('loading');
+
+        if (mode === 'book') {
+            try {
+                await submitBooking();
+                form.reset();
+                showStep(1);
+            } catch (error) {
+                showServerErrors(error.errors || {});
+                formMessage.textContent = error.message || t('form.bookingFailed');
+                formMessage.className = 'form-message error';
+            }
+            submitBtn.classList.remove('loading');
+            // Refresh places left, whether or not the booking went through
+            loadSlots();
+            return;
+        }
+
+        // Retrying an unchanged form after a dropped connection reuses the key,
+        // so the server answers with the first result instead of registering twice
+        submissionKey = submissionKey || randomId();
+        const registration = {
+            ...getDonorDetails(),
+            website: document.getElementById('website').value,
+            screening: getScreeningAnswers(),
+            clientId: submissionKey
+        };
+
+        try {
+            // Submit donation
+            const response = await apiRequest('/api/donate', {
+                method: 'POST',
+                headers: {
+                    'Idempotency-Key': submissionKey,
+                    ...getDeviceHeaders()
+                },
+                body: JSON.stringify(registration)
+            });
+            submissionKey = null;
+
+            console.log('Donation successful:', response);
+            
+            if (response.data.status !== 'deferred') {
+                // The thank-you page shows the check-in code, certificate and share card
+                const { donor, registrationId, driveName, registeredAt, totalUnits, donationNumber, checkInCode, qrCodeUrl } = response.data;
+                storeDonorInfo({
+                    fullName: donor.fullName,
+                    bloodGroup: donor.bloodGroup,
+                    donationNumber,
+                    registrationId,
+                    driveName,
+                    registeredAt,
+                    totalUnits,
+                    checkInCode,
+                    qrCodeUrl,
+                    livesPerUnit: formConfig.livesPerUnit
+                });
+                window.location.href = '/thank-you';
+                return;
+            }
+
+            showDeferral(response.message, response.data.deferralReasons);
+
+            // Reset form
+            form.reset();
+            showStep(1);
+            submitBtn.classList.remove('loading');
+
+        } catch (error) {
+            // No connection, the server couldn't be reached, or it asked us to slow down:
+            // keep the registration on this device and send it later
+            const retryLater = !error.status || error.status === 429 || (error.status >= 502 && error.status <= 504) || !navigator.onLine;
+            if (retryLater && kiosk) {
+                try {
+                    const { 'X-Device-Id': deviceId, 'X-Kiosk-Token': kioskToken } = getDeviceHeaders();
+                    await kiosk.queue({ id: submissionKey, body: registration, deviceId, kioskToken, locale: t.locale });
+                    submissionKey = null;
+
+                    formMessage.textContent = t(error.status === 429 ? 'form.queuedBusy' : 'form.queuedOffline', { name: registration.fullName });
+                    formMessage.className = 'form-message queued';
+                    form.reset();
+                    showStep(1);
+                    submitBtn.classList.remove('loading');
+                    return;
+                } catch (queueError) {
+                    console.error('Error queueing registration:', queueError);
+                }
+            }
+
+            // The server answered, so the next attempt is a new submission
+            if (error.status) {
+                submissionKey = null;
+            }
+
+            // Show error message, with any field errors next to their fields
+            showServerErrors(error.errors || {});
+            formMessage.textContent = error.message || t('form.registrationFailed');
+            formMessage.className = 'form-message error';
+            submitBtn.classList.remove('loading');
+        }
+    });
+
+    /**
+     * Validates a control as the donor leaves it (selects as soon as they change)
+     * @param {HTMLElement} control - Input or select
+     * @param {Function} getRule - Returns the control's current rule
+     */
+    function validateOnLeave(control, getRule) {
+        control.addEventListener(control.tagName === 'SELECT' ? 'change' : 'blur', () => {
+            const rule = getRule();
+            if (rule) validateField(control, rule);
+        });
+    }
+
+    /**
+     * Renders the custom fields (department, hostel, ...) in the details step
+     * @param {Array} fields - customFields from the form configuration
+     */
+    function renderCustomFields(fields) {
+        const container = document.getElementById('customFieldGroups');
+        container.innerHTML = fields.map(field => {
+            const id = escapeHtml(`customFields.${field.name}`);
+            const params = escapeHtml(JSON.stringify({ name: field.label.toLowerCase() }));
+            const control = field.type === 'select'
+                ? `<select id="${id}" name="${id}"><option value="" data-i18n="form.customSelectPlaceholder" data-i18n-params="${params}"></option></select>`
+                : `<input type="text" id="${id}" name="${id}" data-i18n-placeholder="form.customTextPlaceholder" data-i18n-params="${params}">`;
+            return `
+                <div class="form-group">
+                    <label for="${id}">
+                        <span class="label-icon">📝</span>
+                        ${escapeHtml(field.label)}
+                    </label>
+                    ${control}
+                    ${field.required ? '' : '<span class="hint" data-i18n="form.optional"></span>'}
+                    <span class="error-message" id="${id}Error"></span>
+                </div>
+            `;
+        }).join('');
+        translatePage(container);
+
+        Object.keys(customRules).forEach(id => {
+            const control = document.getElementById(id);
+            applyFieldRule(control, customRules[id]);
+            validateOnLeave(control, () => customRules[id]);
+        });
+    }
+
+    /**
+     * Shows the form as the admin configured it: age limits, the year field and custom fields
+     * @param {object} config - Form configuration
+     */
+    function applyFormConfig(config) {
+        formConfig = config;
+        donorRules = Validation.buildDonorFields(config);
+        customRules = {};
+        Object.entries(Validation.buildCustomFields(config)).forEach(([name, rule]) => {
+            customRules[`customFields.${name}`] = rule;
+        });
+
+        applyFieldRule(document.getElementById('age'), donorRules.age);
+        setTranslatedText(document.getElementById('ageHint'), 'form.ageHint', { min: config.ageMin, max: config.ageMax });
+
+        document.getElementById('yearGroup').hidden = !config.year.enabled;
+        document.getElementById('yearLabel').textContent = config.year.label;
+        if (donorRules.year) {
+            applyFieldRule(document.getElementById('year'), donorRules.year);
+        }
+
+        renderCustomFields(config.customFields);
+        showLivesPerUnit(config.livesPerUnit);
+    }
+
+    // The certificate can only print Latin letters, so other scripts also need the name in English letters
+    const fullNameInput = document.getElementById('fullName');
+    fullNameInput.addEventListener('input', () => {
+        const name = fullNameInput.value.trim();
+        certificateNameGroup.hidden = !name || Validation.isLatinName(name);
+    });
+    form.addEventListener('reset', () => {
+        certificateNameGroup.hidden = true;
+    });
+
+    // Options, limits and real-time validation all come from the shared rules
+    ['fullName', 'certificateName', 'bloodGroup', 'rollNumber', 'email', 'phone'].forEach(name => {
+        applyFieldRule(document.getElementById(name), Validation.DONOR_FIELDS[name]);
+    });
+    Object.keys(Validation.DONOR_FIELDS).forEach(name => {
+        validateOnLeave(document.getElementById(name), () => donorRules[name]);
+    });
+    Object.keys(Validation.SCREENING_FIELDS).forEach(name => {
+        const control = document.getElementById(name);
+        applyFieldRule(control, Validation.SCREENING_FIELDS[name]);
+        validateOnLeave(control, () => Validation.SCREENING_FIELDS[name]);
+    });
+
+    // Start with the saved settings so an offline kiosk shows the right form, then refresh them
+    // (only re-rendering if they changed, so answers typed in the meantime are kept)
+    applyFormConfig(cachedFormConfig());
+    loadFormConfig().then(config => {
+        if (JSON.stringify(config) !== JSON.stringify(formConfig)) {
+            applyFormConfig(config);
+        }
+    });
+
+    // Errors already shown stay in the language they were shown in until the next check
+    initLanguageSwitcher(loadSlots);
+
+    showStep(1);
+    loadSlots();
+}
+
+// ============================================
+// THANK YOU PAGE (thankyou.html)
+// ============================================
+
+/**
+ * Loads the fonts a canvas drawing uses, so the text isn't drawn in a fallback font
+ * @returns {Promise}
+ */
+function fontsReady() {
+    return document.fonts ? document.fonts.ready : Promise.resolve();
+}
+
+/**
+ * Formats a date as "12 March 2026" (in the page's language) for certificates
+ * @param {string|Date} date - Date to format
+ * @returns {string} Long date
+ */
+function formatLongDate(date) {
+    return formatDate(date, { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Draws a blood drop centred on (x, y)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Centre of the round part
+ * @param {number} y - Centre of the round part
+ * @param {number} radius - Radius of the round part
+ * @param {string} color - Fill colour
+ */
+function drawBloodDrop(ctx, x, y, radius, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(x, y - radius * 2.2);
+    ctx.bezierCurveTo(x + radius * 0.4, y - radius * 1.4, x + radius, y - radius * 0.6, x + radius, y);
+    ctx.arc(x, y, radius, 0, Math.PI);
+    ctx.bezierCurveTo(x - radius, y - radius * 0.6, x - radius * 0.4, y - radius * 1.4, x, y - radius * 2.2);
+    ctx.fill();
+}
+
+/**
+ * Draws the square "I'm a blood donor" card for social media
+ * @param {HTMLCanvasElement} canvas - 1080x1080 canvas
+ * @param {object} info - Donor info from the registration
+ */
+function drawShareCard(canvas, info) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, '#DC143C');
+    gradient.addColorStop(1, '#FF4D6A');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    drawBloodDrop(ctx, width / 2, 330, 110, '#FFFFFF');
+    ctx.fillStyle = '#DC143C';
+    ctx.textAlign = 'center';
+    ctx.font = '700 80px Poppins, sans-serif';
+    ctx.fillText(info.bloodGroup, width / 2, 365);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '700 76px Poppins, sans-serif';
+    ctx.fillText(t('thankYou.cardTitle'), width / 2, 580);
+
+    ctx.font = '400 40px Poppins, sans-serif';
+    ctx.fillText(info.driveName
+        ? t('thankYou.cardRegisteredAt', { drive: info.driveName })
+        : t('thankYou.cardLives', { lives: formatNumber(info.livesPerUnit) }), width / 2, 660);
+    if (info.totalUnits > 0) {
+        ctx.fillText(t('thankYou.cardUnits', { units: formatNumber(info.totalUnits) }), width / 2, 720);
+    }
+
+    ctx.font = '600 44px Poppins, sans-serif';
+    ctx.fillText(t('thankYou.cardJoin'), width / 2, 880);
+    ctx.font = '400 32px Poppins, sans-serif';
+    ctx.fillText(window.location.host, width / 2, 940);
+}
+
+/**
+ * Draws the certificate of appreciation
+ * @param {HTMLCanvasElement} canvas - 1600x1130 canvas
+ * @param {object} info - Donor info from the registration
+ */
+function drawCertificate(canvas, info) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    ctx.fillStyle = '#FFFDF8';
+    ctx.fillRect(0, 0, width, height);
+
+    // Double border
+    ctx.strokeStyle = '#DC143C';
+    ctx.lineWidth = 12;
+    ctx.strokeRect(40, 40, width - 80, height - 80);
+    ctx.lineWidth = 3;
+    ctx.strokeRect(70, 70, width - 140, height - 140);
+
+    drawBloodDrop(ctx, width / 2, 220, 45, '#DC143C');
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#DC143C';
+    ctx.font = '700 72px Poppins, sans-serif';
+    ctx.fillText(t('thankYou.certificateTitle'), width / 2, 360);
+
+    ctx.fillStyle = '#6C757D';
+    ctx.font = '400 34px Poppins, sans-serif';
+    ctx.fillText(t('thankYou.certificatePresented'), width / 2, 450);
+
+    ctx.fillStyle = '#343A40';
+    ctx.font = '600 80px Poppins, sans-serif';
+    ctx.fillText(info.fullName, width / 2, 570);
+
+    ctx.fillStyle = '#6C757D';
+    ctx.font = '400 34px Poppins, sans-serif';
+    ctx.fillText(t('thankYou.certificateFor', { bloodGroup: info.bloodGroup }), width / 2, 660);
+    const date = formatLongDate(info.registeredAt || Date.now());
+    ctx.fillText(
+        info.driveName ? t('thankYou.certificateAtOn', { drive: info.driveName, date }) : t('thankYou.certificateOn', { date }),
+        width / 2,
+        715
+    );
+
+    ctx.fillStyle = '#DC143C';
+    ctx.font = 'italic 400 32px Poppins, sans-serif';
+    ctx.fillText(t('thankYou.quote'), width / 2, 830);
+
+    if (info.registrationId) {
+        ctx.fillStyle = '#6C757D';
+        ctx.font = '400 24px Poppins, sans-serif';
+        ctx.fillText(t('thankYou.certificateRegistrationId', { id: info.registrationId }), width / 2, height - 120);
+    }
+}
+
+/**
+ * Turns a canvas into a PNG file
+ * @param {HTMLCanvasElement} canvas - Canvas to export
+ * @param {string} filename - File name
+ * @returns {Promise<File>}
+ */
+function canvasToFile(canvas, filename) {
+    return new Promise(resolve => {
+        canvas.toBlob(blob => resolve(new File([blob], filename, { type: 'image/png' })), 'image/png');
+    });
+}
+
+/**
+ * Saves a file to the device
+ * @param {File} file - File to download
+ */
+function downloadFile(file) {
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Initializes the thank you page with countdown, certificate and share card
+ */
+function initThankYouPage() {
+    const donorNameEl = document.getElementById('donorName');
+    const donorBloodGroupEl = document.getElementById('donorBloodGroup');
+    const countdownEl = document.getElementById('countdown');
+    const progressFill = document.getElementById('progressFill');
+
+    if (!donorNameEl || !countdownEl) return;
+
+    // Get donor info from session storage
+    const donorInfo = getDonorInfo();
+
+    if (donorInfo) {
+        donorNameEl.textContent = donorInfo.fullName;
+        donorBloodGroupEl.textContent = donorInfo.bloodGroup;
+        showLivesPerUnit(donorInfo.livesPerUnit);
+
+        const donationNumberEl = document.getElementById('donationNumber');
+        if (donationNumberEl && donorInfo.donationNumber > 1) {
+            setTranslatedText(donationNumberEl, 'dashboard.donationNumber', {
+                ordinal: formatOrdinal(donorInfo.donationNumber),
+                number: formatNumber(donorInfo.donationNumber)
+            });
+            donationNumberEl.hidden = false;
+        }
+
+        if (donorInfo.registrationId) {
+            document.getElementById('registrationId').textContent = donorInfo.registrationId;
+            document.getElementById('registrationIdRow').hidden = false;
+        }
+
+        const checkInQrEl = document.getElementById('checkInQr');
+        if (checkInQrEl && donorInfo.qrCodeUrl) {
+            checkInQrEl.src = donorInfo.qrCodeUrl;
+            checkInQrEl.alt = t('thankYou.checkInQrAlt', { code: donorInfo.checkInCode });
+            checkInQrEl.hidden = false;
+            document.getElementById('checkInCode').textContent = donorInfo.checkInCode;
+            document.getElementById('checkInRow').hidden = false;
+        }
+
+        if (donorInfo.totalUnits > 0) {
+            const driveTotalEl = document.getElementById('driveTotal');
+            const units = formatNumber(donorInfo.totalUnits);
+            if (donorInfo.driveName) {
+                setTranslatedText(driveTotalEl, 'thankYou.driveTotalAt', { units, drive: donorInfo.driveName });
+            } else {
+                setTranslatedText(driveTotalEl, 'thankYou.driveTotal', { units });
+            }
+            driveTotalEl.hidden = false;
+        }
+
+        initShareSection(donorInfo, stopCountdown);
+    } else {
+        // If no donor info, redirect to home
+        setTranslatedText(donorNameEl, 'thankYou.anonymous');
+        donorBloodGroupEl.textContent = '❤️';
+    }
+
+    // Countdown timer
+    let countdown = CONFIG.THANK_YOU_DURATION;
+    const totalDuration = CONFIG.THANK_YOU_DURATION;
+
+    // Update progress bar
+    function updateProgress() {
+        const remaining = countdown / totalDuration;
+        progressFill.style.width = `${remaining * 100}%`;
+    }
+
+    // Initial progress
+    updateProgress();
+
+    // Countdown interval
+    const countdownInterval = setInterval(() => {
+        countdown--;
+        countdownEl.textContent = countdown;
+        updateProgress();
+
+        if (countdown <= 0) {
+            clearInterval(countdownInterval);
+            clearDonorInfo();
+            window.location.href = '/dashboard';
+        }
+    }, 1000);
+
+    /**
+     * Keeps the donor on the page (they're saving their code or sharing)
+     */
+    function stopCountdown() {
+        clearInterval(countdownInterval);
+        document.getElementById('countdownSection').hidden = true;
+    }
+
+    document.getElementById('stayBtn').addEventListener('click', stopCountdown);
+}
+
+/**
+ * Draws the share card and wires up sharing and the certificate download
+ * @param {object} donorInfo - Donor info from the registration
+ * @param {Function} onInteract - Called when the donor starts sharing or downloading
+ */
+async function initShareSection(donorInfo, onInteract) {
+    const shareSection = document.getElementById('shareSection');
+    const shareCard = document.getElementById('shareCard');
+    const certificateCanvas = document.getElementById('certificateCanvas');
+    if (!shareSection || !shareCard.getContext) return;
+
+    const shareUrl = window.location.origin;
+    const lives = formatNumber(donorInfo.livesPerUnit);
+    const shareText = donorInfo.driveName
+        ? t('thankYou.shareTextAt', { drive: donorInfo.driveName, lives })
+        : t('thankYou.shareText', { lives });
+    shareCard.setAttribute('aria-label', t('thankYou.shareCardLabel'));
+
+    document.getElementById('shareWhatsApp').href = `https://wa.me/?text=${encodeURIComponent(`${shareText} ${shareUrl}`)}`;
+    document.getElementById('shareX').href = `https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(shareUrl)}`;
+    document.getElementById('shareFacebook').href = `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(shareUrl)}`;
+    shareSection.querySelectorAll('.share-link').forEach(link => link.addEventListener('click', onInteract));
+
+    await fontsReady();
+    drawShareCard(shareCard, donorInfo);
+    drawCertificate(certificateCanvas, donorInfo);
+    shareSection.hidden = false;
+
+    // Share the card image where the browser can, otherwise save it for the donor to post
+    document.getElementById('shareBtn').addEventListener('click', async () => {
+        onInteract();
+        const file = await canvasToFile(shareCard, 'blood-donor.png');
+        if (navigator.canShare && navigator.canShare({ files: [file] })) {
+            try {
+                await navigator.share({ files: [file], text: `${shareText} ${shareUrl}` });
+            } catch (error) {
+                // Closing the share sheet rejects with AbortError
+                if (error.name !== 'AbortError') console.error('Error sharing:', error);
+            }
+        } else {
+            downloadFile(file);
+        }
+    });
+
+    document.getElementById('certificateBtn').addEventListener('click', async () => {
+        onInteract();
+        const slug = donorInfo.fullName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        downloadFile(await canvasToFile(certificateCanvas, `certificate-${slug || 'donor'}.png`));
+    });
+}
+
+// ============================================
+// DASHBOARD PAGE (dashboard.html)
+// ============================================
+
+/**
+ * Initializes the dashboard with live stats
+ */
+function initDashboard() {
+    const totalUnitsEl = document.getElementById('totalUnits');
+    const livesSavedEl = document.getElementById('livesSaved');
+    const lastUpdatedEl = document.getElementById('lastUpdated');
+    const donorsListEl = document.getElementById('donorsList');
+
+    if (!totalUnitsEl) return;
+
+    // /dashboard follows the current drive, /dashboard/:slug a specific one
+    const driveSlug = getDriveSlugFromPath();
+    const apiBase = driveSlug ? `/api/drives/${encodeURIComponent(driveSlug)}` : '/api';
+    let followedDrive = driveSlug;
+
+    let previousTotal = 0;
+    let previousPercent = null;
+    // Multiplier behind "lives saved", from the form settings
+    let livesPerUnit = null;
+    let isFirstLoad = true;
+    let pollTimer = null;
+    const popupQueue = [];
+    let isPopupVisible = false;
+
+    /**
+     * Shows the thank you popup overlay
+     * Popups are queued so each new donor gets their own turn on screen
+     */
+    function showThankYouPopup(donorName, bloodGroup, donationNumber) {
+        queuePopup({ type: 'donor', donorName, bloodGroup, donationNumber });
+    }
+
+    /**
+     * Shows the full-screen milestone celebration (queued behind donor popups)
+     * @param {number} milestone - Percent of the target reached
+     * @param {object} progress - Progress from the API
+     * @param {number} totalBloodUnits - Units collected so far
+     */
+    function showMilestonePopup(milestone, progress, totalBloodUnits) {
+        queuePopup({ type: 'milestone', milestone, targetUnits: progress.targetUnits, totalBloodUnits });
+    }
+
+    /**
+     * Adds a popup to the queue and starts showing it if nothing is on screen
+     * @param {object} popup - Popup details
+     */
+    function queuePopup(popup) {
+        popupQueue.push(popup);
+        if (!isPopupVisible) {
+            showNextPopup();
+        }
+    }
+
+    /**
+     * Fills in the thank you overlay for a donor
+     * @param {object} popup - Queued donor popup
+     * @returns {HTMLElement|null} Overlay to show
+     */
+    function prepareDonorOverlay(popup) {
+        const nameEl = document.getElementById('overlayDonorName');
+        const bloodEl = document.getElementById('overlayBloodGroup');
+        const donationNumberEl = document.getElementById('overlayDonationNumber');
+
+        if (nameEl) nameEl.textContent = popup.donorName;
+        if (bloodEl) bloodEl.textContent = popup.bloodGroup;
+        if (donationNumberEl) {
+            // Celebrate returning donors ("3rd donation!")
+            const isReturning = popup.donationNumber > 1;
+            donationNumberEl.textContent = isReturning
+                ? t('dashboard.donationNumber', { ordinal: formatOrdinal(popup.donationNumber), number: popup.donationNumber })
+                : '';
+            donationNumberEl.hidden = !isReturning;
+        }
+        return document.getElementById('thankYouOverlay');
+    }
+
+    /**
+     * Fills in the milestone overlay
+     * @param {object} popup - Queued milestone popup
+     * @returns {HTMLElement|null} Overlay to show
+     */
+    function prepareMilestoneOverlay(popup) {
+        // 25, 50, 75 and 100 have their own titles
+        const titleKey = `dashboard.milestones.${popup.milestone}`;
+        const title = t(titleKey);
+
+        document.getElementById('milestoneValue').textContent = formatNumber(popup.milestone / 100, { style: 'percent' });
+        document.getElementById('milestoneTitle').textContent = title === titleKey ? t('dashboard.milestones.other') : title;
+        document.getElementById('milestoneMessage').textContent =
+            t('dashboard.milestoneMessage', { count: popup.totalBloodUnits, target: popup.targetUnits });
+        return document.getElementById('milestoneOverlay');
+    }
+
+    /**
+     * Displays the next queued popup, if any
+     */
+    function showNextPopup() {
+        const next = popupQueue.shift();
+        const overlay = next && (next.type === 'milestone' ? prepareMilestoneOverlay(next) : prepareDonorOverlay(next));
+
+        if (!overlay) {
+            isPopupVisible = false;
+            return;
+        }
+
+        isPopupVisible = true;
+        overlay.classList.add('show');
+
+        // Hide after the popup duration, then move on to the next popup
+        setTimeout(() => {
+            overlay.classList.remove('show');
+            setTimeout(showNextPopup, CONFIG.POPUP_GAP);
+        }, CONFIG.POPUP_DURATION);
+    }
+
+    /**
+     * Fetches the donors registered since the last poll and shows a popup for each
+     * @param {number} count - Number of new donors
+     */
+    async function fetchLatestDonorsAndShowPopups(count) {
+        try {
+            const response = await apiRequest(`${apiBase}/donors?limit=${count}`);
+            if (response.data && response.data.length > 0) {
+                // Oldest first so popups appear in registration order
+                response.data.slice().reverse().forEach(donor => {
+                    showThankYouPopup(donor.fullName, donor.bloodGroup, donor.donationNumber);
+                });
+            }
+        } catch (error) {
+            console.error('Failed to fetch latest donors:', error);
+        }
+    }
+
+    /**
+     * Updates the stat cards with new totals
+     * @param {number} totalBloodUnits - Total units collected
+     * @param {string} lastUpdated - ISO date of the last change
+     */
+    function updateStats(totalBloodUnits, lastUpdated) {
+        // Animate number if changed
+        if (totalBloodUnits !== previousTotal) {
+            animateNumber(totalUnitsEl, previousTotal, totalBloodUnits, CONFIG.COUNT_ANIMATION_DURATION);
+            
+            // Calculate lives saved (each unit can save up to livesPerUnit lives)
+            const livesSaved = totalBloodUnits * livesPerUnit;
+            animateNumber(livesSavedEl, previousTotal * livesPerUnit, livesSaved, CONFIG.COUNT_ANIMATION_DURATION);
+            
+            previousTotal = totalBloodUnits;
+        }
+
+        isFirstLoad = false;
+
+        // Update last updated time
+        if (lastUpdated) {
+            setTranslatedText(lastUpdatedEl, 'dashboard.lastUpdated', { time: formatDate(lastUpdated) });
+        }
+    }
+
+    /**
+     * Updates the goal meter and celebrates milestones as they are crossed
+     * @param {object} progress - Progress from the API
+     * @param {number} totalBloodUnits - Units collected so far
+     */
+    function updateProgress(progress, totalBloodUnits) {
+        const card = document.getElementById('goalCard');
+        if (!card || !progress) return;
+
+        // No target set: hide the meter
+        if (!progress.targetUnits) {
+            card.hidden = true;
+            previousPercent = null;
+            return;
+        }
+
+        const percent = progress.percentComplete;
+        card.hidden = false;
+        card.classList.toggle('complete', percent >= 100);
+        document.getElementById('goalFill').style.width = `${Math.min(percent, 100)}%`;
+        document.getElementById('goalTrack').setAttribute('aria-valuenow', Math.min(percent, 100));
+        document.getElementById('goalPercent').textContent = formatNumber(Math.floor(percent) / 100, { style: 'percent' });
+        document.getElementById('goalCounts').textContent =
+            t('dashboard.goalCounts', { count: totalBloodUnits, target: progress.targetUnits });
+        document.getElementById('goalRate').textContent = progress.unitsPerHour
+            ? t('dashboard.goalRate', { rate: progress.unitsPerHour })
+            : '';
+        document.getElementById('goalProjection').textContent = progress.projectedFinishAt
+            ? t('dashboard.goalProjection', { time: formatDate(progress.projectedFinishAt) })
+            : '';
+
+        // Only the highest milestone crossed since the last update gets a celebration
+        if (previousPercent !== null) {
+            const crossed = CONFIG.GOAL_MILESTONES.filter(m => previousPercent < m && percent >= m);
+            if (crossed.length > 0) {
+                showMilestonePopup(crossed[crossed.length - 1], progress, totalBloodUnits);
+            }
+        }
+        previousPercent = percent;
+    }
+
+    /**
+     * Shows which drive the dashboard is displaying
+     * @param {object} drive - Drive summary from the API
+     */
+    function updateDriveInfo(drive) {
+        if (!drive) return;
+
+        followedDrive = drive.slug;
+        // Drive names and venues are shown as entered, in place of the translated defaults
+        const titleEl = document.getElementById('driveTitle');
+        delete titleEl.dataset.i18n;
+        titleEl.textContent = drive.name;
+
+        if (drive.venue) {
+            const subtitleEl = document.getElementById('driveSubtitle');
+            delete subtitleEl.dataset.i18n;
+            subtitleEl.textContent = drive.venue;
+        }
+
+        // Past drives are browsable but no longer live
+        if (!drive.isActive) {
+            document.getElementById('liveIndicator').classList.add('archived');
+            setTranslatedText(document.getElementById('liveLabel'), 'dashboard.archive');
+        }
     }
 
     /**
      * Fetches and updates statistics
      */
-    async function fetchStats() {
+    async function fetchStats() {
+        try {
+            const response = await apiRequest(`${apiBase}/stats`);
+            const { totalBloodUnits, lastUpdated, progress, drive } = response.data;
+
+            updateDriveInfo(drive);
+
+            // Detect new donors (count increased) - skip on first load
+            if (!isFirstLoad && totalBloodUnits > previousTotal) {
+                fetchLatestDonorsAndShowPopups(totalBloodUnits - previousTotal);
+            }
+
+            updateStats(totalBloodUnits, lastUpdated);
+            updateProgress(progress, totalBloodUnits);
+
+        } catch (error) {
+            console.error('Failed to fetch stats:', error);
+        }
+    }
+
+    /**
+     * Fetches and displays recent donors
+     */
+    async function fetchRecentDonors() {
+        try {
+            const response = await apiRequest(`${apiBase}/donors?limit=8`);
+            const donors = response.data;
+
+            if (donors.length === 0) {
+                donorsListEl.innerHTML = `<p class="no-donors">${escapeHtml(t('dashboard.noDonors'))}</p>`;
+                return;
+            }
+
+            donorsListEl.innerHTML = donors.map((donor, index) => `
+                <div class="donor-chip" style="animation-delay: ${index * 0.08}s">
+                    <span class="donor-name">${escapeHtml(donor.fullName)}</span>
+                    <span class="blood-badge">${escapeHtml(donor.bloodGroup)}</span>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('Failed to fetch donors:', error);
+            donorsListEl.innerHTML = `<p class="loading-state">${escapeHtml(t('dashboard.donorsFailed'))}</p>`;
+        }
+    }
+
+    /**
+     * Renders a bar chart from breakdown rows
+     * @param {HTMLElement} container - Chart container
+     * @param {Array<{label: string, count: number}>} rows - Chart data
+     * @param {boolean} flagScarce - Mark rows with a very small share of donors
+     */
+    function renderBarChart(container, rows, flagScarce = false) {
+        if (!container) return;
+
+        const max = Math.max(...rows.map(row => row.count), 1);
+        const total = rows.reduce((sum, row) => sum + row.count, 0);
+
+        container.innerHTML = rows.map(row => {
+            const isScarce = flagScarce && total > 0 && row.count / total < CONFIG.SCARCE_SHARE;
+            return `
+                <div class="bar-item${isScarce ? ' scarce' : ''}" title="${escapeHtml(row.label)}: ${formatNumber(row.count)}">
+                    <span class="bar-label">${escapeHtml(row.label)}</span>
+                    <div class="bar-track">
+                        <div class="bar-fill" style="--bar-size: ${(row.count / max) * 100}%"></div>
+                    </div>
+                    <span class="bar-count">${formatNumber(row.count)}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Fetches and renders the blood group, year and age breakdown
+     */
+    async function fetchBreakdown() {
+        try {
+            const response = await apiRequest(`${apiBase}/stats/breakdown`);
+            const { bloodGroup, year, ageBand } = response.data;
+            const yearChart = document.getElementById('yearChart');
+
+            renderBarChart(document.getElementById('bloodGroupChart'), bloodGroup, true);
+            // No year chart when the form doesn't ask for it
+            yearChart.closest('.chart-card').hidden = !year;
+            if (year) {
+                renderBarChart(yearChart, year);
+            }
+            renderBarChart(document.getElementById('ageBandChart'), ageBand);
+
+        } catch (error) {
+            console.error('Failed to fetch breakdown:', error);
+        }
+    }
+
+    /**
+     * Fetches and renders the hourly registration timeline
+     */
+    async function fetchTimeline() {
+        try {
+            const response = await apiRequest(`${apiBase}/stats/timeline?bucket=1h`);
+            renderTimelineChart(document.getElementById('timelineChart'), response.data);
+        } catch (error) {
+            console.error('Failed to fetch timeline:', error);
+        }
+    }
+
+    /**
+     * Refreshes every chart on the dashboard
+     */
+    function fetchCharts() {
+        fetchBreakdown();
+        fetchTimeline();
+    }
+
+    /**
+     * Polls the API on an interval (used while the live stream is down)
+     */
+    function startPolling() {
+        if (pollTimer) return;
+        pollTimer = setInterval(() => {
+            fetchStats();
+            fetchRecentDonors();
+            fetchCharts();
+        }, CONFIG.STATS_REFRESH_INTERVAL);
+    }
+
+    /**
+     * Stops interval polling once the live stream is back
+     */
+    function stopPolling() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    /**
+     * Subscribes to live updates over Server-Sent Events
+     * Falls back to polling whenever the stream is unavailable
+     */
+    function connectStream() {
+        if (!window.EventSource) {
+            startPolling();
+            return;
+        }
+
+        const query = driveSlug ? `?drive=${encodeURIComponent(driveSlug)}` : '';
+        const stream = new EventSource(`${CONFIG.API_BASE_URL}/api/stream${query}`);
+
+        stream.addEventListener('open', () => {
+            stopPolling();
+            // Catch up on anything missed while disconnected
+            fetchStats();
+            fetchRecentDonors();
+            fetchCharts();
+        });
+
+        stream.addEventListener('donor-registered', (e) => {
+            const donor = JSON.parse(e.data);
+            if (followedDrive && donor.drive !== followedDrive) return;
+
+            showThankYouPopup(donor.fullName, donor.bloodGroup, donor.donationNumber);
+            fetchRecentDonors();
+            fetchCharts();
+        });
+
+        stream.addEventListener('stats-updated', (e) => {
+            const { totalBloodUnits, lastUpdated, progress, drive } = JSON.parse(e.data);
+            if (followedDrive && drive !== followedDrive) return;
+
+            updateStats(totalBloodUnits, lastUpdated);
+            updateProgress(progress, totalBloodUnits);
+        });
+
+        // EventSource reconnects on its own; poll until it does
+        stream.addEventListener('error', () => {
+            startPolling();
+        });
+    }
+
+    /**
+     * Applies the form settings the dashboard uses: lives per unit and the year label
+     * @param {object} config - Form configuration
+     */
+    function applyFormConfig(config) {
+        livesPerUnit = config.livesPerUnit;
+        showLivesPerUnit(livesPerUnit);
+        livesSavedEl.textContent = formatNumber(previousTotal * livesPerUnit);
+        setTranslatedText(document.getElementById('yearChartTitle'), 'dashboard.byField', { label: config.year.label });
+    }
+
+    // Initial fetch
+    applyFormConfig(cachedFormConfig());
+    loadFormConfig().then(applyFormConfig);
+    fetchStats();
+    fetchRecentDonors();
+    fetchCharts();
+
+    // Live updates
+    connectStream();
+
+    // Initialize slogans carousel
+    initSlogansCarousel();
+}
+
+/**
+ * Initializes the quotes carousel (dashboard)
+ */
+function initSlogansCarousel() {
+    const quotes = document.querySelectorAll('.quote-slide');
+    const indicators = document.querySelectorAll('.carousel-indicators .indicator');
+
+    if (quotes.length === 0) return;
+
+    let currentIndex = 0;
+
+    function showQuote(index) {
+        // Remove active class from all
+        quotes.forEach(quote => {
+            quote.classList.remove('active');
+        });
+        indicators.forEach(ind => ind.classList.remove('active'));
+
+        // Show new quote
+        currentIndex = index;
+        quotes[currentIndex].classList.add('active');
+        if (indicators[currentIndex]) {
+            indicators[currentIndex].classList.add('active');
+        }
+    }
+
+    function nextQuote() {
+        const nextIndex = (currentIndex + 1) % quotes.length;
+        showQuote(nextIndex);
+    }
+
+    // Auto-rotate quotes
+    setInterval(nextQuote, CONFIG.SLOGAN_INTERVAL);
+
+    // Click on indicators
+    indicators.forEach((indicator, index) => {
+        indicator.addEventListener('click', () => {
+            showQuote(index);
+        });
+    });
+}
+
+// ============================================
+// STAFF SESSION (admin.html, checkin.html)
+// ============================================
+
+/**
+ * Wires up the staff login form, log out button and session resume
+ * @param {HTMLElement} content - Section shown once logged in
+ * @param {function} onLogin - Called with the logged-in staff user
+ * @returns {function} Request helper that sends the staff token, returning to the login form on 401
+ */
+function initStaffSession(content, onLogin) {
+    const loginSection = document.getElementById('adminLogin');
+    const loginForm = document.getElementById('loginForm');
+    const loginMessage = document.getElementById('loginMessage');
+
+    function showContent(admin) {
+        loginSection.hidden = true;
+        content.hidden = false;
+        document.getElementById('adminUser').hidden = false;
+        document.getElementById('adminUsername').textContent = `${admin.username} (${admin.role})`;
+        onLogin(admin);
+    }
+
+    function logout(message = '') {
+        sessionStorage.removeItem('adminToken');
+        content.hidden = true;
+        document.getElementById('adminUser').hidden = true;
+        loginSection.hidden = false;
+        loginMessage.textContent = message;
+        loginMessage.className = message ? 'admin-message error' : 'admin-message';
+    }
+
+    async function staffRequest(endpoint, options = {}) {
+        try {
+            return await apiRequest(endpoint, {
+                ...options,
+                headers: { ...options.headers, Authorization: `Bearer ${sessionStorage.getItem('adminToken')}` }
+            });
+        } catch (error) {
+            if (error.status === 401) {
+                logout('Your session has expired. Please log in again.');
+            }
+            throw error;
+        }
+    }
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const button = document.getElementById('loginButton');
+        button.disabled = true;
+        loginMessage.textContent = '';
+
+        try {
+            const response = await apiRequest('/api/admin/login', {
+                method: 'POST',
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsername').value.trim(),
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+            sessionStorage.setItem('adminToken', response.data.token);
+            loginForm.reset();
+            showContent(response.data.admin);
+        } catch (error) {
+            loginMessage.textContent = error.message;
+            loginMessage.className = 'admin-message error';
+        } finally {
+            button.disabled = false;
+        }
+    });
+
+    document.getElementById('logoutButton').addEventListener('click', () => logout());
+
+    // Resume an existing session
+    if (sessionStorage.getItem('adminToken')) {
+        staffRequest('/api/admin/me')
+            .then(response => showContent(response.data))
+            .catch(() => {});
+    }
+
+    return staffRequest;
+}
+
+// ============================================
+// ADMIN CONSOLE (admin.html)
+// ============================================
+
+/**
+ * Initializes the staff console: login, donor table and drive settings
+ */
+function initAdminConsole() {
+    const consoleSection = document.getElementById('adminConsole');
+    const adminMessage = document.getElementById('adminMessage');
+    const tableBody = document.getElementById('donorTableBody');
+    const pageInfo = document.getElementById('pageInfo');
+    const prevButton = document.getElementById('prevPage');
+    const nextButton = document.getElementById('nextPage');
+    const driveForm = document.getElementById('driveForm');
+
+    if (!consoleSection || !tableBody) return;
+
+    const formConfigForm = document.getElementById('formConfigForm');
+    const customFieldBody = document.getElementById('customFieldBody');
+    const accountsSection = document.getElementById('accountsSection');
+    const donorsSection = document.getElementById('donorsSection');
+    const accountTableBody = document.getElementById('accountTableBody');
+
+    const { BLOOD_GROUPS, DONOR_FIELDS } = Validation;
+
+    BLOOD_GROUPS.forEach(group => document.getElementById('filterBloodGroup').add(new Option(group, group)));
+
+    // Listing state sent with every donor request
+    const state = {
+        page: 1,
+        limit: 25,
+        sort: '-donatedAt',
+        pages: 1,
+        rows: [],
+        drive: null,
+        // Registration form settings: year options and age limits for editing donors
+        formConfig: cachedFormConfig()
+    };
+
+    const adminRequest = initStaffSession(consoleSection, async admin => {
+        // Only admins see donor records and manage accounts
+        accountsSection.hidden = admin.role !== 'admin';
+        donorsSection.hidden = admin.role !== 'admin';
+        await Promise.all([loadDrive(), loadFormSettings()]);
+        loadTimeline();
+        loadHandover();
+        loadRequests();
+        if (admin.role === 'admin') {
+            loadDonors();
+            loadAccounts();
+        }
+    });
+
+    /**
+     * Shows a status message above the console
+     * @param {string} text - Message
+     * @param {string} type - 'success' or 'error'
+     */
+    function showMessage(text, type = 'success') {
+        adminMessage.textContent = text;
+        adminMessage.className = `admin-message ${type}`;
+    }
+
+    // ---------- Donor table ----------
+
+    /**
+     * Builds the donor listing query from the filter controls
+     * @returns {URLSearchParams} Query parameters
+     */
+    function buildQuery() {
+        const params = new URLSearchParams({
+            page: state.page,
+            limit: state.limit,
+            sort: state.sort
+        });
+        const filters = {
+            q: document.getElementById('filterQuery').value.trim(),
+            bloodGroup: document.getElementById('filterBloodGroup').value,
+            year: document.getElementById('filterYear').value,
+            status: document.getElementById('filterStatus').value
+        };
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return params;
+    }
+
+    async function loadDonors() {
+        try {
+            const response = await adminRequest(`/api/donors?${buildQuery()}`);
+            const { page, pages, total } = response.pagination;
+
+            state.rows = response.data;
+            state.pages = Math.max(pages, 1);
+
+            renderTable();
+            pageInfo.textContent = `Page ${page} of ${state.pages} · ${total} record${total === 1 ? '' : 's'}`;
+            prevButton.disabled = page <= 1;
+            nextButton.disabled = page >= state.pages;
+        } catch (error) {
+            tableBody.innerHTML = '<tr><td colspan="8" class="admin-empty">Failed to load donors</td></tr>';
+        }
+    }
+
+    function renderTable() {
+        // Reflect the current sort on the column headers
+        document.querySelectorAll('[data-sort]').forEach(button => {
+            const field = state.sort.replace(/^-/, '');
+            if (button.dataset.sort === field) {
+                button.setAttribute('aria-sort', state.sort.startsWith('-') ? 'descending' : 'ascending');
+            } else {
+                button.removeAttribute('aria-sort');
+            }
+        });
+
+        if (state.rows.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="8" class="admin-empty">No donors match these filters</td></tr>';
+            return;
+        }
+
+        tableBody.innerHTML = state.rows.map((row, index) => {
+            const donor = row.donor;
+            const contact = [donor.rollNumber, donor.email, donor.phone].filter(Boolean).join(' · ');
+            return `
+                <tr data-index="${index}">
+                    <td>
+                        ${escapeHtml(donor.fullName)}
+                        ${donor.displayConsent ? '' : '<span class="admin-tag" title="Shown as Anonymous Hero on public screens">anonymous</span>'}
+                    </td>
+                    <td>${escapeHtml(donor.bloodGroup)}</td>
+                    <td>${escapeHtml(donor.age)}</td>
+                    <td>${escapeHtml(donor.year)}</td>
+                    <td class="admin-contact">${escapeHtml(contact)}</td>
+                    <td><span class="status-badge ${escapeHtml(row.status)}">${escapeHtml(row.status)}</span></td>
+                    <td>${escapeHtml(formatDate(row.donatedAt))}</td>
+                    <td class="row-actions">
+                        ${row.status === 'donated' ? '<button type="button" class="admin-button secondary small" data-action="certificate">Certificate</button>' : ''}
+                        <button type="button" class="admin-button secondary small" data-action="edit">Edit</button>
+                        <button type="button" class="admin-button danger small" data-action="delete">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Builds a <select> for inline editing
+     * @param {string} field - Donor field name
+     * @param {string[]} options - Allowed values
+     * @param {string} current - Current value
+     * @returns {string} HTML
+     */
+    function selectHtml(field, options, current) {
+        return `<select data-field="${field}">${options.map(option => `
+            <option value="${escapeHtml(option)}"${option === current ? ' selected' : ''}>${escapeHtml(option)}</option>
+        `).join('')}</select>`;
+    }
+
+    function startEdit(tr) {
+        const donor = state.rows[tr.dataset.index].donor;
+        const cells = tr.children;
+        const fields = Validation.buildDonorFields(state.formConfig);
+
+        cells[0].innerHTML = `
+            <input type="text" data-field="fullName" maxlength="${DONOR_FIELDS.fullName.maxLength}" value="${escapeHtml(donor.fullName)}">
+            <input type="text" data-field="certificateName" maxlength="${DONOR_FIELDS.certificateName.maxLength}" placeholder="Name in English letters (certificate)" value="${escapeHtml(donor.certificateName)}">
+            <label class="admin-check">
+                <input type="checkbox" data-field="displayConsent"${donor.displayConsent ? ' checked' : ''}> Show name publicly
+            </label>
+            <label class="admin-check">
+                <input type="checkbox" data-field="contactConsent"${donor.contactConsent ? ' checked' : ''}> Send messages
+            </label>
+        `;
+        cells[1].innerHTML = selectHtml('bloodGroup', BLOOD_GROUPS, donor.bloodGroup);
+        cells[2].innerHTML = `<input type="number" data-field="age" min="${fields.age.min}" max="${fields.age.max}" value="${escapeHtml(donor.age)}">`;
+        if (fields.year) {
+            // A year from older settings stays selectable; it is only sent if changed
+            const years = fields.year.options.map(option => option.value);
+            cells[3].innerHTML = selectHtml('year', donor.year && !years.includes(donor.year) ? [donor.year, ...years] : years, donor.year);
+        }
+        cells[4].innerHTML = ['rollNumber', 'email', 'phone'].map(field => `
+            <input type="text" data-field="${field}" placeholder="${field}" value="${escapeHtml(donor[field])}">
+        `).join('');
+        cells[7].innerHTML = `
+            <button type="button" class="admin-button small" data-action="save">Save</button>
+            <button type="button" class="admin-button secondary small" data-action="cancel">Cancel</button>
+        `;
+        cells[0].querySelector('input').focus();
+    }
+
+    async function saveEdit(tr) {
+        const donor = state.rows[tr.dataset.index].donor;
+        const updates = {};
+        tr.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.dataset.field;
+            const value = input.type === 'checkbox' ? input.checked : input.value.trim();
+            // Only changes are sent, so values the form settings no longer allow can be left as they are
+            if (String(value) !== String(donor[field] === undefined || donor[field] === null ? '' : donor[field])) {
+                updates[field] = value;
+            }
+        });
+
+        try {
+            const response = await adminRequest(`/api/donors/${donor._id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(updates)
+            });
+            showMessage(`Updated ${response.data.fullName}`);
+            loadDonors();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    }
+
+    async function deleteDonor(tr) {
+        const donor = state.rows[tr.dataset.index].donor;
+        if (!confirm(`Delete ${donor.fullName} and all of their donations? This cannot be undone.`)) return;
+
+        try {
+            const response = await adminRequest(`/api/donors/${donor._id}`, { method: 'DELETE' });
+            showMessage(`Deleted ${donor.fullName} (${response.data.deletedDonations} donation(s))`);
+            loadDonors();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    }
+
+    tableBody.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const tr = button.closest('tr');
+
+        if (button.dataset.action === 'edit') startEdit(tr);
+        if (button.dataset.action === 'save') saveEdit(tr);
+        if (button.dataset.action === 'cancel') renderTable();
+        if (button.dataset.action === 'delete') deleteDonor(tr);
+        if (button.dataset.action === 'certificate') {
+            const row = state.rows[tr.dataset.index];
+            download(button, `/api/donors/${row.donor._id}/certificate?donation=${row._id}`, 'certificate.pdf');
+        }
+    });
+
+    document.querySelectorAll('[data-sort]').forEach(button => {
+        button.addEventListener('click', () => {
+            const field = button.dataset.sort;
+            // Clicking the sorted column flips direction; dates start newest first
+            if (state.sort === field) {
+                state.sort = `-${field}`;
+            } else if (state.sort === `-${field}`) {
+                state.sort = field;
+            } else {
+                state.sort = field === 'donatedAt' ? `-${field}` : field;
+            }
+            state.page = 1;
+            loadDonors();
+        });
+    });
+
+    // Debounce typing in the search box
+    let searchTimer = null;
+    document.getElementById('donorFilters').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            state.page = 1;
+            loadDonors();
+        }, 300);
+    });
+    document.getElementById('donorFilters').addEventListener('submit', (e) => e.preventDefault());
+
+    prevButton.addEventListener('click', () => {
+        if (state.page > 1) {
+            state.page--;
+            loadDonors();
+        }
+    });
+    nextButton.addEventListener('click', () => {
+        if (state.page < state.pages) {
+            state.page++;
+            loadDonors();
+        }
+    });
+
+    // ---------- Toolbar ----------
+
+    document.getElementById('syncStatsButton').addEventListener('click', async (e) => {
+        e.target.disabled = true;
+        try {
+            const response = await adminRequest('/api/sync-stats', { method: 'POST' });
+            showMessage(response.message);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            e.target.disabled = false;
+        }
+    });
+
+    /**
+     * Downloads a file from an authenticated endpoint
+     * Exports need the auth header, so they go through fetch instead of a plain link
+     * @param {HTMLButtonElement} button - Button disabled while downloading
+     * @param {string} endpoint - API endpoint
+     * @param {string} fallbackName - Filename when the server doesn't send one
+     */
+    async function download(button, endpoint, fallbackName) {
+        button.disabled = true;
+        try {
+            const response = await fetch(`${CONFIG.API_BASE_URL}${endpoint}`, {
+                headers: { Authorization: `Bearer ${sessionStorage.getItem('adminToken')}` }
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Export failed');
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : fallbackName;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => {
+            const params = buildQuery();
+            ['page', 'limit', 'sort'].forEach(key => params.delete(key));
+            params.set('format', button.dataset.export);
+            if (state.drive) params.set('drive', state.drive.slug);
+
+            download(button, `/api/donors/export?${params}`, `donors.${button.dataset.export}`);
+        });
+    });
+
+    // ---------- Timeline ----------
+
+    async function loadTimeline() {
+        const bucket = document.getElementById('timelineBucket').value;
+        try {
+            const response = await apiRequest(`/api/stats/timeline?bucket=${bucket}`);
+            renderTimelineChart(document.getElementById('adminTimelineChart'), response.data);
+        } catch (error) {
+            showMessage('Failed to load timeline', 'error');
+        }
+    }
+
+    document.getElementById('timelineBucket').addEventListener('change', loadTimeline);
+
+    // ---------- Handover ----------
+
+    /**
+     * Endpoint of the handover report for the drive being managed
+     * @returns {string} API endpoint
+     */
+    function handoverEndpoint() {
+        return state.drive ? `/api/drives/${state.drive.slug}/units/handover` : '/api/units/handover';
+    }
+
+    async function loadHandover() {
+        const body = document.getElementById('handoverBody');
         try {
-            const response = await apiRequest('/api/stats');
-            const { totalBloodUnits, lastUpdated } = response.data;
+            const response = await adminRequest(handoverEndpoint());
+            const { groups, totalUnits, totalVolumeMl } = response.data;
 
-            // Detect new donor (count increased) - skip on first load
-            if (!isFirstLoad && totalBloodUnits > previousTotal) {
-                // New donor detected, fetch and show popup
-                fetchLatestDonorAndShowPopup();
+            if (groups.length === 0) {
+                body.innerHTML = '<tr><td colspan="4" class="admin-empty">No bags recorded yet</td></tr>';
+                return;
             }
 
-            // Animate number if changed
-            if (totalBloodUnits !== previousTotal) {
-                animateNumber(totalUnitsEl, previousTotal, totalBloodUnits, CONFIG.COUNT_ANIMATION_DURATION);
-                
-                // Calculate lives saved (each unit can save up to 3 lives)
-                const livesSaved = totalBloodUnits * 3;
-                animateNumber(livesSavedEl, previousTotal * 3, livesSaved, CONFIG.COUNT_ANIMATION_DURATION);
-                
-                previousTotal = totalBloodUnits;
-            }
+            body.innerHTML = groups.map(group => `
+                <tr>
+                    <td>${escapeHtml(group.bloodGroup)}</td>
+                    <td>${group.units}</td>
+                    <td>${(group.totalVolumeMl / 1000).toFixed(2)} L</td>
+                    <td class="admin-contact">${group.bags.map(bag => escapeHtml(bag.bagNumber)).join(', ')}</td>
+                </tr>
+            `).join('') + `
+                <tr>
+                    <th>Total</th>
+                    <th>${totalUnits}</th>
+                    <th>${(totalVolumeMl / 1000).toFixed(2)} L</th>
+                    <th></th>
+                </tr>
+            `;
+        } catch (error) {
+            body.innerHTML = '<tr><td colspan="4" class="admin-empty">Failed to load units</td></tr>';
+        }
+    }
+
+    document.getElementById('refreshHandover').addEventListener('click', loadHandover);
+    document.getElementById('downloadHandover').addEventListener('click', (e) => {
+        download(e.target, `${handoverEndpoint()}?format=csv`, 'handover.csv');
+    });
+
+    // ---------- Blood requests ----------
+
+    const requestBody = document.getElementById('requestTableBody');
+    const matchesPanel = document.getElementById('requestMatches');
+    const contactButton = document.getElementById('contactMatches');
+    BLOOD_GROUPS.forEach(group => document.getElementById('requestBloodGroup').add(new Option(group, group)));
 
-            isFirstLoad = false;
+    // Requests on the board, and the one whose matches are shown
+    let requests = [];
+    let selectedRequest = null;
 
-            // Update last updated time
-            if (lastUpdated) {
-                lastUpdatedEl.textContent = `Last updated: ${formatDate(lastUpdated)}`;
+    async function loadRequests() {
+        const status = document.getElementById('requestStatusFilter').value;
+        try {
+            const response = await adminRequest(`/api/requests${status ? `?status=${status}` : ''}`);
+            requests = response.data;
+
+            if (requests.length === 0) {
+                requestBody.innerHTML = '<tr><td colspan="7" class="admin-empty">No blood requests</td></tr>';
+                return;
             }
 
+            requestBody.innerHTML = requests.map((request, index) => `
+                <tr data-index="${index}">
+                    <td><strong>${escapeHtml(request.bloodGroup)}</strong></td>
+                    <td>${request.units}</td>
+                    <td><span class="status-badge ${escapeHtml(request.urgency)}">${escapeHtml(request.urgency)}</span></td>
+                    <td>
+                        ${escapeHtml(request.hospital)}
+                        <div class="admin-contact">${escapeHtml(request.contact)}</div>
+                    </td>
+                    <td>${request.neededBy ? escapeHtml(new Date(request.neededBy).toLocaleDateString()) : '—'}</td>
+                    <td>${request.contactedDonors}</td>
+                    <td>
+                        <button type="button" class="admin-button secondary small" data-request-action="matches">Matches</button>
+                        ${request.status === 'open' ? `
+                            <button type="button" class="admin-button secondary small" data-request-action="fulfilled">Fulfilled</button>
+                            <button type="button" class="admin-button secondary small" data-request-action="cancelled">Cancel</button>
+                        ` : `<span class="status-badge ${escapeHtml(request.status)}">${escapeHtml(request.status)}</span>`}
+                    </td>
+                </tr>
+            `).join('');
         } catch (error) {
-            console.error('Failed to fetch stats:', error);
+            requestBody.innerHTML = '<tr><td colspan="7" class="admin-empty">Failed to load requests</td></tr>';
         }
     }
 
     /**
-     * Fetches and displays recent donors
+     * Shows the donors who could answer a request
+     * @param {object} request - Blood request
      */
-    async function fetchRecentDonors() {
+    async function loadMatches(request) {
+        selectedRequest = request;
+        const body = document.getElementById('requestMatchesBody');
+        document.getElementById('requestMatchesTitle').textContent =
+            `Donors for ${request.units} × ${request.bloodGroup} at ${request.hospital}`;
+        contactButton.hidden = request.status !== 'open';
+        matchesPanel.hidden = false;
+        body.innerHTML = '<tr><td colspan="6" class="admin-empty">Finding donors...</td></tr>';
+
         try {
-            const response = await apiRequest('/api/donors?limit=8');
-            const donors = response.data;
+            const response = await adminRequest(`/api/requests/${request._id}/matches`);
+            const { matches } = response.data;
 
-            if (donors.length === 0) {
-                donorsListEl.innerHTML = '<p class="no-donors">No donors registered yet. Be the first!</p>';
+            if (matches.length === 0) {
+                body.innerHTML = '<tr><td colspan="6" class="admin-empty">No eligible past donors with a compatible blood group</td></tr>';
                 return;
             }
 
-            donorsListEl.innerHTML = donors.map((donor, index) => `
-                <div class="donor-chip" style="animation-delay: ${index * 0.08}s">
-                    <span class="donor-name">${escapeHtml(donor.fullName)}</span>
-                    <span class="blood-badge">${escapeHtml(donor.bloodGroup)}</span>
-                </div>
-            `).join('');
+            body.innerHTML = matches.map(donor => {
+                const contact = [donor.email, donor.phone].filter(Boolean).join(' · ');
+                let status = '<span class="admin-tag">no consent</span>';
+                if (donor.contacted) {
+                    status = '<span class="status-badge">contacted</span>';
+                } else if (donor.contactable) {
+                    status = '<span class="admin-tag">can be contacted</span>';
+                }
+                return `
+                    <tr>
+                        <td>${escapeHtml(donor.fullName)}</td>
+                        <td>
+                            ${escapeHtml(donor.bloodGroup)}
+                            ${donor.exactMatch ? '' : '<span class="admin-tag" title="Compatible, but not the requested group">compatible</span>'}
+                        </td>
+                        <td>${escapeHtml(new Date(donor.lastDonatedAt).toLocaleDateString())} (${donor.daysSinceLastDonation} days ago)</td>
+                        <td>${donor.donationCount}</td>
+                        <td class="admin-contact">${escapeHtml(contact) || '—'}</td>
+                        <td>${status}</td>
+                    </tr>
+                `;
+            }).join('');
+        } catch (error) {
+            body.innerHTML = '<tr><td colspan="6" class="admin-empty">Failed to find donors</td></tr>';
+        }
+    }
 
+    async function updateRequest(request, status) {
+        try {
+            await adminRequest(`/api/requests/${request._id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ status })
+            });
+            showMessage(`Request for ${request.bloodGroup} at ${request.hospital} marked ${status}`);
+            if (selectedRequest && selectedRequest._id === request._id) {
+                matchesPanel.hidden = true;
+            }
+            loadRequests();
         } catch (error) {
-            console.error('Failed to fetch donors:', error);
-            donorsListEl.innerHTML = '<p class="loading-state">Failed to load donors</p>';
+            showMessage(error.message, 'error');
+        }
+    }
+
+    document.getElementById('requestForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const response = await adminRequest('/api/requests', {
+                method: 'POST',
+                body: JSON.stringify({
+                    bloodGroup: document.getElementById('requestBloodGroup').value,
+                    units: document.getElementById('requestUnits').value,
+                    urgency: document.getElementById('requestUrgency').value,
+                    hospital: document.getElementById('requestHospital').value.trim(),
+                    contact: document.getElementById('requestContact').value.trim(),
+                    neededBy: document.getElementById('requestNeededBy').value
+                })
+            });
+            showMessage(response.message);
+            e.target.reset();
+            await loadRequests();
+            loadMatches(response.data);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    });
+
+    requestBody.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-request-action]');
+        if (!button) return;
+
+        const request = requests[button.closest('tr').dataset.index];
+        const action = button.dataset.requestAction;
+        if (action === 'matches') {
+            loadMatches(request);
+        } else if (confirm(`Mark the request for ${request.bloodGroup} at ${request.hospital} as ${action}?`)) {
+            updateRequest(request, action);
+        }
+    });
+
+    contactButton.addEventListener('click', async () => {
+        if (!selectedRequest) return;
+        if (!confirm('Message every eligible donor who agreed to be contacted?')) return;
+
+        contactButton.disabled = true;
+        try {
+            const response = await adminRequest(`/api/requests/${selectedRequest._id}/contact`, { method: 'POST' });
+            showMessage(response.message);
+            loadRequests();
+            loadMatches(selectedRequest);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            contactButton.disabled = false;
+        }
+    });
+
+    document.getElementById('requestStatusFilter').addEventListener('change', loadRequests);
+
+    // ---------- Drive settings ----------
+
+    // <input type="date"> wants YYYY-MM-DD
+    const toDateInput = value => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+    async function loadDrive() {
+        try {
+            const response = await apiRequest('/api/drives/current');
+            state.drive = response.data;
+
+            document.getElementById('adminDriveTitle').textContent = `Admin · ${state.drive.name}`;
+            document.getElementById('driveName').value = state.drive.name || '';
+            document.getElementById('driveVenue').value = state.drive.venue || '';
+            document.getElementById('driveStartDate').value = toDateInput(state.drive.startDate);
+            document.getElementById('driveEndDate').value = toDateInput(state.drive.endDate);
+            document.getElementById('driveTargetUnits').value = state.drive.targetUnits || 0;
+            document.getElementById('drivePublicNames').value = state.drive.publicNames || 'masked';
+        } catch (error) {
+            showMessage('Failed to load drive settings', 'error');
+        }
+    }
+
+    driveForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!state.drive) return;
+
+        try {
+            const response = await adminRequest(`/api/drives/${state.drive.slug}`, {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    name: document.getElementById('driveName').value.trim(),
+                    venue: document.getElementById('driveVenue').value.trim(),
+                    startDate: document.getElementById('driveStartDate').value,
+                    endDate: document.getElementById('driveEndDate').value,
+                    targetUnits: parseInt(document.getElementById('driveTargetUnits').value) || 0,
+                    publicNames: document.getElementById('drivePublicNames').value
+                })
+            });
+            showMessage(response.message);
+            loadDrive();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    });
+
+    // ---------- Registration kiosk ----------
+
+    document.getElementById('kioskButton').addEventListener('click', async () => {
+        try {
+            const response = await adminRequest('/api/admin/kiosk', {
+                method: 'POST',
+                headers: { 'X-Device-Id': getDeviceId() }
+            });
+            localStorage.setItem('kioskToken', response.data.token);
+            document.getElementById('kioskStatus').textContent = 'This device is set up as a registration kiosk.';
+            showMessage(response.message);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    });
+
+    if (localStorage.getItem('kioskToken')) {
+        document.getElementById('kioskStatus').textContent = 'This device is set up as a registration kiosk.';
+    }
+
+    // ---------- Staff accounts ----------
+
+    // Accounts as last loaded, indexed by table row
+    let accounts = [];
+
+    /**
+     * Loads the staff and admin accounts
+     */
+    async function loadAccounts() {
+        try {
+            const response = await adminRequest('/api/admin/users');
+            accounts = response.data;
+            accountTableBody.innerHTML = accounts.map((account, index) => `
+                <tr data-index="${index}">
+                    <td>${escapeHtml(account.username)}</td>
+                    <td>
+                        <select data-action="role" aria-label="Role">
+                            <option value="staff"${account.role === 'staff' ? ' selected' : ''}>Staff</option>
+                            <option value="admin"${account.role === 'admin' ? ' selected' : ''}>Admin</option>
+                        </select>
+                    </td>
+                    <td>${account.disabled ? 'Disabled' : 'Active'}</td>
+                    <td>${account.lastLoginAt ? escapeHtml(formatDate(account.lastLoginAt)) : '—'}</td>
+                    <td>
+                        <button type="button" class="admin-button secondary small" data-action="password">Reset password</button>
+                        <button type="button" class="admin-button secondary small" data-action="toggle">${account.disabled ? 'Enable' : 'Disable'}</button>
+                    </td>
+                </tr>
+            `).join('') || '<tr><td colspan="5" class="admin-empty">No accounts</td></tr>';
+        } catch (error) {
+            accountTableBody.innerHTML = `<tr><td colspan="5" class="admin-empty">${escapeHtml(error.message)}</td></tr>`;
         }
     }
 
     /**
-     * Escapes HTML to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Saves a change to an account and reloads the list
+     * @param {object} account - Account from the list
+     * @param {object} changes - Any of role, disabled, password
      */
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    async function updateAccount(account, changes) {
+        try {
+            const response = await adminRequest(`/api/admin/users/${account._id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            });
+            showMessage(response.message);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+        loadAccounts();
     }
 
-    // Initial fetch
-    fetchStats();
-    fetchRecentDonors();
+    accountTableBody.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-index]');
+        if (!row) return;
+        const account = accounts[row.dataset.index];
+
+        if (e.target.dataset.action === 'toggle') {
+            if (!account.disabled && !confirm(`Disable ${account.username}? They will be logged out straight away.`)) return;
+            updateAccount(account, { disabled: !account.disabled });
+        } else if (e.target.dataset.action === 'password') {
+            const password = prompt(`New password for ${account.username} (at least 8 characters)`);
+            if (password) {
+                updateAccount(account, { password });
+            }
+        }
+    });
+
+    accountTableBody.addEventListener('change', (e) => {
+        const row = e.target.closest('tr[data-index]');
+        if (row && e.target.dataset.action === 'role') {
+            updateAccount(accounts[row.dataset.index], { role: e.target.value });
+        }
+    });
 
-    // Auto-refresh stats
-    setInterval(fetchStats, CONFIG.STATS_REFRESH_INTERVAL);
-    setInterval(fetchRecentDonors, CONFIG.STATS_REFRESH_INTERVAL);
+    document.getElementById('accountForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
 
-    // Initialize slogans carousel
-    initSlogansCarousel();
+        try {
+            const response = await adminRequest('/api/admin/users', {
+                method: 'POST',
+                body: JSON.stringify({
+                    username: document.getElementById('accountUsername').value.trim(),
+                    password: document.getElementById('accountPassword').value,
+                    role: document.getElementById('accountRole').value
+                })
+            });
+            e.target.reset();
+            showMessage(response.message);
+            loadAccounts();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    });
+
+    // ---------- Registration form settings ----------
+
+    /**
+     * Adds a row to the custom field editor
+     * Existing fields keep their name, so answers already given stay linked when the question is reworded
+     * @param {object} field - Custom field from the form configuration
+     */
+    function addCustomFieldRow(field = { name: '', label: '', type: 'text', required: false, options: [] }) {
+        const tr = document.createElement('tr');
+        tr.dataset.name = field.name;
+        tr.innerHTML = `
+            <td><input type="text" class="admin-field-input" data-key="label" maxlength="60" value="${escapeHtml(field.label)}" aria-label="Question"></td>
+            <td>
+                <select data-key="type" aria-label="Type">
+                    <option value="text"${field.type === 'text' ? ' selected' : ''}>Text</option>
+                    <option value="select"${field.type === 'select' ? ' selected' : ''}>Choice</option>
+                </select>
+            </td>
+            <td><input type="checkbox" data-key="required"${field.required ? ' checked' : ''} aria-label="Required"></td>
+            <td><input type="text" class="admin-field-input" data-key="options" value="${escapeHtml(field.options.join(', '))}" aria-label="Options"></td>
+            <td><button type="button" class="admin-button secondary small" data-action="remove">Remove</button></td>
+        `;
+        customFieldBody.appendChild(tr);
+    }
+
+    /**
+     * Loads the form settings into the editor and the year filter
+     */
+    async function loadFormSettings() {
+        const config = await loadFormConfig();
+        state.formConfig = config;
+
+        document.getElementById('configAgeMin').value = config.ageMin;
+        document.getElementById('configAgeMax').value = config.ageMax;
+        document.getElementById('configLivesPerUnit').value = config.livesPerUnit;
+        document.getElementById('configYearLabel').value = config.year.label;
+        document.getElementById('configYearEnabled').checked = config.year.enabled;
+        document.getElementById('configYearRequired').checked = config.year.required;
+        document.getElementById('configYearOptions').value = config.year.options
+            .map(option => (option.label === option.value ? option.value : `${option.value} | ${option.label}`))
+            .join('\n');
+
+        customFieldBody.innerHTML = '';
+        config.customFields.forEach(field => addCustomFieldRow(field));
+
+        const filterYear = document.getElementById('filterYear');
+        applyFieldRule(filterYear, { options: config.year.options.map(option => ({ value: option.value, label: option.value })) });
+        filterYear.hidden = !config.year.enabled;
+    }
+
+    /**
+     * Reads the settings editor into a PUT /api/config/form body
+     * @returns {object} Form settings
+     */
+    function readFormSettings() {
+        const yearOptions = document.getElementById('configYearOptions').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [value, label] = line.split('|').map(part => part.trim());
+                return { value, label: label || value };
+            });
+
+        const customFields = [...customFieldBody.rows].map(tr => {
+            const input = key => tr.querySelector(`[data-key="${key}"]`);
+            return {
+                name: tr.dataset.name || undefined,
+                label: input('label').value.trim(),
+                type: input('type').value,
+                required: input('required').checked,
+                options: input('options').value.split(',').map(option => option.trim()).filter(Boolean)
+            };
+        });
+
+        return {
+            ageMin: parseInt(document.getElementById('configAgeMin').value),
+            ageMax: parseInt(document.getElementById('configAgeMax').value),
+            livesPerUnit: parseInt(document.getElementById('configLivesPerUnit').value),
+            year: {
+                enabled: document.getElementById('configYearEnabled').checked,
+                required: document.getElementById('configYearRequired').checked,
+                label: document.getElementById('configYearLabel').value.trim(),
+                options: yearOptions
+            },
+            customFields
+        };
+    }
+
+    document.getElementById('addCustomField').addEventListener('click', () => addCustomFieldRow());
+
+    customFieldBody.addEventListener('click', (e) => {
+        if (e.target.dataset.action === 'remove') {
+            e.target.closest('tr').remove();
+        }
+    });
+
+    formConfigForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        try {
+            const response = await adminRequest('/api/config/form', {
+                method: 'PUT',
+                body: JSON.stringify(readFormSettings())
+            });
+            showMessage(response.message);
+            loadFormSettings();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    });
 }
 
+// ============================================
+// CHECK-IN DESK (checkin.html)
+// ============================================
+
 /**
- * Initializes the quotes carousel (dashboard)
+ * Initializes the check-in desk: look up a QR code, screen, record the donation
  */
-function initSlogansCarousel() {
-    const quotes = document.querySelectorAll('.quote-slide');
-    const indicators = document.querySelectorAll('.carousel-indicators .indicator');
+function initCheckinPage() {
+    const desk = document.getElementById('checkinDesk');
+    const lookupForm = document.getElementById('lookupForm');
+    const codeInput = document.getElementById('checkinCode');
+    const message = document.getElementById('checkinMessage');
+    const card = document.getElementById('checkinCard');
+    const screeningForm = document.getElementById('screeningForm');
+    const screenButton = document.getElementById('screenButton');
+    const collectionForm = document.getElementById('collectionForm');
+    const donateButton = document.getElementById('donateButton');
+    const phlebotomistInput = document.getElementById('phlebotomist');
+    const scanButton = document.getElementById('scanButton');
+    const video = document.getElementById('scannerVideo');
+
+    if (!desk || !lookupForm) return;
+
+    // Registration being handled at the desk
+    let current = null;
+    let scanStream = null;
+
+    const staffRequest = initStaffSession(desk, () => codeInput.focus());
+    phlebotomistInput.value = sessionStorage.getItem('phlebotomist') || '';
 
-    if (quotes.length === 0) return;
+    /**
+     * Shows a status message under the lookup form
+     * @param {string} text - Message
+     * @param {string} type - 'success' or 'error'
+     */
+    function showMessage(text, type = 'success') {
+        message.textContent = text;
+        message.className = `admin-message ${type}`;
+    }
 
-    let currentIndex = 0;
+    /**
+     * Shows a registration, prefilling screening with the donor's own answers
+     * @param {object} checkIn - Check-in summary from the API
+     */
+    function renderCheckIn(checkIn) {
+        current = checkIn;
+        const { donor, status, screening } = checkIn;
+
+        card.hidden = false;
+        document.getElementById('checkinDonorName').textContent = donor.fullName;
+        const badge = document.getElementById('checkinStatus');
+        badge.textContent = status;
+        badge.className = `status-badge ${status}`;
+        document.getElementById('checkinDonorDetails').innerHTML = `
+            <span>Blood group <strong>${escapeHtml(donor.bloodGroup)}</strong></span>
+            <span>Age <strong>${escapeHtml(donor.age)}</strong></span>
+            ${donor.year ? `<span>Year <strong>${escapeHtml(donor.year)}</strong></span>` : ''}
+            <span>Code <strong>${escapeHtml(checkIn.checkInCode)}</strong></span>
+        `;
+
+        const answers = screening || {};
+        document.getElementById('screenWeightKg').value = answers.weightKg || '';
+        document.getElementById('screenHemoglobin').value = answers.hemoglobin || '';
+        document.getElementById('screenLastDonationDate').value = answers.lastDonationDate
+            ? new Date(answers.lastDonationDate).toISOString().slice(0, 10)
+            : '';
+        screeningForm.querySelectorAll('[data-question]').forEach(input => {
+            input.checked = Boolean(answers[input.dataset.question]);
+        });
 
-    function showQuote(index) {
-        // Remove active class from all
-        quotes.forEach(quote => {
-            quote.classList.remove('active');
+        document.getElementById('checkinDeferrals').innerHTML = (checkIn.deferralReasons || [])
+            .map(reason => `<li>${escapeHtml(reason.message)}</li>`)
+            .join('');
+
+        // Only the next step of the workflow is available
+        screeningForm.querySelectorAll('input').forEach(input => {
+            input.disabled = status !== 'registered';
         });
-        indicators.forEach(ind => ind.classList.remove('active'));
+        screenButton.hidden = status !== 'registered';
+        collectionForm.hidden = status !== 'screened';
+        if (status === 'screened') {
+            document.getElementById('bagNumber').focus();
+        }
+    }
 
-        // Show new quote
-        currentIndex = index;
-        quotes[currentIndex].classList.add('active');
-        if (indicators[currentIndex]) {
-            indicators[currentIndex].classList.add('active');
+    async function lookUp(code) {
+        stopScanner();
+        card.hidden = true;
+        current = null;
+
+        try {
+            const response = await staffRequest(`/api/checkin/${encodeURIComponent(code)}`);
+            renderCheckIn(response.data);
+            showMessage('');
+        } catch (error) {
+            showMessage(error.message, 'error');
         }
     }
 
-    function nextQuote() {
-        const nextIndex = (currentIndex + 1) % quotes.length;
-        showQuote(nextIndex);
+    lookupForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = codeInput.value.replace(/\s+/g, '').toUpperCase();
+        if (code) lookUp(code);
+    });
+
+    screeningForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!current) return;
+
+        const screening = {
+            weightKg: parseFloat(document.getElementById('screenWeightKg').value),
+            hemoglobin: document.getElementById('screenHemoglobin').value
+                ? parseFloat(document.getElementById('screenHemoglobin').value)
+                : null,
+            lastDonationDate: document.getElementById('screenLastDonationDate').value || null
+        };
+        screeningForm.querySelectorAll('[data-question]').forEach(input => {
+            screening[input.dataset.question] = input.checked;
+        });
+
+        screenButton.disabled = true;
+        try {
+            const response = await staffRequest(`/api/checkin/${current.checkInCode}/screen`, {
+                method: 'POST',
+                body: JSON.stringify({ screening })
+            });
+            renderCheckIn(response.data);
+            showMessage(response.message, response.data.status === 'deferred' ? 'error' : 'success');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            screenButton.disabled = false;
+        }
+    });
+
+    collectionForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!current) return;
+
+        donateButton.disabled = true;
+        try {
+            const response = await staffRequest(`/api/checkin/${current.checkInCode}/donate`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    bagNumber: document.getElementById('bagNumber').value.trim(),
+                    volumeMl: parseInt(document.getElementById('bagVolume').value),
+                    phlebotomist: phlebotomistInput.value.trim()
+                })
+            });
+            // The same phlebotomist usually draws the next donor too
+            sessionStorage.setItem('phlebotomist', phlebotomistInput.value.trim());
+            renderCheckIn(response.data);
+            showMessage(`Bag ${response.data.unit.bagNumber} recorded for ${response.data.donor.fullName} · ${response.data.totalUnits} units collected`);
+            lookupForm.reset();
+            document.getElementById('bagNumber').value = '';
+            codeInput.focus();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            donateButton.disabled = false;
+        }
+    });
+
+    // ---------- Camera scanning ----------
+
+    function stopScanner() {
+        if (scanStream) {
+            scanStream.getTracks().forEach(track => track.stop());
+            scanStream = null;
+        }
+        video.hidden = true;
     }
 
-    // Auto-rotate quotes
-    setInterval(nextQuote, CONFIG.SLOGAN_INTERVAL);
+    /**
+     * Reads QR codes from the camera until one is found or scanning is stopped
+     */
+    async function startScanner() {
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        try {
+            scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        } catch (error) {
+            showMessage('Camera unavailable. Type the code instead.', 'error');
+            return;
+        }
 
-    // Click on indicators
-    indicators.forEach((indicator, index) => {
-        indicator.addEventListener('click', () => {
-            showQuote(index);
+        video.srcObject = scanStream;
+        video.hidden = false;
+        await video.play();
+
+        const scanFrame = async () => {
+            if (!scanStream) return;
+            try {
+                const [barcode] = await detector.detect(video);
+                if (barcode) {
+                    codeInput.value = barcode.rawValue;
+                    lookUp(barcode.rawValue.replace(/\s+/g, '').toUpperCase());
+                    return;
+                }
+            } catch (error) {
+                // Frame not ready yet; try the next one
+            }
+            requestAnimationFrame(scanFrame);
+        };
+        requestAnimationFrame(scanFrame);
+    }
+
+    // Scanning needs the BarcodeDetector API; typing the code works everywhere
+    if ('BarcodeDetector' in window && navigator.mediaDevices) {
+        scanButton.hidden = false;
+        scanButton.addEventListener('click', () => {
+            if (scanStream) {
+                stopScanner();
+            } else {
+                startScanner();
+            }
         });
+    }
+}
+
+// ============================================
+// CERTIFICATE VERIFICATION (verify.html)
+// ============================================
+
+/**
+ * Initializes the certificate verification page
+ * A code in the URL (/verify/K7M2QX9A, from the certificate's QR code) is checked straight away
+ */
+function initVerifyPage() {
+    const form = document.getElementById('verifyForm');
+    if (!form) return;
+
+    const codeInput = document.getElementById('verifyCode');
+    const verifyBtn = document.getElementById('verifyBtn');
+    const result = document.getElementById('verifyResult');
+
+    /**
+     * Looks up a code and shows who the certificate was issued to
+     * @param {string} code - Verification code
+     */
+    async function verify(code) {
+        verifyBtn.classList.add('loading');
+        try {
+            const response = await apiRequest(`/api/verify/${encodeURIComponent(code)}`);
+            const { fullName, bloodGroup, donationCount, donations } = response.data;
+
+            result.innerHTML = `
+                <p><strong>✅ Genuine certificate</strong></p>
+                <p>Issued to <strong>${escapeHtml(fullName)}</strong> (blood group ${escapeHtml(bloodGroup)}),
+                    who has made ${donationCount} recorded donation${donationCount === 1 ? '' : 's'}:</p>
+                <ul>${donations.map(donation => `
+                    <li>${escapeHtml(donation.drive || 'Blood donation drive')}${donation.venue ? `, ${escapeHtml(donation.venue)}` : ''} - ${escapeHtml(formatLongDate(donation.donatedAt))}</li>
+                `).join('')}</ul>
+            `;
+            result.className = 'form-message success verify-result';
+        } catch (error) {
+            result.textContent = error.status === 404
+                ? '❌ No certificate was issued with this code. Check the code and try again.'
+                : error.message || 'Verification failed. Please try again.';
+            result.className = 'form-message error';
+        }
+        verifyBtn.classList.remove('loading');
+    }
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = codeInput.value.replace(/\s/g, '').toUpperCase();
+        if (!code) {
+            result.textContent = 'Please enter the verification code';
+            result.className = 'form-message error';
+            return;
+        }
+        history.replaceState(null, '', `/verify/${encodeURIComponent(code)}`);
+        verify(code);
     });
+
+    const match = window.location.pathname.match(/^\/verify\/([A-Za-z0-9]+)\/?$/);
+    if (match) {
+        codeInput.value = match[1].toUpperCase();
+        verify(codeInput.value);
+    }
 }
 
 // ============================================
@@ -519,9 +3165,12 @@ function initSlogansCarousel() {
 /**
  * Determines current page and initializes appropriate functionality
  */
-function initializePage() {
+async function initializePage() {
     const path = window.location.pathname;
 
+    // Pages with translated text (data-i18n) follow the visitor's language; staff pages stay in English
+    await loadTranslations(document.querySelector('[data-i18n]') ? preferredLocale() : I18n.DEFAULT_LOCALE);
+
     // Determine which page we're on and initialize
     if (path === '/' || path === '/index.html' || path.endsWith('index.html')) {
         initRegistrationForm();
@@ -529,6 +3178,12 @@ function initializePage() {
         initThankYouPage();
     } else if (path === '/dashboard' || path.includes('dashboard')) {
         initDashboard();
+    } else if (path === '/admin' || path.includes('admin')) {
+        initAdminConsole();
+    } else if (path === '/checkin' || path.includes('checkin')) {
+        initCheckinPage();
+    } else if (path.startsWith('/verify')) {
+        initVerifyPage();
     }
 
     console.log('🩸 Blood Donation Website initialized');
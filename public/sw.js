@@ -0,0 +1,98 @@
+/**
+ * Blood Donation Event Website
+ * Service worker for the registration kiosk
+ * Keeps the registration page usable offline and sends queued
+ * registrations (offline-queue.js) in the background once the connection returns
+ */
+
+importScripts('/offline-queue.js');
+
+// Bump to drop the old copies when the precached files change
+const CACHE_NAME = 'kiosk-v9';
+
+// Everything the registration page needs to load without a connection
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/style.css',
+    '/validation.js',
+    '/i18n.js',
+    '/locales/en.json',
+    '/locales/hi.json',
+    '/locales/mr.json',
+    '/script.js',
+    '/offline-queue.js',
+    '/manifest.webmanifest',
+    '/icon.svg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network first, so the kiosk picks up new versions whenever it is online;
+ * the cached copy is served when the network fails
+ * API calls are never cached: the page queues registrations itself
+ */
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+                }
+                return response;
+            })
+            .catch(async () => {
+                // Pages ask for versioned scripts (script.js?v=..), cached here without the query
+                const cached = await caches.match(event.request, { ignoreSearch: true });
+                if (cached) return cached;
+                if (event.request.mode === 'navigate') {
+                    return caches.match('/index.html');
+                }
+                return Response.error();
+            })
+    );
+});
+
+/**
+ * Tells open pages the queue changed, so they can update the waiting count
+ * @param {object} result - Flush result
+ */
+async function notifyClients(result) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'registration-queue', result }));
+}
+
+self.addEventListener('sync', event => {
+    if (event.tag !== OfflineQueue.SYNC_TAG) return;
+
+    event.waitUntil(
+        OfflineQueue.flush().then(async result => {
+            await notifyClients(result);
+            // Still offline: failing the sync makes the browser try again later
+            if (result.remaining > 0) {
+                throw new Error(`${result.remaining} registrations still waiting to sync`);
+            }
+        })
+    );
+});
@@ -0,0 +1,465 @@
+/**
+ * Blood Donation Event Website
+ * Shared validation rules - loaded by the browser as /validation.js and
+ * required by the server, so the form and the API always agree
+ * Defines the donor and screening fields, their options, limits and messages,
+ * and how an admin's registration form settings (age limits, the year field,
+ * custom fields) turn into those rules
+ * Messages here are the English text; a translate function (see i18n.js) looks
+ * up `validation.<messageKey>.<rule>` in the locale bundles instead
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Validation = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    // ============================================
+    // FIELD DEFINITIONS
+    // ============================================
+
+    const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+    const YEARS = [
+        { value: 'FY', label: 'FY (First Year)' },
+        { value: 'SY', label: 'SY (Second Year)' },
+        { value: 'TY', label: 'TY (Third Year)' },
+        { value: 'Final Year', label: 'Final Year' }
+    ];
+
+    // Keys a returning donor is recognised by; at least one is required
+    const IDENTITY_FIELDS = ['rollNumber', 'email', 'phone'];
+    const IDENTITY_MESSAGE = 'Please enter your roll number, email or phone number';
+    const IDENTITY_MESSAGE_KEY = 'validation.identity';
+
+    // Latin letters, the only script the PDF certificate can print
+    const LATIN_NAME_PATTERN = /^[\p{Script=Latin}][\p{Script=Latin}\p{M} .'-]*$/u;
+
+    /**
+     * Donor details
+     * type: text | enum | integer | number | date | phone
+     * messages.invalid is used for any rule without its own message; {min}, {max},
+     * {minLength}, {maxLength}, {label} and {name} (the label in lower case) are filled in
+     */
+    const DONOR_FIELDS = {
+        fullName: {
+            type: 'text',
+            messageKey: 'fullName',
+            required: true,
+            minLength: 2,
+            maxLength: 80,
+            // Letters in any script, plus spaces, apostrophes, dots and hyphens
+            pattern: /^[\p{L}][\p{L}\p{M} .'-]*$/u,
+            messages: {
+                required: 'Please enter your full name',
+                minLength: 'Name must be at least {minLength} characters long',
+                maxLength: 'Name must be {maxLength} characters or fewer',
+                invalid: 'Name may only contain letters, spaces, apostrophes, dots and hyphens'
+            }
+        },
+        // Name printed on the certificate, for donors whose full name is in another script
+        certificateName: {
+            type: 'text',
+            messageKey: 'certificateName',
+            maxLength: 80,
+            pattern: LATIN_NAME_PATTERN,
+            messages: {
+                maxLength: 'Name must be {maxLength} characters or fewer',
+                invalid: 'Please write your name in English letters'
+            }
+        },
+        bloodGroup: {
+            type: 'enum',
+            messageKey: 'bloodGroup',
+            required: true,
+            options: BLOOD_GROUPS.map(group => ({
+                value: group,
+                label: `${group} (${group.slice(0, -1)} ${group.endsWith('+') ? 'Positive' : 'Negative'})`
+            })),
+            messages: {
+                required: 'Please select your blood group',
+                invalid: 'Invalid blood group'
+            }
+        },
+        age: {
+            type: 'integer',
+            messageKey: 'age',
+            required: true,
+            min: 18,
+            max: 65,
+            messages: {
+                required: 'Please enter your age',
+                invalid: 'Please enter your age in whole years',
+                min: 'You must be at least {min} years old',
+                max: 'Maximum age for donation is {max} years'
+            }
+        },
+        year: {
+            type: 'enum',
+            messageKey: 'year',
+            required: true,
+            label: 'Academic Year',
+            options: YEARS,
+            messages: {
+                required: 'Please select your {name}',
+                invalid: 'Invalid {name} selection'
+            }
+        },
+        rollNumber: {
+            type: 'text',
+            messageKey: 'rollNumber',
+            maxLength: 30,
+            pattern: /^[A-Za-z0-9/-]+$/,
+            messages: {
+                maxLength: 'Roll number must be {maxLength} characters or fewer',
+                invalid: 'Roll number may only contain letters, digits, slashes and hyphens'
+            }
+        },
+        email: {
+            type: 'text',
+            messageKey: 'email',
+            maxLength: 254,
+            pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            messages: {
+                invalid: 'Please enter a valid email address'
+            }
+        },
+        phone: {
+            type: 'phone',
+            messageKey: 'phone',
+            minDigits: 10,
+            maxDigits: 15,
+            messages: {
+                invalid: 'Please enter a valid phone number'
+            }
+        }
+    };
+
+    // Measured parts of the screening questionnaire (the yes/no questions live with the eligibility rules)
+    const SCREENING_FIELDS = {
+        weightKg: {
+            type: 'number',
+            messageKey: 'weightKg',
+            required: true,
+            min: 30,
+            max: 250,
+            messages: {
+                required: 'Please enter your weight',
+                invalid: 'Please enter a valid weight in kg'
+            }
+        },
+        hemoglobin: {
+            type: 'number',
+            messageKey: 'hemoglobin',
+            min: 3,
+            max: 25,
+            messages: {
+                invalid: 'Please enter a valid hemoglobin level in g/dL'
+            }
+        },
+        lastDonationDate: {
+            type: 'date',
+            messageKey: 'lastDonationDate',
+            notFuture: true,
+            messages: {
+                invalid: 'Please enter a valid last donation date',
+                future: 'Last donation date cannot be in the future'
+            }
+        }
+    };
+
+    /**
+     * Checks whether a name is written in Latin letters, so it can go on the certificate as it is
+     * @param {string} name - Full name
+     * @returns {boolean} Is the name in Latin letters
+     */
+    function isLatinName(name) {
+        return LATIN_NAME_PATTERN.test(String(name || '').trim());
+    }
+
+    // ============================================
+    // FORM CONFIGURATION
+    // ============================================
+
+    // Settings an admin can change; used until one is saved and whenever the server can't be reached
+    const DEFAULT_FORM_CONFIG = {
+        ageMin: 18,
+        ageMax: 65,
+        // Patients one donated unit can help, shown as "lives saved"
+        livesPerUnit: 3,
+        year: {
+            enabled: true,
+            required: true,
+            label: 'Academic Year',
+            options: YEARS
+        },
+        // Extra questions such as department or hostel: { name, label, type: text | select, required, options }
+        customFields: []
+    };
+
+    const CUSTOM_FIELD_TYPES = ['text', 'select'];
+    const CUSTOM_FIELD_MAX_LENGTH = 100;
+
+    /**
+     * Fills in any settings missing from a saved configuration with the defaults
+     * @param {object} config - Saved configuration (may be partial)
+     * @returns {object} Complete configuration
+     */
+    function resolveFormConfig(config) {
+        const saved = config || {};
+        return {
+            ...DEFAULT_FORM_CONFIG,
+            ...saved,
+            year: { ...DEFAULT_FORM_CONFIG.year, ...saved.year },
+            customFields: saved.customFields || DEFAULT_FORM_CONFIG.customFields
+        };
+    }
+
+    /**
+     * Builds the donor field rules for a form configuration
+     * The year field is left out when the form doesn't ask for it
+     * @param {object} config - Form configuration
+     * @returns {object} Field definitions keyed by name, like DONOR_FIELDS
+     */
+    function buildDonorFields(config) {
+        const { ageMin, ageMax, year } = resolveFormConfig(config);
+        const fields = {
+            ...DONOR_FIELDS,
+            age: {
+                ...DONOR_FIELDS.age,
+                min: ageMin,
+                max: ageMax
+            },
+            year: {
+                ...DONOR_FIELDS.year,
+                required: year.required,
+                label: year.label,
+                options: year.options
+            }
+        };
+
+        if (!year.enabled) {
+            delete fields.year;
+        }
+        return fields;
+    }
+
+    /**
+     * Builds the rules for a configuration's custom fields
+     * @param {object} config - Form configuration
+     * @returns {object} Field definitions keyed by custom field name
+     */
+    function buildCustomFields(config) {
+        const fields = {};
+
+        resolveFormConfig(config).customFields.forEach(custom => {
+            fields[custom.name] = custom.type === 'select'
+                ? {
+                    type: 'enum',
+                    messageKey: 'customSelect',
+                    required: custom.required,
+                    label: custom.label,
+                    options: custom.options.map(option => ({ value: option, label: option })),
+                    messages: {
+                        required: 'Please select your {name}',
+                        invalid: 'Invalid {name} selection'
+                    }
+                }
+                : {
+                    type: 'text',
+                    messageKey: 'customText',
+                    required: custom.required,
+                    label: custom.label,
+                    maxLength: CUSTOM_FIELD_MAX_LENGTH,
+                    messages: {
+                        required: 'Please enter your {name}',
+                        maxLength: '{label} must be {maxLength} characters or fewer'
+                    }
+                };
+        });
+
+        return fields;
+    }
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+    /**
+     * Fills the {placeholders} in an English message
+     * @param {string} template - Message from a field definition
+     * @param {object} params - Values keyed by placeholder name
+     * @returns {string} Message
+     */
+    function fill(template, params) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] === undefined ? placeholder : String(params[name])
+        ));
+    }
+
+    /**
+     * Parses a number, rejecting partial input like "25abc"
+     * @param {*} value - Raw value
+     * @param {boolean} integer - Only accept whole numbers
+     * @returns {number} Parsed number, or NaN
+     */
+    function toNumber(value, integer) {
+        if (typeof value === 'number') {
+            return integer && !Number.isInteger(value) ? NaN : value;
+        }
+        const text = String(value).trim();
+        const pattern = integer ? /^\d+$/ : /^\d+(\.\d+)?$/;
+        return pattern.test(text) ? Number(text) : NaN;
+    }
+
+    /**
+     * Validates and normalises one value against a field definition
+     * @param {object} field - Field definition
+     * @param {*} raw - Raw value from a form or request body
+     * @param {Function} t - Translate function from I18n.createTranslator (default: English)
+     * @returns {{ value: *, error: string|null, errorKey: string|null }} Normalised value (null when empty),
+     * or the error message and its bundle key
+     */
+    function validateField(field, raw, t) {
+        const { messages } = field;
+        const fail = rule => {
+            const message = messages[rule] ? rule : 'invalid';
+            const errorKey = `validation.${field.messageKey}.${message}`;
+            const params = {
+                min: field.min,
+                max: field.max,
+                minLength: field.minLength,
+                maxLength: field.maxLength,
+                label: field.label,
+                name: field.label && field.label.toLowerCase()
+            };
+            return { value: null, error: t ? t(errorKey, params) : fill(messages[message], params), errorKey };
+        };
+
+        if (isBlank(raw)) {
+            return field.required ? fail('required') : { value: null, error: null, errorKey: null };
+        }
+
+        switch (field.type) {
+            case 'text': {
+                const value = String(raw).trim().replace(/\s+/g, ' ');
+                if (field.minLength && value.length < field.minLength) return fail('minLength');
+                if (field.maxLength && value.length > field.maxLength) return fail('maxLength');
+                if (field.pattern && !field.pattern.test(value)) return fail('invalid');
+                return { value, error: null, errorKey: null };
+            }
+            case 'enum': {
+                const value = String(raw).trim();
+                return field.options.some(option => option.value === value)
+                    ? { value, error: null, errorKey: null }
+                    : fail('invalid');
+            }
+            case 'integer':
+            case 'number': {
+                const value = toNumber(raw, field.type === 'integer');
+                if (!Number.isFinite(value)) return fail('invalid');
+                if (field.min !== undefined && value < field.min) return fail('min');
+                if (field.max !== undefined && value > field.max) return fail('max');
+                return { value, error: null, errorKey: null };
+            }
+            case 'date': {
+                const value = new Date(raw);
+                if (isNaN(value.getTime())) return fail('invalid');
+                if (field.notFuture && value > new Date()) return fail('future');
+                return { value, error: null, errorKey: null };
+            }
+            case 'phone': {
+                const value = String(raw).trim();
+                const digits = value.replace(/\D/g, '');
+                if (!/^[0-9+()\-\s]+$/.test(value) || digits.length < field.minDigits || digits.length > field.maxDigits) {
+                    return fail('invalid');
+                }
+                return { value, error: null, errorKey: null };
+            }
+            default:
+                throw new Error(`Unknown field type: ${field.type}`);
+        }
+    }
+
+    /**
+     * Validates every field in a set of definitions
+     * @param {object} fields - Field definitions keyed by name
+     * @param {object} input - Raw values keyed by name
+     * @param {Function} t - Translate function (default: English)
+     * @returns {{ value: object, errors: object, errorKeys: object }} Normalised values, and messages
+     * and their bundle keys keyed by field name
+     */
+    function validateFields(fields, input, t) {
+        const value = {};
+        const errors = {};
+        const errorKeys = {};
+
+        Object.keys(fields).forEach(name => {
+            const result = validateField(fields[name], input[name], t);
+            if (result.error) {
+                errors[name] = result.error;
+                errorKeys[name] = result.errorKey;
+            } else {
+                value[name] = result.value;
+            }
+        });
+
+        return { value, errors, errorKeys };
+    }
+
+    /**
+     * Validates a donor's details, including that at least one identity key is given
+     * @param {object} input - Raw donor details; custom field answers are in `input.customFields`
+     * @param {object} config - Form configuration (default: DEFAULT_FORM_CONFIG)
+     * @param {Function} t - Translate function (default: English)
+     * @returns {{ value: object, errors: object, errorKeys: object }} Errors use `identity` when no key
+     * is given, and `customFields.<name>` for custom fields
+     */
+    function validateDonor(input, config, t) {
+        const details = input || {};
+        const result = validateFields(buildDonorFields(config), details, t);
+
+        if (IDENTITY_FIELDS.every(name => !result.value[name] && !result.errors[name])) {
+            result.errors.identity = t ? t(IDENTITY_MESSAGE_KEY) : IDENTITY_MESSAGE;
+            result.errorKeys.identity = IDENTITY_MESSAGE_KEY;
+        }
+
+        // Only answered custom fields are kept
+        const custom = validateFields(buildCustomFields(config), details.customFields || {}, t);
+        result.value.customFields = {};
+        Object.keys(custom.value).forEach(name => {
+            if (custom.value[name] !== null) {
+                result.value.customFields[name] = custom.value[name];
+            }
+        });
+        Object.keys(custom.errors).forEach(name => {
+            result.errors[`customFields.${name}`] = custom.errors[name];
+            result.errorKeys[`customFields.${name}`] = custom.errorKeys[name];
+        });
+
+        return result;
+    }
+
+    return {
+        BLOOD_GROUPS,
+        YEARS,
+        IDENTITY_FIELDS,
+        IDENTITY_MESSAGE,
+        IDENTITY_MESSAGE_KEY,
+        DONOR_FIELDS,
+        SCREENING_FIELDS,
+        DEFAULT_FORM_CONFIG,
+        CUSTOM_FIELD_TYPES,
+        isLatinName,
+        resolveFormConfig,
+        buildDonorFields,
+        buildCustomFields,
+        validateField,
+        validateFields,
+        validateDonor
+    };
+});
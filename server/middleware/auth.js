@@ -0,0 +1,152 @@
+/**
+ * Authentication Middleware
+ * Issues and verifies signed session tokens for admin routes, and the
+ * kiosk tokens that mark a shared registration device
+ */
+
+const jwt = require('jsonwebtoken');
+
+const TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET;
+const TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '12h';
+const KIOSK_TOKEN_TTL = process.env.KIOSK_TOKEN_TTL || '30d';
+
+/**
+ * Creates a signed session token for an admin
+ * @param {Object} admin - Admin document
+ * @returns {String} Signed token
+ */
+function signToken(admin) {
+    if (!TOKEN_SECRET) {
+        throw new Error('ADMIN_TOKEN_SECRET is not configured');
+    }
+
+    return jwt.sign(
+        { sub: admin._id.toString(), username: admin.username, role: admin.role },
+        TOKEN_SECRET,
+        { expiresIn: TOKEN_TTL }
+    );
+}
+
+/**
+ * Reads and verifies the bearer token on a request
+ * @param {Object} req - Express request
+ * @returns {Object|null} Token payload, or null if missing or invalid
+ */
+function readToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token || !TOKEN_SECRET) {
+        return null;
+    }
+
+    try {
+        const payload = jwt.verify(token, TOKEN_SECRET);
+        // Kiosk tokens are signed with the same secret but grant no staff access
+        return payload.kind === 'kiosk' ? null : payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates a signed token marking a browser as a registration kiosk
+ * @param {String} deviceId - The kiosk's X-Device-Id
+ * @param {Object} admin - Token payload of the staff member setting it up
+ * @returns {String} Signed token
+ */
+function signKioskToken(deviceId, admin) {
+    if (!TOKEN_SECRET) {
+        throw new Error('ADMIN_TOKEN_SECRET is not configured');
+    }
+
+    return jwt.sign(
+        { kind: 'kiosk', sub: deviceId, issuedBy: admin.username },
+        TOKEN_SECRET,
+        { expiresIn: KIOSK_TOKEN_TTL }
+    );
+}
+
+/**
+ * Reads and verifies the X-Kiosk-Token header on a request
+ * The token only counts when it was issued for the X-Device-Id sent with it
+ * @param {Object} req - Express request
+ * @returns {Object|null} Token payload, or null if missing or invalid
+ */
+function readKioskToken(req) {
+    const token = req.get('X-Kiosk-Token');
+    if (!token || !TOKEN_SECRET) {
+        return null;
+    }
+
+    try {
+        const payload = jwt.verify(token, TOKEN_SECRET);
+        return payload.kind === 'kiosk' && payload.sub === req.get('X-Device-Id') ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Attaches `req.admin` when a valid token is present, but never rejects
+ * Used by public routes that return extra detail to signed-in staff
+ */
+function optionalAuth(req, res, next) {
+    req.admin = readToken(req);
+    next();
+}
+
+/**
+ * Attaches `req.kiosk` when the request comes from a registered kiosk, but never rejects
+ */
+function optionalKiosk(req, res, next) {
+    req.kiosk = readKioskToken(req);
+    next();
+}
+
+/**
+ * Rejects the request with 401 unless a valid token is present
+ */
+function requireAuth(req, res, next) {
+    const payload = readToken(req);
+
+    if (!payload) {
+        return res.status(401).json({
+            success: false,
+            messageKey: 'api.authenticationRequired'
+        });
+    }
+
+    req.admin = payload;
+    next();
+}
+
+/**
+ * Rejects the request with 401/403 unless the caller has one of the given roles
+ * @param {...String} roles - Allowed roles
+ * @returns {Function[]} Middleware chain
+ */
+function requireRole(...roles) {
+    return [requireAuth, (req, res, next) => {
+        if (!roles.includes(req.admin.role)) {
+            return res.status(403).json({
+                success: false,
+                messageKey: 'api.forbidden'
+            });
+        }
+        next();
+    }];
+}
+
+const requireAdmin = requireRole('admin');
+
+module.exports = {
+    readToken,
+    signToken,
+    signKioskToken,
+    optionalAuth,
+    optionalKiosk,
+    requireAuth,
+    requireRole,
+    requireAdmin
+};
@@ -0,0 +1,98 @@
+/**
+ * Idempotency Middleware
+ * Replays the saved response when a client retries a request with the same
+ * Idempotency-Key header, instead of running it twice
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Keys are random UUIDs generated by the client
+const KEY_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * Hashes a request body so a reused key with different content can be spotted
+ * @param {Object} body - Parsed request body
+ * @returns {String} SHA-256 hex digest
+ */
+function hashBody(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+/**
+ * Creates middleware that makes a route safe to retry
+ * Requests without the header run normally. Server errors and rate-limit
+ * responses are not saved, so the client can retry them with the same key
+ * @param {String} scope - Route name the keys belong to
+ * @returns {Function} Middleware
+ */
+function idempotent(scope) {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key) return next();
+
+        if (!KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidIdempotencyKey'
+            });
+        }
+
+        const requestHash = hashBody(req.body);
+        let record;
+
+        try {
+            record = await IdempotencyKey.create({ scope, key, requestHash });
+        } catch (error) {
+            if (error.code !== 11000) {
+                console.error('Error saving idempotency key:', error);
+                return next();
+            }
+
+            let existing;
+            try {
+                existing = await IdempotencyKey.findOne({ scope, key });
+            } catch (findError) {
+                console.error('Error reading idempotency key:', findError);
+                return next();
+            }
+            if (!existing) return next();
+
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    messageKey: 'api.idempotencyKeyReused'
+                });
+            }
+            if (existing.statusCode === undefined) {
+                return res.status(409).json({
+                    success: false,
+                    messageKey: 'api.requestInProgress'
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.statusCode).json(existing.body);
+        }
+
+        // Save the response before sending it, so a retry never sees a half-finished key
+        const sendJson = res.json.bind(res);
+        res.json = body => {
+            const keep = res.statusCode < 500 && res.statusCode !== 429;
+            const save = keep
+                ? IdempotencyKey.updateOne({ _id: record._id }, { statusCode: res.statusCode, body })
+                : IdempotencyKey.deleteOne({ _id: record._id });
+
+            save
+                .catch(error => console.error('Error saving idempotent response:', error))
+                .finally(() => sendJson(body));
+            return res;
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    idempotent
+};
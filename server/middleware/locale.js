@@ -0,0 +1,37 @@
+/**
+ * Locale Middleware
+ * Picks the caller's language from Accept-Language and fills in the
+ * `message` of JSON responses from their `messageKey`
+ */
+
+const { matchLocale } = require('../../public/i18n');
+const { translatorFor } = require('../utils/i18n');
+
+/**
+ * Sets `req.locale` and `req.t`, and localizes JSON responses
+ * A route answers with `messageKey` (and `messageParams` for placeholders) instead of
+ * English text; the message is translated here as the response goes out, so a saved
+ * idempotent response is replayed in the language of whoever retries it.
+ * A `message` the route already set (e.g. field errors) is left as it is
+ */
+function localize(req, res, next) {
+    req.locale = matchLocale(req.get('Accept-Language'));
+    req.t = translatorFor(req.locale);
+
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+        if (body && body.messageKey && body.message === undefined) {
+            return sendJson({ ...body, message: req.t(body.messageKey, body.messageParams) });
+        }
+        return sendJson(body);
+    };
+
+    next();
+}
+
+module.exports = {
+    localize
+};
@@ -0,0 +1,94 @@
+/**
+ * Rate Limiting Middleware
+ * Fixed-window request limits per client, stored in MongoDB so every serverless
+ * instance sees the same counts
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+// Device ids are random UUIDs generated by the browser
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * Keys a request by client IP (needs `trust proxy` behind a load balancer)
+ * @param {Object} req - Express request
+ * @returns {String} Client key
+ */
+function byIp(req) {
+    return req.ip;
+}
+
+/**
+ * Keys a request by the X-Device-Id header the frontend sends
+ * @param {Object} req - Express request
+ * @returns {String|null} Client key, or null when the header is missing or malformed
+ */
+function byDevice(req) {
+    const deviceId = req.get('X-Device-Id');
+    return deviceId && DEVICE_ID_PATTERN.test(deviceId) ? deviceId : null;
+}
+
+/**
+ * Keys a request by the kiosk it comes from (see optionalKiosk)
+ * @param {Object} req - Express request
+ * @returns {String|null} Client key, or null for anything but a registered kiosk
+ */
+function byKiosk(req) {
+    return req.kiosk ? req.kiosk.sub : null;
+}
+
+/**
+ * Wraps a key function so registered kiosks skip that limiter
+ * A kiosk is one device serving a queue of walk-ins, so it gets its own, higher limit instead
+ * @param {Function} key - Key function
+ * @returns {Function} Key function returning null for kiosks
+ */
+function exceptKiosks(key) {
+    return req => (req.kiosk ? null : key(req));
+}
+
+/**
+ * Creates middleware that rejects clients over a request limit with 429
+ * Counting errors let the request through: a storage outage shouldn't stop registrations
+ * @param {Object} options
+ * @param {String} options.name - Limiter name, keeping its counters apart from other limiters
+ * @param {Number} options.windowMs - Window length in milliseconds
+ * @param {Number} options.max - Requests allowed per window
+ * @param {Function} options.key - Returns the client key for a request, or null to skip limiting
+ * @param {String} options.messageKey - Locale bundle key of the error message for limited clients
+ * @returns {Function} Middleware
+ */
+function rateLimit({ name, windowMs, max, key, messageKey = 'api.tooManyRequests' }) {
+    return async (req, res, next) => {
+        const clientKey = key(req);
+        if (!clientKey) return next();
+
+        let result;
+        try {
+            result = await RateLimit.hit(`${name}:${clientKey}`, windowMs);
+        } catch (error) {
+            console.error(`Rate limiter ${name} failed:`, error);
+            return next();
+        }
+
+        if (result.count > max) {
+            const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                messageKey,
+                data: { retryAfter }
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit,
+    byIp,
+    byDevice,
+    byKiosk,
+    exceptKiosks
+};
@@ -0,0 +1,145 @@
+/**
+ * Admin Model
+ * Stores staff accounts that can access admin-only routes
+ * Passwords are stored as bcrypt hashes, never in plain text
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 12;
+const PASSWORD_MIN_LENGTH = 8;
+const ROLES = ['admin', 'staff'];
+
+const adminSchema = new mongoose.Schema({
+    // Login name (case-insensitive)
+    username: {
+        type: String,
+        required: [true, 'Username is required'],
+        trim: true,
+        lowercase: true,
+        minlength: [3, 'Username must be at least 3 characters long']
+    },
+    // bcrypt hash of the password
+    passwordHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Access level: admins manage everything, staff handle day-of operations
+    role: {
+        type: String,
+        enum: {
+            values: ROLES,
+            message: 'Invalid role'
+        },
+        default: 'admin'
+    },
+    // Disabled accounts can't log in, and their open sessions stop working
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    // Last successful login
+    lastLoginAt: {
+        type: Date
+    },
+    // Account creation timestamp
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Ensure unique index on username
+adminSchema.index({ username: 1 }, { unique: true });
+
+/**
+ * Hashes and stores a new password
+ * @param {String} password - Plain text password
+ */
+adminSchema.methods.setPassword = async function(password) {
+    if (!password || password.length < PASSWORD_MIN_LENGTH) {
+        throw new Error(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+    }
+    this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+/**
+ * Checks a plain text password against the stored hash
+ * @param {String} password - Plain text password
+ * @returns {Promise<Boolean>} Whether the password matches
+ */
+adminSchema.methods.verifyPassword = function(password) {
+    return bcrypt.compare(password || '', this.passwordHash);
+};
+
+/**
+ * Static method to find an admin by credentials
+ * @param {String} username - Login name
+ * @param {String} password - Plain text password
+ * @returns {Promise<Document|null>} The admin, or null if the credentials are wrong or the account is disabled
+ */
+adminSchema.statics.authenticate = async function(username, password) {
+    const admin = await this.findOne({ username: String(username || '').trim().toLowerCase() })
+        .select('+passwordHash');
+
+    if (!admin || admin.disabled || !(await admin.verifyPassword(password))) {
+        return null;
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    return admin;
+};
+
+/**
+ * Static method to create the first admin from environment variables
+ * Does nothing once any admin account exists
+ * @param {String} username - Login name
+ * @param {String} password - Plain text password
+ */
+adminSchema.statics.ensureBootstrapAdmin = async function(username, password) {
+    if (!username || !password) return null;
+
+    const existing = await this.estimatedDocumentCount();
+    if (existing > 0) return null;
+
+    const admin = new this({ username, role: 'admin' });
+    await admin.setPassword(password);
+    await admin.save();
+
+    return admin;
+};
+
+/**
+ * Static method to check that a session's account still exists, is enabled and has the role in its token
+ * @param {String} id - Account id from the session token
+ * @param {String} role - Role from the session token
+ * @returns {Promise<Boolean>}
+ */
+adminSchema.statics.isActive = async function(id, role) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    return Boolean(await this.exists({ _id: id, role, disabled: { $ne: true } }));
+};
+
+/**
+ * Instance method to get the fields shown in the account list
+ * @returns {Object} Account summary
+ */
+adminSchema.methods.toSummary = function() {
+    return {
+        _id: this._id,
+        username: this.username,
+        role: this.role,
+        disabled: this.disabled,
+        lastLoginAt: this.lastLoginAt,
+        createdAt: this.createdAt
+    };
+};
+
+adminSchema.statics.ROLES = ROLES;
+adminSchema.statics.PASSWORD_MIN_LENGTH = PASSWORD_MIN_LENGTH;
+
+module.exports = mongoose.model('Admin', adminSchema);
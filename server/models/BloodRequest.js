@@ -0,0 +1,90 @@
+/**
+ * BloodRequest Model
+ * An urgent request for blood from a hospital, matched against past donors
+ */
+
+const mongoose = require('mongoose');
+const { BLOOD_GROUPS } = require('../../public/validation');
+
+const URGENCIES = ['routine', 'urgent', 'critical'];
+const STATUSES = ['open', 'fulfilled', 'cancelled'];
+
+const bloodRequestSchema = new mongoose.Schema({
+    // Blood group the patient needs
+    bloodGroup: {
+        type: String,
+        required: [true, 'Blood group is required'],
+        enum: {
+            values: BLOOD_GROUPS,
+            message: 'Invalid blood group'
+        }
+    },
+    // Units (bags) needed
+    units: {
+        type: Number,
+        required: [true, 'Units are required'],
+        min: [1, 'At least one unit is required'],
+        max: [50, 'At most 50 units can be requested'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Units must be a whole number'
+        }
+    },
+    urgency: {
+        type: String,
+        enum: {
+            values: URGENCIES,
+            message: 'Urgency must be routine, urgent or critical'
+        },
+        default: 'urgent'
+    },
+    // Hospital the blood is needed at
+    hospital: {
+        type: String,
+        required: [true, 'Hospital is required'],
+        trim: true,
+        maxlength: [120, 'Hospital must be 120 characters or fewer']
+    },
+    // Who donors should get in touch with (name and phone), included in messages
+    contact: {
+        type: String,
+        required: [true, 'Contact is required'],
+        trim: true,
+        maxlength: [120, 'Contact must be 120 characters or fewer']
+    },
+    // Anything staff should know; not sent to donors
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes must be 500 characters or fewer']
+    },
+    // When the blood is needed by
+    neededBy: {
+        type: Date
+    },
+    // Lifecycle: open -> fulfilled or cancelled; only open requests contact donors
+    status: {
+        type: String,
+        enum: {
+            values: STATUSES,
+            message: 'Invalid request status'
+        },
+        default: 'open'
+    },
+    // Admin who logged the request
+    createdBy: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for better query performance
+bloodRequestSchema.index({ status: 1, createdAt: -1 }); // For the request board
+
+bloodRequestSchema.statics.URGENCIES = URGENCIES;
+bloodRequestSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('BloodRequest', bloodRequestSchema);
@@ -0,0 +1,101 @@
+/**
+ * BloodUnit Model
+ * A bag of blood collected from a donation, handed over to the blood bank
+ * Drive totals count these, not registrations
+ */
+
+const mongoose = require('mongoose');
+
+// Standard whole-blood bag sizes
+const VOLUMES_ML = [350, 450];
+
+const bloodUnitSchema = new mongoose.Schema({
+    // Number printed on the bag label
+    bagNumber: {
+        type: String,
+        required: [true, 'Bag number is required'],
+        trim: true,
+        uppercase: true
+    },
+    // Volume collected, in millilitres
+    volumeMl: {
+        type: Number,
+        required: [true, 'Bag volume is required'],
+        enum: {
+            values: VOLUMES_ML,
+            message: `Bag volume must be ${VOLUMES_ML.join(' or ')} ml`
+        }
+    },
+    // When the bag was filled
+    collectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Staff member who drew the blood
+    phlebotomist: {
+        type: String,
+        required: [true, 'Phlebotomist is required'],
+        trim: true
+    },
+    // Copied from the donor at collection so the handover report doesn't change with later edits
+    bloodGroup: {
+        type: String,
+        required: [true, 'Blood group is required']
+    },
+    // The visit the bag came from
+    donation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Donation',
+        required: [true, 'Donation is required']
+    },
+    donor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Donor',
+        required: [true, 'Donor is required']
+    },
+    drive: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Drive',
+        required: [true, 'Drive is required']
+    }
+});
+
+// Add indexes for better query performance
+bloodUnitSchema.index({ bagNumber: 1 }, { unique: true }); // A bag label is only used once
+bloodUnitSchema.index({ donation: 1 }, { unique: true }); // One bag per donation
+bloodUnitSchema.index({ drive: 1, bloodGroup: 1 }); // For handover reports
+bloodUnitSchema.index({ donor: 1 }); // For removing a donor's records
+
+bloodUnitSchema.statics.VOLUMES_ML = VOLUMES_ML;
+
+/**
+ * Static method to build a drive's handover report, grouped by blood group
+ * @param {ObjectId} driveId - Drive id
+ * @returns {Promise<Array>} Groups of { bloodGroup, units, totalVolumeMl, bags }
+ */
+bloodUnitSchema.statics.getHandover = async function(driveId) {
+    const groups = await this.aggregate([
+        { $match: { drive: driveId } },
+        { $sort: { collectedAt: 1 } },
+        {
+            $group: {
+                _id: '$bloodGroup',
+                units: { $sum: 1 },
+                totalVolumeMl: { $sum: '$volumeMl' },
+                bags: {
+                    $push: {
+                        bagNumber: '$bagNumber',
+                        volumeMl: '$volumeMl',
+                        collectedAt: '$collectedAt',
+                        phlebotomist: '$phlebotomist'
+                    }
+                }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return groups.map(({ _id, ...group }) => ({ bloodGroup: _id, ...group }));
+};
+
+module.exports = mongoose.model('BloodUnit', bloodUnitSchema);
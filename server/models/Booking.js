@@ -0,0 +1,134 @@
+/**
+ * Booking Model
+ * A donor's reservation of a slot; becomes a Donation when they check in
+ */
+
+const mongoose = require('mongoose');
+const { generateCode, normalizeCode } = require('../utils/codes');
+
+const bookingSchema = new mongoose.Schema({
+    // Short reference the donor shows at check-in
+    code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        default: generateCode
+    },
+    // Slot that was booked
+    slot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Slot',
+        required: [true, 'Slot is required']
+    },
+    // Drive the slot belongs to
+    drive: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Drive',
+        required: [true, 'Drive is required']
+    },
+    // Donor details, validated like a registration and used at check-in
+    fullName: {
+        type: String,
+        required: [true, 'Full name is required'],
+        trim: true
+    },
+    // Name in English letters for the certificate, when given
+    certificateName: String,
+    bloodGroup: {
+        type: String,
+        required: [true, 'Blood group is required']
+    },
+    age: {
+        type: Number,
+        required: [true, 'Age is required']
+    },
+    // Only when the form asks for it
+    year: String,
+    // Answers to the form's custom fields, keyed by field name
+    customFields: {
+        type: Map,
+        of: String
+    },
+    // Identity keys, normalised like Donor's
+    rollNumber: String,
+    email: String,
+    phone: String,
+    // Agreed to have their name shown on public screens
+    displayConsent: {
+        type: Boolean,
+        default: false
+    },
+    // Agreed to receive messages at their email / phone
+    contactConsent: {
+        type: Boolean,
+        default: false
+    },
+    // Lifecycle: booked -> checked-in, or booked -> cancelled
+    status: {
+        type: String,
+        enum: {
+            values: ['booked', 'checked-in', 'cancelled'],
+            message: 'Invalid booking status'
+        },
+        default: 'booked'
+    },
+    // Donation recorded at check-in
+    donation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Donation'
+    },
+    // Timestamp of booking
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Timestamp of check-in
+    checkedInAt: Date
+});
+
+// Add indexes for better query performance
+bookingSchema.index({ code: 1 }, { unique: true }); // For check-in lookups
+bookingSchema.index({ drive: 1, status: 1 }); // For finding active bookings per drive
+bookingSchema.index({ slot: 1 }); // For a slot's booking list
+
+/**
+ * Static method to find an active booking at a drive for any of the given identity keys
+ * @param {ObjectId} driveId - Drive id
+ * @param {Object} identity - Normalised identity keys
+ * @returns {Promise<Document|null>} Booking
+ */
+bookingSchema.statics.findActive = function(driveId, identity) {
+    const conditions = Object.entries(identity).map(([key, value]) => ({ [key]: value }));
+    if (conditions.length === 0) return Promise.resolve(null);
+
+    return this.findOne({ drive: driveId, status: 'booked', $or: conditions });
+};
+
+/**
+ * Static method to find a booking by its code, ignoring case and spaces
+ * @param {String} code - Booking code as typed or scanned
+ * @returns {Promise<Document|null>} Booking
+ */
+bookingSchema.statics.findByCode = function(code) {
+    const normalised = normalizeCode(code);
+    if (!normalised) return Promise.resolve(null);
+
+    return this.findOne({ code: normalised });
+};
+
+/**
+ * Instance method to get the fields shown back to the donor
+ * @param {Object} slot - Booked slot (when loaded)
+ * @returns {Object} Booking summary
+ */
+bookingSchema.methods.toSummary = function(slot) {
+    return {
+        code: this.code,
+        status: this.status,
+        fullName: this.fullName,
+        bloodGroup: this.bloodGroup,
+        slot: slot ? { startsAt: slot.startsAt, endsAt: slot.endsAt } : undefined
+    };
+};
+
+module.exports = mongoose.model('Booking', bookingSchema);
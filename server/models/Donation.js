@@ -0,0 +1,322 @@
+/**
+ * Donation Model
+ * Stores a single visit by a donor to a drive
+ * A donor who comes to three drives has three donations
+ */
+
+const mongoose = require('mongoose');
+const { normalizeCode } = require('../utils/codes');
+
+// Health screening answers collected at registration
+const screeningSchema = new mongoose.Schema({
+    // Body weight in kilograms
+    weightKg: {
+        type: Number,
+        required: [true, 'Weight is required'],
+        min: [30, 'Please enter a valid weight in kg'],
+        max: [250, 'Please enter a valid weight in kg']
+    },
+    // Hemoglobin in g/dL (optional - often measured on site)
+    hemoglobin: {
+        type: Number,
+        min: [3, 'Please enter a valid hemoglobin level in g/dL'],
+        max: [25, 'Please enter a valid hemoglobin level in g/dL']
+    },
+    // Date of the donor's previous donation, if any
+    lastDonationDate: Date,
+    // Fever, cold or other illness in the last 2 weeks
+    recentIllness: { type: Boolean, required: true },
+    // Currently taking antibiotics or other medication
+    onMedication: { type: Boolean, required: true },
+    // Tattoo or piercing in the last 12 months
+    recentTattoo: { type: Boolean, required: true },
+    // Surgery or major dental work in the last 6 months
+    recentSurgery: { type: Boolean, required: true },
+    // Currently pregnant or breastfeeding
+    pregnantOrBreastfeeding: { type: Boolean, required: true }
+}, { _id: false });
+
+// Reason a donor was deferred by the eligibility rules
+const deferralSchema = new mongoose.Schema({
+    code: { type: String, required: true },
+    field: String,
+    message: { type: String, required: true },
+    // Earliest date the donor may donate again, when known
+    until: Date
+}, { _id: false });
+
+// Check-in workflow states, in order
+const DONATION_STATUSES = ['registered', 'screened', 'donated', 'deferred'];
+
+const donationSchema = new mongoose.Schema({
+    // The person who donated
+    donor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Donor',
+        required: [true, 'Donor is required']
+    },
+    // Drive the donation was made at
+    drive: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Drive',
+        required: [true, 'Drive is required']
+    },
+    // Health screening questionnaire
+    screening: screeningSchema,
+    // Where the visit is in the check-in workflow:
+    // registered -> screened -> donated, or deferred at any screening step
+    // Only donated visits count as collected units
+    status: {
+        type: String,
+        enum: {
+            values: DONATION_STATUSES,
+            message: 'Invalid donation status'
+        },
+        default: 'donated'
+    },
+    // Code staff scan at the check-in desk (pending visits only)
+    checkInCode: {
+        type: String,
+        uppercase: true
+    },
+    // Id the registering browser gave the submission, so a replayed offline submission is recognised
+    clientId: {
+        type: String
+    },
+    // Timestamp of on-site screening by staff
+    screenedAt: Date,
+    // Why the donor was deferred (empty when eligible)
+    deferralReasons: {
+        type: [deferralSchema],
+        default: undefined
+    },
+    // Which donation this is for the donor (1 for a first-time donor)
+    donationNumber: {
+        type: Number,
+        min: 1
+    },
+    // Timestamp of donation registration
+    donatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for better query performance
+donationSchema.index({ donatedAt: -1 }); // For sorting recent donations
+donationSchema.index({ drive: 1, donatedAt: -1 }); // For recent donations within a drive
+donationSchema.index({ drive: 1, status: 1 }); // For counting donated units per drive
+donationSchema.index({ donor: 1, donatedAt: -1 }); // For a donor's history
+donationSchema.index({ donor: 1, drive: 1 }, { unique: true }); // One visit per donor per drive
+donationSchema.index({ checkInCode: 1 }, { unique: true, sparse: true }); // For check-in lookups
+donationSchema.index({ clientId: 1 }, { unique: true, sparse: true }); // A submission registers once
+
+/**
+ * Static method to build a filter for donations that count as a collected unit
+ * @param {Object} filter - Additional conditions
+ */
+donationSchema.statics.countedFilter = function(filter = {}) {
+    return { ...filter, status: 'donated' };
+};
+
+/**
+ * Static method to find when a drive's first and latest counted donations happened
+ * @param {ObjectId} driveId - Drive to look at
+ * @returns {Promise<{ firstDonatedAt: Date|null, lastDonatedAt: Date|null }>}
+ */
+donationSchema.statics.getTimeRange = async function(driveId) {
+    const [range] = await this.aggregate([
+        { $match: this.countedFilter({ drive: driveId }) },
+        {
+            $group: {
+                _id: null,
+                firstDonatedAt: { $min: '$donatedAt' },
+                lastDonatedAt: { $max: '$donatedAt' }
+            }
+        }
+    ]);
+
+    return {
+        firstDonatedAt: range ? range.firstDonatedAt : null,
+        lastDonatedAt: range ? range.lastDonatedAt : null
+    };
+};
+
+// Timeline bucket sizes, in minutes
+const TIMELINE_BUCKETS = {
+    '15m': 15,
+    '1h': 60,
+    '1d': 24 * 60
+};
+
+// Most buckets a timeline fills in, so a stray old record can't produce a huge response
+const MAX_TIMELINE_BUCKETS = 2000;
+
+/**
+ * Formats date parts as a local "YYYY-MM-DDTHH:mm" label
+ * @param {Object} parts - year, month, day, hour, minute
+ * @returns {String} Label
+ */
+function toTimelineLabel({ year, month, day, hour, minute }) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Static method to count a drive's registrations per time bucket
+ * Buckets are in local time for the given timezone; empty buckets between the
+ * first and last registration are included so charts show quiet periods
+ * Each bucket splits its registrations into donated, deferred and pending (not yet through check-in)
+ * @param {ObjectId} driveId - Drive to summarise
+ * @param {Object} options
+ * @param {String} options.bucket - One of TIMELINE_BUCKETS
+ * @param {String} options.timezone - IANA timezone, e.g. "Asia/Kolkata"
+ * @returns {Promise<{ buckets: Array, peak: Object|null }>}
+ */
+donationSchema.statics.getTimeline = async function(driveId, { bucket = '1h', timezone = 'UTC' } = {}) {
+    const minutes = TIMELINE_BUCKETS[bucket];
+
+    const rows = await this.aggregate([
+        { $match: { drive: driveId } },
+        {
+            $project: {
+                status: 1,
+                parts: { $dateToParts: { date: '$donatedAt', timezone } }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    year: '$parts.year',
+                    month: '$parts.month',
+                    day: '$parts.day',
+                    hour: minutes >= 24 * 60 ? { $literal: 0 } : '$parts.hour',
+                    minute: minutes >= 60
+                        ? { $literal: 0 }
+                        : { $multiply: [{ $floor: { $divide: ['$parts.minute', minutes] } }, minutes] }
+                },
+                registrations: { $sum: 1 },
+                donated: { $sum: { $cond: [{ $eq: ['$status', 'donated'] }, 1, 0] } },
+                deferred: { $sum: { $cond: [{ $eq: ['$status', 'deferred'] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    const counts = new Map(rows.map(row => [toTimelineLabel(row._id), row]));
+    const labels = [...counts.keys()].sort();
+    if (labels.length === 0) {
+        return { buckets: [], peak: null };
+    }
+
+    // Step through local labels as if they were UTC, so DST never skips or repeats a bucket
+    const toTime = label => new Date(`${label}:00Z`).getTime();
+    const stepMs = minutes * 60 * 1000;
+    const first = toTime(labels[0]);
+    const last = toTime(labels[labels.length - 1]);
+    const filled = (last - first) / stepMs < MAX_TIMELINE_BUCKETS
+        ? Array.from({ length: (last - first) / stepMs + 1 }, (_, i) => new Date(first + i * stepMs).toISOString().slice(0, 16))
+        : labels;
+
+    const buckets = filled.map(label => {
+        const row = counts.get(label);
+        const registrations = row ? row.registrations : 0;
+        const donated = row ? row.donated : 0;
+        const deferred = row ? row.deferred : 0;
+        return { label, registrations, donated, deferred, pending: registrations - donated - deferred };
+    });
+
+    const peak = buckets.reduce((best, item) => (item.registrations > best.registrations ? item : best));
+
+    return { buckets, peak };
+};
+
+donationSchema.statics.TIMELINE_BUCKETS = Object.keys(TIMELINE_BUCKETS);
+
+/**
+ * Static method to find a visit by its check-in code, ignoring case and spaces
+ * @param {String} code - Code as typed or scanned
+ * @returns {Promise<Document|null>} Donation
+ */
+donationSchema.statics.findByCheckInCode = function(code) {
+    const normalised = normalizeCode(code);
+    if (!normalised) return Promise.resolve(null);
+
+    return this.findOne({ checkInCode: normalised });
+};
+
+// Where age bands in breakdowns split, when inside the configured age range
+const AGE_BAND_SPLITS = [25, 35, 45, 55];
+
+/**
+ * Lower bounds of the age bands for an age range (last value is the exclusive upper bound)
+ * @param {Number} ageMin - Youngest donor age
+ * @param {Number} ageMax - Oldest donor age
+ * @returns {Number[]} e.g. [18, 25, 35, 45, 55, 66]
+ */
+function ageBandBoundaries(ageMin, ageMax) {
+    return [ageMin, ...AGE_BAND_SPLITS.filter(split => split > ageMin && split <= ageMax), ageMax + 1];
+}
+
+/**
+ * Static method to count a drive's donated units by blood group, academic year and age band
+ * @param {ObjectId} driveId - Drive to summarise
+ * @param {Object} config - Form configuration (age range and year options)
+ * @returns {Promise<{ bloodGroup: Array, year: Array|null, ageBand: Array }>} `year` is null when the form doesn't ask for it
+ */
+donationSchema.statics.getBreakdown = async function(driveId, config) {
+    const boundaries = ageBandBoundaries(config.ageMin, config.ageMax);
+
+    const [result] = await this.aggregate([
+        { $match: this.countedFilter({ drive: driveId }) },
+        {
+            $lookup: {
+                from: mongoose.model('Donor').collection.name,
+                localField: 'donor',
+                foreignField: '_id',
+                as: 'donor'
+            }
+        },
+        { $unwind: '$donor' },
+        {
+            $facet: {
+                bloodGroup: [
+                    { $group: { _id: '$donor.bloodGroup', count: { $sum: 1 } } }
+                ],
+                year: [
+                    { $group: { _id: '$donor.year', count: { $sum: 1 } } }
+                ],
+                ageBand: [
+                    {
+                        $bucket: {
+                            groupBy: '$donor.age',
+                            boundaries,
+                            default: 'other',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const toMap = rows => new Map(rows.map(row => [row._id, row.count]));
+    const bloodGroups = toMap(result.bloodGroup);
+    const years = toMap(result.year);
+    const ageBands = toMap(result.ageBand);
+
+    // Always list every category, in display order, so empty ones show as zero
+    const bloodGroupValues = mongoose.model('Donor').schema.path('bloodGroup').enumValues;
+
+    return {
+        bloodGroup: bloodGroupValues.map(group => ({ label: group, count: bloodGroups.get(group) || 0 })),
+        year: config.year.enabled
+            ? config.year.options.map(({ value }) => ({ label: value, count: years.get(value) || 0 }))
+            : null,
+        ageBand: boundaries.slice(0, -1).map((min, i) => ({
+            label: `${min}–${boundaries[i + 1] - 1}`,
+            count: ageBands.get(min) || 0
+        }))
+    };
+};
+
+module.exports = mongoose.model('Donation', donationSchema);
@@ -1,9 +1,17 @@
 /**
  * Donor Model
  * Stores information about blood donors
+ * One document per person, identified by roll number, email or phone;
+ * each visit to a drive is a separate Donation
  */
 
 const mongoose = require('mongoose');
+const { BLOOD_GROUPS, DONOR_FIELDS, buildDonorFields, buildCustomFields, validateField } = require('../../public/validation');
+const FormConfig = require('./FormConfig');
+const { generateCode } = require('../utils/codes');
+
+// Limits and messages come from the rules shared with the registration form
+const { fullName, certificateName, rollNumber, email } = DONOR_FIELDS;
 
 const donorSchema = new mongoose.Schema({
     // Full name of the donor
@@ -11,42 +19,201 @@ const donorSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Full name is required'],
         trim: true,
-        minlength: [2, 'Name must be at least 2 characters long']
+        minlength: [fullName.minLength, fullName.messages.minLength],
+        maxlength: [fullName.maxLength, fullName.messages.maxLength]
+    },
+    // Full name in English letters, printed on certificates when fullName is in another script
+    certificateName: {
+        type: String,
+        trim: true,
+        maxlength: [certificateName.maxLength, certificateName.messages.maxLength]
     },
     // Blood group of the donor
     bloodGroup: {
         type: String,
         required: [true, 'Blood group is required'],
         enum: {
-            values: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-            message: 'Invalid blood group'
+            values: BLOOD_GROUPS,
+            message: DONOR_FIELDS.bloodGroup.messages.invalid
         }
     },
-    // Age of the donor (must be 18 or older)
+    // Age of the donor (limits come from the form configuration, see the validate hook)
     age: {
         type: Number,
-        required: [true, 'Age is required'],
-        min: [18, 'Donor must be at least 18 years old'],
-        max: [65, 'Donor must be 65 years or younger']
+        required: [true, 'Age is required']
     },
-    // Academic year of the donor
+    // Academic year of the donor, when the form asks for it
     year: {
+        type: String
+    },
+    // College roll number / ID (stable identity key)
+    rollNumber: {
         type: String,
-        required: [true, 'Year is required'],
-        enum: {
-            values: ['FY', 'SY', 'TY', 'Final Year'],
-            message: 'Invalid year selection'
-        }
+        trim: true,
+        uppercase: true,
+        maxlength: [rollNumber.maxLength, rollNumber.messages.maxLength]
+    },
+    // Email address (stable identity key)
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [email.maxLength, email.messages.invalid],
+        match: [email.pattern, email.messages.invalid]
+    },
+    // Phone number, digits only (stable identity key)
+    phone: {
+        type: String,
+        trim: true,
+        match: [/^\d{10,15}$/, 'Please enter a valid phone number']
+    },
+    // Answers to the form's custom fields (department, hostel, ...), keyed by field name
+    customFields: {
+        type: Map,
+        of: String
+    },
+    // Agreed to have their name shown on public screens
+    displayConsent: {
+        type: Boolean,
+        default: false
+    },
+    // Agreed to receive a confirmation and follow-up messages at their email / phone
+    contactConsent: {
+        type: Boolean,
+        default: false
+    },
+    // Number of completed donations
+    donationCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Timestamp of the most recent completed donation
+    lastDonatedAt: {
+        type: Date
     },
-    // Timestamp of donation registration
-    donatedAt: {
+    // Printed on the donor's certificates; looked up by the public verify page
+    certificateCode: {
+        type: String,
+        uppercase: true
+    },
+    // Timestamp of first registration
+    createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
 // Add indexes for better query performance
-donorSchema.index({ donatedAt: -1 }); // For sorting recent donors
 donorSchema.index({ bloodGroup: 1 }); // For filtering by blood group
+donorSchema.index({ lastDonatedAt: -1 }); // For finding donors by time since last donation
+
+// Identity keys are unique when present
+donorSchema.index({ rollNumber: 1 }, { unique: true, sparse: true });
+donorSchema.index({ email: 1 }, { unique: true, sparse: true });
+donorSchema.index({ phone: 1 }, { unique: true, sparse: true });
+donorSchema.index({ certificateCode: 1 }, { unique: true, sparse: true });
+
+/**
+ * Checks age, year and custom fields against the current form configuration
+ * Only values being set are checked, so donors registered under older
+ * settings can still be edited
+ */
+donorSchema.pre('validate', async function() {
+    const config = await FormConfig.getCurrent();
+    const fields = buildDonorFields(config);
+    const check = (path, field, value) => {
+        const { error } = validateField(field, value);
+        if (error) this.invalidate(path, error, value);
+    };
+
+    if (this.isNew || this.isModified('age')) {
+        check('age', fields.age, this.age);
+    }
+    if (fields.year && (this.isNew || this.isModified('year'))) {
+        check('year', fields.year, this.year);
+    }
+    if (this.isNew || this.isModified('customFields')) {
+        const answers = this.customFields || new Map();
+        Object.entries(buildCustomFields(config)).forEach(([name, field]) => {
+            check(`customFields.${name}`, field, answers.get(name));
+        });
+    }
+});
+
+/**
+ * Static method to normalise identity keys from user input
+ * Empty values are dropped so they don't collide in the sparse indexes
+ * @param {Object} input - Object with rollNumber, email and/or phone
+ * @returns {Object} Normalised keys that were provided
+ */
+donorSchema.statics.normalizeIdentity = function(input = {}) {
+    const identity = {};
+
+    if (input.rollNumber && String(input.rollNumber).trim()) {
+        identity.rollNumber = String(input.rollNumber).trim().toUpperCase();
+    }
+    if (input.email && String(input.email).trim()) {
+        identity.email = String(input.email).trim().toLowerCase();
+    }
+    if (input.phone && String(input.phone).trim()) {
+        // Keep digits only so "+91 98765-43210" and "919876543210" match
+        identity.phone = String(input.phone).replace(/\D/g, '');
+    }
+
+    return identity;
+};
+
+/**
+ * Static method to find a returning donor by any of their identity keys
+ * @param {Object} identity - Normalised identity keys
+ * @returns {Promise<Document|null>} The donor, or null for a first-time donor
+ */
+donorSchema.statics.findByIdentity = function(identity) {
+    const conditions = Object.entries(identity).map(([key, value]) => ({ [key]: value }));
+    if (conditions.length === 0) return Promise.resolve(null);
+
+    return this.findOne({ $or: conditions });
+};
+
+/**
+ * Static method to record a completed donation against a donor
+ * @param {ObjectId} donorId - Donor id
+ * @param {Date} donatedAt - When the donation happened
+ * @returns {Promise<Document>} Updated donor
+ */
+donorSchema.statics.recordDonation = function(donorId, donatedAt) {
+    return this.findByIdAndUpdate(
+        donorId,
+        {
+            $inc: { donationCount: 1 },
+            $max: { lastDonatedAt: donatedAt }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Static method to give a donor a certificate code the first time one is issued
+ * @param {ObjectId} donorId - Donor id
+ * @returns {Promise<Document|null>} Donor with its certificate code, or null if not found
+ */
+donorSchema.statics.ensureCertificateCode = async function(donorId) {
+    // Retry on the rare collision with another donor's code
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            const donor = await this.findOneAndUpdate(
+                { _id: donorId, certificateCode: { $exists: false } },
+                { certificateCode: generateCode() },
+                { new: true }
+            );
+            // Already had a code (or doesn't exist)
+            return donor || await this.findById(donorId);
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+    throw new Error('Could not generate a unique certificate code');
+};
 
 module.exports = mongoose.model('Donor', donorSchema);
@@ -0,0 +1,163 @@
+/**
+ * Drive Model
+ * Stores a single blood donation drive (event)
+ * Donors and stats are scoped to a drive so past drives stay browsable
+ */
+
+const mongoose = require('mongoose');
+const { PUBLIC_NAME_MODES } = require('../utils/privacy');
+
+const driveSchema = new mongoose.Schema({
+    // Display name of the drive
+    name: {
+        type: String,
+        required: [true, 'Drive name is required'],
+        trim: true,
+        maxlength: [120, 'Drive name must be 120 characters or fewer']
+    },
+    // URL-friendly identifier used in routes (e.g. /dashboard/:slug)
+    slug: {
+        type: String,
+        required: [true, 'Drive slug is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may contain only lowercase letters, numbers and hyphens'],
+        validate: {
+            // "current" is reserved for /api/drives/current
+            validator: value => value !== 'current',
+            message: 'This slug is reserved'
+        }
+    },
+    // Where the drive takes place
+    venue: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // First day of the drive
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    // Last day of the drive
+    endDate: {
+        type: Date,
+        required: [true, 'End date is required'],
+        validate: {
+            validator: function(value) {
+                return !this.startDate || value >= this.startDate;
+            },
+            message: 'End date must be on or after the start date'
+        }
+    },
+    // Number of units the organisers are aiming for
+    targetUnits: {
+        type: Number,
+        default: 0,
+        min: [0, 'Target units cannot be negative']
+    },
+    // How donors who agreed to be displayed appear on public screens
+    publicNames: {
+        type: String,
+        enum: {
+            values: PUBLIC_NAME_MODES,
+            message: 'Public names must be full, masked or anonymous'
+        },
+        default: 'masked'
+    },
+    // The drive new registrations go to (only one at a time)
+    isActive: {
+        type: Boolean,
+        default: false
+    },
+    // Creation timestamp
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Ensure unique index on slug
+driveSchema.index({ slug: 1 }, { unique: true });
+driveSchema.index({ startDate: -1 }); // For listing drives newest first
+
+/**
+ * Converts a drive name into a slug
+ * @param {String} name - Drive name
+ * @returns {String} Slug
+ */
+driveSchema.statics.slugify = function(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Static method to find a drive by its slug
+ * @param {String} slug - Drive slug
+ */
+driveSchema.statics.findBySlug = function(slug) {
+    return this.findOne({ slug: String(slug || '').toLowerCase() });
+};
+
+/**
+ * Static method to get the drive that accepts new registrations
+ * Creates a default drive (and adopts donors recorded before drives existed)
+ * the first time it runs against an empty collection
+ */
+driveSchema.statics.getCurrent = async function() {
+    let drive = await this.findOne({ isActive: true });
+    if (drive) return drive;
+
+    // No active drive: fall back to the most recent one
+    drive = await this.findOne().sort({ startDate: -1 });
+    if (drive) return drive;
+
+    const now = new Date();
+    drive = await this.create({
+        name: 'Blood Donation Drive',
+        slug: 'default',
+        startDate: now,
+        endDate: now,
+        isActive: true
+    });
+
+    // Attach donors and the counter from the single-drive era to the default drive
+    // (raw collection update: `drive` is a legacy field the Donor schema no longer has)
+    const Donor = mongoose.model('Donor');
+    const Stats = mongoose.model('Stats');
+    await Donor.collection.updateMany(
+        { drive: { $exists: false }, donatedAt: { $exists: true } },
+        { $set: { drive: drive._id } }
+    );
+    await Stats.updateOne({ identifier: 'global' }, { $set: { identifier: drive._id.toString() } });
+
+    return drive;
+};
+
+/**
+ * Static method to make one drive the active drive
+ * @param {ObjectId} driveId - Drive to activate
+ */
+driveSchema.statics.activate = async function(driveId) {
+    await this.updateMany({ _id: { $ne: driveId } }, { $set: { isActive: false } });
+    return this.findByIdAndUpdate(driveId, { $set: { isActive: true } }, { new: true });
+};
+
+/**
+ * Public representation of the drive
+ */
+driveSchema.methods.toSummary = function() {
+    return {
+        name: this.name,
+        slug: this.slug,
+        venue: this.venue,
+        startDate: this.startDate,
+        endDate: this.endDate,
+        targetUnits: this.targetUnits,
+        isActive: this.isActive
+    };
+};
+
+module.exports = mongoose.model('Drive', driveSchema);
@@ -0,0 +1,252 @@
+/**
+ * FormConfig Model
+ * Admin-editable registration form settings: age limits, the academic year
+ * field, custom fields (department, hostel, ...) and the lives-per-unit figure
+ * A single document; the defaults in validation.js apply until one is saved
+ */
+
+const mongoose = require('mongoose');
+const { CUSTOM_FIELD_TYPES, resolveFormConfig } = require('../../public/validation');
+
+// Key of the one settings document
+const SINGLETON_KEY = 'default';
+
+// How long a server instance reuses the settings before reading them again
+// (other instances pick up a change within this time)
+const CACHE_MS = 30 * 1000;
+
+const MAX_CUSTOM_FIELDS = 10;
+const MAX_OPTIONS = 50;
+
+const optionSchema = new mongoose.Schema({
+    // Stored on the donor
+    value: {
+        type: String,
+        required: [true, 'Option value is required'],
+        trim: true,
+        maxlength: [40, 'Option values must be 40 characters or fewer']
+    },
+    // Shown on the form
+    label: {
+        type: String,
+        required: [true, 'Option label is required'],
+        trim: true,
+        maxlength: [60, 'Option labels must be 60 characters or fewer']
+    }
+}, { _id: false });
+
+const customFieldSchema = new mongoose.Schema({
+    // Key the answer is stored under (donor.customFields.<name>)
+    name: {
+        type: String,
+        required: [true, 'Custom field name is required'],
+        match: [/^[a-z][A-Za-z0-9]{0,39}$/, 'Custom field names must start with a letter and contain only letters and digits']
+    },
+    // Question shown on the form
+    label: {
+        type: String,
+        required: [true, 'Custom field label is required'],
+        trim: true,
+        maxlength: [60, 'Custom field labels must be 60 characters or fewer']
+    },
+    // Free text, or a choice from `options`
+    type: {
+        type: String,
+        enum: {
+            values: CUSTOM_FIELD_TYPES,
+            message: 'Custom fields must be text or select'
+        },
+        default: 'text'
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    // Choices for select fields
+    options: {
+        type: [{ type: String, trim: true, maxlength: [60, 'Options must be 60 characters or fewer'] }],
+        validate: {
+            validator: function(options) {
+                return this.type !== 'select' || (options.length > 0 && options.length <= MAX_OPTIONS);
+            },
+            message: `Select fields need between 1 and ${MAX_OPTIONS} options`
+        }
+    }
+}, { _id: false });
+
+const formConfigSchema = new mongoose.Schema({
+    // Always SINGLETON_KEY
+    key: {
+        type: String,
+        default: SINGLETON_KEY
+    },
+    // Youngest and oldest age a donor may register at
+    ageMin: {
+        type: Number,
+        required: [true, 'Minimum age is required'],
+        min: [16, 'Minimum age cannot be below 16'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Ages must be whole years'
+        }
+    },
+    ageMax: {
+        type: Number,
+        required: [true, 'Maximum age is required'],
+        max: [75, 'Maximum age cannot be above 75'],
+        validate: [{
+            validator: Number.isInteger,
+            message: 'Ages must be whole years'
+        }, {
+            validator: function(value) {
+                return this.ageMin === undefined || value > this.ageMin;
+            },
+            message: 'Maximum age must be above the minimum age'
+        }]
+    },
+    // Multiplier behind the "lives saved" figures
+    livesPerUnit: {
+        type: Number,
+        required: [true, 'Lives per unit is required'],
+        min: [1, 'Lives per unit must be between 1 and 10'],
+        max: [10, 'Lives per unit must be between 1 and 10'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Lives per unit must be a whole number'
+        }
+    },
+    // Academic year question; turned off for drives open to staff and the public
+    year: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        required: {
+            type: Boolean,
+            default: true
+        },
+        label: {
+            type: String,
+            required: [true, 'The year label is required'],
+            trim: true,
+            default: 'Academic Year',
+            maxlength: [60, 'The year label must be 60 characters or fewer']
+        },
+        options: {
+            type: [optionSchema],
+            validate: {
+                validator: function(options) {
+                    return !this.year.enabled || (options.length > 0 && options.length <= MAX_OPTIONS);
+                },
+                message: `The year field needs between 1 and ${MAX_OPTIONS} options`
+            }
+        }
+    },
+    // Extra questions, in form order
+    customFields: {
+        type: [customFieldSchema],
+        validate: [{
+            validator: fields => fields.length <= MAX_CUSTOM_FIELDS,
+            message: `A form can have at most ${MAX_CUSTOM_FIELDS} custom fields`
+        }, {
+            validator: fields => new Set(fields.map(field => field.name)).size === fields.length,
+            message: 'Custom fields need different names'
+        }]
+    },
+    // Admin who last changed the settings
+    updatedBy: {
+        type: String
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+formConfigSchema.index({ key: 1 }, { unique: true });
+
+// Settings last read by this instance: { config, loadedAt }
+let cache = null;
+
+/**
+ * Converts a saved document into a complete configuration
+ * @param {Object|null} saved - Plain settings document
+ * @returns {Object} Configuration as validation.js expects it
+ */
+function toConfig(saved) {
+    if (!saved) return resolveFormConfig(null);
+
+    return resolveFormConfig({
+        ageMin: saved.ageMin,
+        ageMax: saved.ageMax,
+        livesPerUnit: saved.livesPerUnit,
+        year: {
+            enabled: saved.year.enabled,
+            required: saved.year.required,
+            label: saved.year.label,
+            options: saved.year.options.map(({ value, label }) => ({ value, label }))
+        },
+        customFields: saved.customFields.map(({ name, label, type, required, options }) => ({
+            name, label, type, required, options: type === 'select' ? options : []
+        }))
+    });
+}
+
+/**
+ * Converts a custom field label into a field name
+ * @param {String} label - e.g. "Hostel / Residence"
+ * @returns {String} e.g. "hostelResidence"
+ */
+formConfigSchema.statics.nameFromLabel = function(label) {
+    const name = String(label || '')
+        .replace(/[^A-Za-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .map((word, i) => (i === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+        .join('');
+
+    // Names must start with a letter ("2nd Language" becomes "field2ndLanguage")
+    return /^[0-9]/.test(name) ? `field${name}` : name;
+};
+
+/**
+ * Static method to get the current form configuration
+ * Cached per instance for CACHE_MS, so registrations don't each read it
+ * @returns {Promise<Object>} Complete configuration
+ */
+formConfigSchema.statics.getCurrent = async function() {
+    if (cache && Date.now() - cache.loadedAt < CACHE_MS) {
+        return cache.config;
+    }
+
+    const saved = await this.findOne({ key: SINGLETON_KEY }).lean();
+    cache = { config: toConfig(saved), loadedAt: Date.now() };
+    return cache.config;
+};
+
+/**
+ * Static method to update the form configuration
+ * @param {Object} input - Any of ageMin, ageMax, livesPerUnit, year, customFields
+ * @param {String} updatedBy - Admin username
+ * @returns {Promise<Object>} Complete configuration
+ * @throws {mongoose.Error.ValidationError} When the settings are invalid
+ */
+formConfigSchema.statics.saveConfig = async function(input, updatedBy) {
+    const doc = await this.findOne({ key: SINGLETON_KEY }) || new this({ key: SINGLETON_KEY });
+
+    // Settings left out of the input keep their current values
+    const current = toConfig(doc.isNew ? null : doc.toObject());
+    doc.set({
+        ...current,
+        ...input,
+        year: { ...current.year, ...input.year },
+        updatedBy,
+        updatedAt: new Date()
+    });
+    await doc.save();
+
+    cache = { config: toConfig(doc.toObject()), loadedAt: Date.now() };
+    return cache.config;
+};
+
+module.exports = mongoose.model('FormConfig', formConfigSchema);
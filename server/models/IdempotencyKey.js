@@ -0,0 +1,42 @@
+/**
+ * IdempotencyKey Model
+ * Remembers the response to a request sent with an Idempotency-Key header,
+ * so a retried submission gets the same answer instead of creating a duplicate
+ */
+
+const mongoose = require('mongoose');
+
+// How long a key is remembered
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+    // Route the key was used on
+    scope: {
+        type: String,
+        required: true
+    },
+    // Client-generated key
+    key: {
+        type: String,
+        required: true
+    },
+    // Hash of the request body, to catch a key reused for a different request
+    requestHash: {
+        type: String,
+        required: true
+    },
+    // Saved response (missing while the first request is still running)
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed,
+    // Creation timestamp
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for better query performance
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true }); // A key is claimed once per route
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: KEY_TTL_SECONDS }); // Forget old keys
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
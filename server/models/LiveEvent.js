@@ -0,0 +1,46 @@
+/**
+ * LiveEvent Model
+ * Dashboard updates (new donors, changed totals) waiting to be sent over Server-Sent Events
+ * Lives in MongoDB so every server instance can send every change to the dashboards it holds open
+ */
+
+const mongoose = require('mongoose');
+
+// How long an event is kept; instances only look a few seconds back
+const EVENT_TTL_SECONDS = 10 * 60;
+
+const liveEventSchema = new mongoose.Schema({
+    // SSE event name (e.g. "donor-registered")
+    event: {
+        type: String,
+        required: true
+    },
+    // Slug of the drive the event belongs to
+    drive: {
+        type: String,
+        required: true
+    },
+    // JSON payload sent to the dashboards
+    data: mongoose.Schema.Types.Mixed,
+    // Creation timestamp
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for better query performance
+liveEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_TTL_SECONDS }); // Recent events, and clean up old ones
+
+/**
+ * Static method to get the events created after a time, oldest first
+ * @param {Date} since - Start time (exclusive)
+ * @returns {Promise<Object[]>} Plain event objects
+ */
+liveEventSchema.statics.findSince = function(since) {
+    return this.find({ createdAt: { $gt: since } })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+};
+
+module.exports = mongoose.model('LiveEvent', liveEventSchema);
@@ -0,0 +1,134 @@
+/**
+ * Notification Model
+ * Outbox of messages to donors (email or SMS), sent when due by the notifier
+ * Kept in MongoDB so scheduled messages survive restarts and serverless instances
+ */
+
+const mongoose = require('mongoose');
+
+const TYPES = ['registration-confirmation', 'post-donation-care', 'eligible-again', 'blood-request'];
+const CHANNELS = ['email', 'sms'];
+
+const notificationSchema = new mongoose.Schema({
+    // Which message this is; the text is rendered when it's sent
+    type: {
+        type: String,
+        required: [true, 'Notification type is required'],
+        enum: {
+            values: TYPES,
+            message: 'Invalid notification type'
+        }
+    },
+    channel: {
+        type: String,
+        required: [true, 'Channel is required'],
+        enum: {
+            values: CHANNELS,
+            message: 'Invalid notification channel'
+        }
+    },
+    donor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Donor',
+        required: [true, 'Donor is required']
+    },
+    // What the message is about: a visit, or a hospital's request for blood
+    donation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Donation'
+    },
+    bloodRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BloodRequest'
+    },
+    // Lifecycle: pending -> sending -> sent, back to pending for a retry,
+    // or failed / cancelled (donor withdrew consent or removed the contact detail)
+    status: {
+        type: String,
+        enum: {
+            values: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+            message: 'Invalid notification status'
+        },
+        default: 'pending'
+    },
+    // Due time; while sending, when the claim expires and another run may retry
+    sendAt: {
+        type: Date,
+        required: [true, 'Send time is required']
+    },
+    // Send attempts so far
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String
+    },
+    // Address or number the message went to, and the provider's message id
+    to: {
+        type: String
+    },
+    providerId: {
+        type: String
+    },
+    sentAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Add indexes for better query performance
+// Scheduling a message twice is a no-op
+notificationSchema.index(
+    { donation: 1, type: 1, channel: 1 },
+    { unique: true, partialFilterExpression: { donation: { $exists: true } } }
+);
+notificationSchema.index(
+    { bloodRequest: 1, donor: 1, channel: 1 },
+    { unique: true, partialFilterExpression: { bloodRequest: { $exists: true } } }
+);
+notificationSchema.index({ status: 1, sendAt: 1 }); // For finding due messages
+notificationSchema.index({ donor: 1 }); // For removing a donor's records
+
+notificationSchema.statics.TYPES = TYPES;
+notificationSchema.statics.CHANNELS = CHANNELS;
+
+/**
+ * Static method to schedule a message, ignoring one that's already scheduled
+ * @param {Object} notification - type, channel, donor, donation or bloodRequest, sendAt
+ * @returns {Promise<Boolean>} Whether a new message was scheduled
+ */
+notificationSchema.statics.schedule = async function(notification) {
+    const { type, channel, donor, donation, bloodRequest, ...details } = notification;
+    // Only the references given, so a missing one isn't stored as null
+    const key = { type, channel, donor };
+    if (donation) key.donation = donation;
+    if (bloodRequest) key.bloodRequest = bloodRequest;
+
+    const result = await this.updateOne(
+        key,
+        { $setOnInsert: { ...details, status: 'pending', attempts: 0, createdAt: new Date() } },
+        { upsert: true, runValidators: true }
+    );
+    return result.upsertedCount > 0;
+};
+
+/**
+ * Static method to claim the next due message for sending
+ * The claim lasts `lockMs`; a message left in 'sending' by a crashed run is retried after that
+ * @param {Date} now - Current time
+ * @param {Number} lockMs - How long the claim lasts, in milliseconds
+ * @returns {Promise<Document|null>} Claimed message, or null when none are due
+ */
+notificationSchema.statics.claimDue = function(now, lockMs) {
+    return this.findOneAndUpdate(
+        { status: { $in: ['pending', 'sending'] }, sendAt: { $lte: now } },
+        { status: 'sending', sendAt: new Date(now.getTime() + lockMs), $inc: { attempts: 1 } },
+        { new: true, sort: { sendAt: 1 } }
+    );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,59 @@
+/**
+ * RateLimit Model
+ * Request counters for fixed time windows, shared by every server instance
+ * Lives in MongoDB so limits hold in serverless deployments without in-memory state
+ */
+
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+    // Limiter name, client key and window start (e.g. "donate-ip:1.2.3.4:1718000000000")
+    key: {
+        type: String,
+        required: true
+    },
+    // Requests seen in the window
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the window; MongoDB removes the counter after this
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Add indexes for better query performance
+rateLimitSchema.index({ key: 1 }, { unique: true }); // One counter per client per window
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Clean up finished windows
+
+/**
+ * Static method to count a request against a client's current window
+ * @param {String} key - Limiter name and client key
+ * @param {Number} windowMs - Window length in milliseconds
+ * @param {Date} now - Current time
+ * @returns {Promise<{ count: Number, resetAt: Date }>} Requests so far in the window, and when it ends
+ */
+rateLimitSchema.statics.hit = async function(key, windowMs, now = new Date()) {
+    const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+    const resetAt = new Date(windowStart + windowMs);
+    const update = () => this.findOneAndUpdate(
+        { key: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+        { new: true, upsert: true }
+    );
+
+    let counter;
+    try {
+        counter = await update();
+    } catch (error) {
+        // Two first requests raced to create the counter; the loser just increments it
+        if (error.code !== 11000) throw error;
+        counter = await update();
+    }
+
+    return { count: counter.count, resetAt };
+};
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,95 @@
+/**
+ * Slot Model
+ * An appointment window at a drive that donors can book ahead of time
+ */
+
+const mongoose = require('mongoose');
+
+const slotSchema = new mongoose.Schema({
+    // Drive the slot belongs to
+    drive: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Drive',
+        required: [true, 'Drive is required']
+    },
+    // Start of the appointment window
+    startsAt: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    // End of the appointment window
+    endsAt: {
+        type: Date,
+        required: [true, 'End time is required'],
+        validate: {
+            validator: function(value) {
+                return !this.startsAt || value > this.startsAt;
+            },
+            message: 'End time must be after the start time'
+        }
+    },
+    // Number of donors the beds can take in this window
+    capacity: {
+        type: Number,
+        required: [true, 'Capacity is required'],
+        min: [1, 'Capacity must be at least 1']
+    },
+    // Number of active bookings (only changed atomically by reserve/release)
+    bookedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+// Add indexes for better query performance
+slotSchema.index({ drive: 1, startsAt: 1 }); // For listing a drive's slots in order
+
+/**
+ * Static method to take one place in a slot
+ * The capacity check and increment happen in a single update, so concurrent
+ * bookings can never push a slot past its capacity
+ * @param {ObjectId} slotId - Slot id
+ * @param {Date} now - Current time (slots that have started can't be booked)
+ * @returns {Promise<Document|null>} Updated slot, or null if full or already started
+ */
+slotSchema.statics.reserve = function(slotId, now = new Date()) {
+    return this.findOneAndUpdate(
+        {
+            _id: slotId,
+            startsAt: { $gt: now },
+            $expr: { $lt: ['$bookedCount', '$capacity'] }
+        },
+        { $inc: { bookedCount: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * Static method to give back a place taken with reserve()
+ * @param {ObjectId} slotId - Slot id
+ * @returns {Promise} Update result
+ */
+slotSchema.statics.release = function(slotId) {
+    return this.updateOne(
+        { _id: slotId, bookedCount: { $gt: 0 } },
+        { $inc: { bookedCount: -1 } }
+    );
+};
+
+/**
+ * Instance method to get the fields shown to donors
+ * @returns {Object} Slot summary
+ */
+slotSchema.methods.toSummary = function() {
+    return {
+        id: this._id,
+        startsAt: this.startsAt,
+        endsAt: this.endsAt,
+        capacity: this.capacity,
+        bookedCount: this.bookedCount,
+        available: Math.max(this.capacity - this.bookedCount, 0)
+    };
+};
+
+module.exports = mongoose.model('Slot', slotSchema);
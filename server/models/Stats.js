@@ -1,13 +1,13 @@
 /**
  * Stats Model
  * Stores the total blood units collected counter
- * Uses a singleton pattern - only one document exists
+ * One document per drive, keyed by the drive's id
  */
 
 const mongoose = require('mongoose');
 
 const statsSchema = new mongoose.Schema({
-    // Identifier for the stats document (always 'global')
+    // Identifier for the stats document (the drive id, or 'global' for legacy data)
     identifier: {
         type: String,
         default: 'global'
@@ -30,14 +30,16 @@ const statsSchema = new mongoose.Schema({
 statsSchema.index({ identifier: 1 }, { unique: true });
 
 /**
- * Static method to get the current stats
+ * Static method to get the stats for a drive
  * Creates the document if it doesn't exist
+ * @param {ObjectId|String} identifier - Drive id (default: 'global')
  */
-statsSchema.statics.getStats = async function() {
-    let stats = await this.findOne({ identifier: 'global' });
+statsSchema.statics.getStats = async function(identifier = 'global') {
+    identifier = identifier.toString();
+    let stats = await this.findOne({ identifier });
     
     if (!stats) {
-        stats = await this.create({ identifier: 'global', totalBloodUnits: 0 });
+        stats = await this.create({ identifier, totalBloodUnits: 0 });
     }
     
     return stats;
@@ -46,10 +48,11 @@ statsSchema.statics.getStats = async function() {
 /**
  * Static method to increment the blood unit count
  * @param {Number} amount - Amount to increment (default: 1)
+ * @param {ObjectId|String} identifier - Drive id (default: 'global')
  */
-statsSchema.statics.incrementCount = async function(amount = 1) {
+statsSchema.statics.incrementCount = async function(amount = 1, identifier = 'global') {
     const stats = await this.findOneAndUpdate(
-        { identifier: 'global' },
+        { identifier: identifier.toString() },
         { 
             $inc: { totalBloodUnits: amount },
             $set: { lastUpdated: new Date() }
@@ -64,4 +67,17 @@ statsSchema.statics.incrementCount = async function(amount = 1) {
     return stats;
 };
 
+/**
+ * Static method to overwrite the count (used when re-syncing from donor records)
+ * @param {Number} total - Actual number of units
+ * @param {ObjectId|String} identifier - Drive id (default: 'global')
+ */
+statsSchema.statics.setCount = function(total, identifier = 'global') {
+    return this.findOneAndUpdate(
+        { identifier: identifier.toString() },
+        { $set: { totalBloodUnits: total, lastUpdated: new Date() } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
 module.exports = mongoose.model('Stats', statsSchema);
@@ -0,0 +1,261 @@
+/**
+ * Notifier
+ * Schedules messages to donors who opted in, and sends them when due with retries
+ * Messages wait in the Notification outbox; `dispatchDue` is run by a timer on a
+ * long-running server, or by a cron request on serverless platforms
+ */
+
+const Notification = require('../models/Notification');
+const Donor = require('../models/Donor');
+const Donation = require('../models/Donation');
+const BloodRequest = require('../models/BloodRequest');
+const FormConfig = require('../models/FormConfig');
+const { MIN_DONATION_GAP_DAYS } = require('../utils/eligibility');
+const { renderMessage } = require('./messages');
+const { TransportError, createTransport } = require('./transports');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Care reminder goes out the day after the donation
+const CARE_DELAY_MS = 24 * HOUR_MS;
+
+// Retries back off 1, 2, 4, 8 minutes before a message is given up on
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = MINUTE_MS;
+
+// A claimed message that isn't finished by then (crashed run) is picked up again
+const CLAIM_MS = 2 * MINUTE_MS;
+
+// Country code added to 10-digit phone numbers for SMS
+const SMS_COUNTRY_CODE = process.env.NOTIFY_SMS_COUNTRY_CODE || '91';
+
+const TIMEZONE = process.env.TIMEZONE || 'Asia/Kolkata';
+
+// Transports are built on first use, so a misconfigured provider only fails its own channel
+const transports = {};
+
+/**
+ * Gets the transport for a channel
+ * @param {String} channel - 'email' or 'sms'
+ * @returns {Object} Transport
+ */
+function getTransport(channel) {
+    if (!transports[channel]) {
+        transports[channel] = createTransport(channel);
+    }
+    return transports[channel];
+}
+
+/**
+ * Gets the address a donor is reached at on a channel
+ * @param {Object} donor - Donor (email, phone)
+ * @param {String} channel - 'email' or 'sms'
+ * @returns {String|null} Email address or E.164 phone number, or null
+ */
+function addressFor(donor, channel) {
+    if (channel === 'email') {
+        return donor.email || null;
+    }
+    if (!donor.phone) return null;
+    // Donor phones are stored as digits only
+    return donor.phone.length === 10 ? `+${SMS_COUNTRY_CODE}${donor.phone}` : `+${donor.phone}`;
+}
+
+/**
+ * Schedules a message on every channel the donor can be reached on
+ * Scheduling never fails the request that triggered it; errors are logged
+ * @param {Object} donor - Donor document
+ * @param {Object} about - What the message is about: { donation } or { bloodRequest } id
+ * @param {String} type - Notification type
+ * @param {Date} sendAt - When to send
+ * @returns {Promise<Number>} Messages scheduled
+ */
+async function schedule(donor, about, type, sendAt) {
+    if (!donor.contactConsent) return 0;
+
+    let scheduled = 0;
+    try {
+        for (const channel of Notification.CHANNELS) {
+            if (!addressFor(donor, channel)) continue;
+            if (await Notification.schedule({ type, channel, donor: donor._id, ...about, sendAt })) {
+                scheduled++;
+            }
+        }
+    } catch (error) {
+        console.error(`Error scheduling ${type} notification:`, error);
+    }
+    return scheduled;
+}
+
+/**
+ * Schedules the confirmation sent straight after registering
+ * @param {Object} donor - Donor document
+ * @param {Object} donation - Registered donation, with its check-in code
+ * @param {Date} now - Registration time
+ * @returns {Promise<Number>} Messages scheduled
+ */
+function scheduleRegistrationConfirmation(donor, donation, now = new Date()) {
+    return schedule(donor, { donation: donation._id }, 'registration-confirmation', now);
+}
+
+/**
+ * Schedules the care reminder the next day and the "eligible again" message once the gap has passed
+ * @param {Object} donor - Donor document
+ * @param {Object} donation - Completed donation
+ * @returns {Promise<Number>} Messages scheduled
+ */
+async function scheduleFollowUps(donor, donation) {
+    const about = { donation: donation._id };
+    const donatedAt = donation.donatedAt.getTime();
+    const care = await schedule(donor, about, 'post-donation-care', new Date(donatedAt + CARE_DELAY_MS));
+    const eligible = await schedule(donor, about, 'eligible-again', new Date(donatedAt + MIN_DONATION_GAP_DAYS * DAY_MS));
+    return care + eligible;
+}
+
+/**
+ * Schedules an appeal to a matched donor for an open blood request
+ * @param {Object} donor - Donor document
+ * @param {Object} request - BloodRequest document
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Messages scheduled (0 if the donor was already asked)
+ */
+function scheduleBloodRequest(donor, request, now = new Date()) {
+    return schedule(donor, { bloodRequest: request._id }, 'blood-request', now);
+}
+
+/**
+ * Loads what a message's template needs
+ * @param {Object} notification - Notification document
+ * @returns {Promise<Object|null>} Template data, or null when the message no longer applies
+ */
+async function loadContext(notification) {
+    if (notification.bloodRequest) {
+        const request = await BloodRequest.findById(notification.bloodRequest);
+        // Fulfilled or cancelled requests don't need donors any more
+        return request && request.status === 'open' ? { request } : null;
+    }
+
+    const donation = await Donation.findById(notification.donation).populate('drive');
+    if (!donation) return null;
+
+    // The after-care message links to the donor's certificate, which needs its code
+    const certified = notification.type === 'post-donation-care'
+        ? await Donor.ensureCertificateCode(notification.donor)
+        : null;
+
+    return {
+        donation,
+        drive: donation.drive,
+        eligibleFrom: new Date(donation.donatedAt.getTime() + MIN_DONATION_GAP_DAYS * DAY_MS),
+        certificateCode: certified ? certified.certificateCode : null,
+        livesPerUnit: (await FormConfig.getCurrent()).livesPerUnit
+    };
+}
+
+/**
+ * Sends one claimed message and records the outcome
+ * @param {Object} notification - Claimed Notification document
+ * @param {Date} now - Current time
+ * @returns {Promise<String>} 'sent', 'retry', 'failed' or 'cancelled'
+ */
+async function deliver(notification, now) {
+    const finish = (status, fields = {}) => Notification.updateOne(
+        { _id: notification._id, status: 'sending' },
+        { status, ...fields }
+    );
+
+    const donor = await Donor.findById(notification.donor);
+    const to = donor && donor.contactConsent ? addressFor(donor, notification.channel) : null;
+    const context = to ? await loadContext(notification) : null;
+
+    // The donor withdrew consent, removed the contact detail or was deleted,
+    // or what the message was about is gone
+    if (!context) {
+        await finish('cancelled');
+        return 'cancelled';
+    }
+
+    try {
+        const message = renderMessage(notification.type, notification.channel, {
+            ...context,
+            donor,
+            baseUrl: process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/$/, '') : '',
+            timeZone: TIMEZONE
+        });
+        const { id } = await getTransport(notification.channel).send({ to, ...message });
+
+        await finish('sent', { to, providerId: id, sentAt: now, $unset: { lastError: 1 } });
+        return 'sent';
+    } catch (error) {
+        const retryable = !(error instanceof TransportError) || error.retryable;
+        console.error(`Error sending ${notification.type} ${notification.channel} (attempt ${notification.attempts}):`, error.message);
+
+        if (retryable && notification.attempts < MAX_ATTEMPTS) {
+            const delay = RETRY_BASE_MS * 2 ** (notification.attempts - 1);
+            await finish('pending', { to, lastError: error.message, sendAt: new Date(now.getTime() + delay) });
+            return 'retry';
+        }
+
+        await finish('failed', { to, lastError: error.message });
+        return 'failed';
+    }
+}
+
+/**
+ * Sends every message that is due, one at a time
+ * Safe to run from several instances at once: each message is claimed before sending
+ * @param {Object} options
+ * @param {Number} options.limit - Most messages to send in this run (default: 50)
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} Counts of sent, retry, failed and cancelled messages
+ */
+async function dispatchDue({ limit = 50, now = new Date() } = {}) {
+    const summary = { sent: 0, retry: 0, failed: 0, cancelled: 0 };
+
+    for (let i = 0; i < limit; i++) {
+        const notification = await Notification.claimDue(now, CLAIM_MS);
+        if (!notification) break;
+
+        summary[await deliver(notification, now)]++;
+    }
+
+    return summary;
+}
+
+/**
+ * Runs dispatchDue on a timer, for long-running servers
+ * @param {Number} intervalMs - Time between runs
+ * @returns {Object} The interval timer
+ */
+function startNotifier(intervalMs) {
+    let running = false;
+    const timer = setInterval(async () => {
+        // Skip a tick rather than overlap a slow run
+        if (running) return;
+        running = true;
+        try {
+            const summary = await dispatchDue();
+            if (summary.sent + summary.retry + summary.failed > 0) {
+                console.log(`✉️ Notifications: ${summary.sent} sent, ${summary.retry} to retry, ${summary.failed} failed`);
+            }
+        } catch (error) {
+            console.error('Error dispatching notifications:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+
+    // Don't keep the process alive just for the timer
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    scheduleRegistrationConfirmation,
+    scheduleFollowUps,
+    scheduleBloodRequest,
+    dispatchDue,
+    startNotifier
+};
@@ -0,0 +1,109 @@
+/**
+ * Notification Messages
+ * Text of each message a donor can receive, for email (subject + body) and SMS (short body)
+ */
+
+/**
+ * Formats a date for a message in the venue's timezone
+ * @param {Date} date - Date to format
+ * @param {String} timeZone - IANA timezone
+ * @returns {String} e.g. "12 Mar 2026"
+ */
+function formatDay(date, timeZone) {
+    return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone });
+}
+
+/**
+ * Each template receives { donor, baseUrl, timeZone } plus what the message is about:
+ * { donation, drive, eligibleFrom, livesPerUnit } for a visit, or { request } for a blood request
+ * and returns { subject, text, sms }
+ */
+const TEMPLATES = {
+    'registration-confirmation': ({ donor, donation, drive, baseUrl }) => {
+        const qrLine = baseUrl ? `\nYour QR code: ${baseUrl}/api/checkin/${donation.checkInCode}/qr\n` : '';
+        return {
+            subject: `You're registered for ${drive.name}`,
+            text: [
+                `Hi ${donor.fullName},`,
+                '',
+                `Thank you for registering to donate blood at ${drive.name}${drive.venue ? ` (${drive.venue})` : ''}.`,
+                `Your check-in code is ${donation.checkInCode}. Show it at the check-in desk when you arrive.${qrLine}`,
+                'Before you donate: eat a proper meal, drink plenty of water and bring a photo ID.',
+                '',
+                'See you there!'
+            ].join('\n'),
+            sms: `${drive.name}: you're registered! Your check-in code is ${donation.checkInCode}. Eat well and drink water before you donate.`
+        };
+    },
+
+    'post-donation-care': ({ donor, donation, drive, certificateCode, livesPerUnit, baseUrl }) => {
+        const certificateUrl = baseUrl && certificateCode
+            ? `${baseUrl}/api/donors/${donor._id}/certificate?donation=${donation._id}&code=${certificateCode}`
+            : '';
+        return {
+            subject: 'Thank you for donating blood - looking after yourself',
+            text: [
+                `Hi ${donor.fullName},`,
+                '',
+                `Thank you for donating at ${drive.name} yesterday. Your donation can help save up to ${livesPerUnit} lives.`,
+                '',
+                'For the next day or so:',
+                '- Drink extra fluids and avoid alcohol',
+                '- Skip heavy lifting and strenuous exercise',
+                '- Keep the bandage dry and leave it on for a few hours',
+                '- If you feel dizzy, lie down with your feet raised',
+                '',
+                'If you feel unwell or notice bleeding or swelling at the needle site, please see a doctor.',
+                ...(certificateUrl ? ['', `Download your donation certificate: ${certificateUrl}`] : [])
+            ].join('\n'),
+            sms: `Thank you for donating at ${drive.name}! Drink extra fluids, avoid heavy exercise today, and see a doctor if you feel unwell.${certificateUrl ? ` Your certificate: ${certificateUrl}` : ''}`
+        };
+    },
+
+    'eligible-again': ({ donor, eligibleFrom, timeZone }) => ({
+        subject: 'You can donate blood again',
+        text: [
+            `Hi ${donor.fullName},`,
+            '',
+            `It's been three months since your last donation, so you're eligible to donate again from ${formatDay(eligibleFrom, timeZone)}.`,
+            'Keep an eye out for the next drive - every donation counts.'
+        ].join('\n'),
+        sms: `You're eligible to donate blood again from ${formatDay(eligibleFrom, timeZone)}. Thank you for being a regular donor!`
+    }),
+
+    'blood-request': ({ donor, request, timeZone }) => {
+        const needed = `${request.units} unit${request.units === 1 ? '' : 's'} of ${request.bloodGroup} blood`;
+        const by = request.neededBy ? ` by ${formatDay(request.neededBy, timeZone)}` : '';
+        return {
+            subject: `${request.urgency === 'critical' ? 'Critical: ' : ''}${request.hospital} needs ${request.bloodGroup} blood`,
+            text: [
+                `Hi ${donor.fullName},`,
+                '',
+                `${request.hospital} needs ${needed}${by}. Your blood group is compatible and it's been long enough since your last donation for you to give again.`,
+                '',
+                `If you can help, please contact ${request.contact}.`,
+                '',
+                'Thank you - and no worries if you can\'t make it this time.'
+            ].join('\n'),
+            sms: `${request.hospital} urgently needs ${needed}${by}. You're a compatible donor - if you can help, contact ${request.contact}.`
+        };
+    }
+};
+
+/**
+ * Renders a message for one channel
+ * @param {String} type - Notification type
+ * @param {String} channel - 'email' or 'sms'
+ * @param {Object} context - Template data
+ * @returns {{ subject: String|null, text: String }}
+ */
+function renderMessage(type, channel, context) {
+    const message = TEMPLATES[type](context);
+    return channel === 'sms'
+        ? { subject: null, text: message.sms }
+        : { subject: message.subject, text: message.text };
+}
+
+module.exports = {
+    renderMessage
+};
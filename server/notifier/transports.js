@@ -0,0 +1,194 @@
+/**
+ * Notification Transports
+ * Adapters that deliver a rendered message over one channel
+ * Every transport has `send({ to, subject, text })` resolving to `{ id }`,
+ * and throws a TransportError when delivery fails
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Delivery failure; `retryable` is false when sending again can't help (e.g. a rejected address)
+ */
+class TransportError extends Error {
+    constructor(message, retryable = true) {
+        super(message);
+        this.name = 'TransportError';
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Turns a provider's HTTP response into a TransportError
+ * Rate limits and server errors are worth retrying; other client errors are not
+ * @param {String} provider - Provider name, for the message
+ * @param {Response} response - Fetch response
+ * @returns {Promise<TransportError>}
+ */
+async function responseError(provider, response) {
+    const body = await response.text().catch(() => '');
+    const retryable = response.status === 429 || response.status >= 500;
+    return new TransportError(`${provider} responded ${response.status}: ${body.slice(0, 200)}`, retryable);
+}
+
+// ============================================
+// LOCAL TRANSPORTS (development and testing)
+// ============================================
+
+/**
+ * Logs messages to the console instead of sending them
+ * @param {String} channel - 'email' or 'sms'
+ */
+function consoleTransport(channel) {
+    return {
+        name: 'console',
+        async send({ to, subject, text }) {
+            console.log(`✉️ [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+            return { id: `console-${Date.now()}` };
+        }
+    };
+}
+
+/**
+ * Appends messages to a JSON-lines file, so tests and demos can read what was "sent"
+ * @param {String} channel - 'email' or 'sms'
+ * @param {String} file - Outbox file path
+ */
+function fileTransport(channel, file) {
+    return {
+        name: 'file',
+        async send({ to, subject, text }) {
+            const id = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const line = JSON.stringify({ id, channel, to, subject, text, sentAt: new Date() });
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, `${line}\n`);
+            return { id };
+        }
+    };
+}
+
+// ============================================
+// PROVIDER TRANSPORTS
+// ============================================
+
+/**
+ * Sends email through the SendGrid v3 API
+ * @param {Object} options
+ * @param {String} options.apiKey - SendGrid API key
+ * @param {String} options.from - Sender address
+ */
+function sendgridTransport({ apiKey, from }) {
+    if (!apiKey || !from) {
+        throw new Error('SENDGRID_API_KEY and NOTIFY_EMAIL_FROM are required for the sendgrid transport');
+    }
+
+    return {
+        name: 'sendgrid',
+        async send({ to, subject, text }) {
+            const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    personalizations: [{ to: [{ email: to }] }],
+                    from: { email: from },
+                    subject,
+                    content: [{ type: 'text/plain', value: text }]
+                })
+            });
+            if (!response.ok) {
+                throw await responseError('SendGrid', response);
+            }
+            return { id: response.headers.get('x-message-id') };
+        }
+    };
+}
+
+/**
+ * Sends SMS through the Twilio Messages API
+ * @param {Object} options
+ * @param {String} options.accountSid - Twilio account SID
+ * @param {String} options.authToken - Twilio auth token
+ * @param {String} options.from - Sending number or messaging service SID
+ */
+function twilioTransport({ accountSid, authToken, from }) {
+    if (!accountSid || !authToken || !from) {
+        throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and NOTIFY_SMS_FROM are required for the twilio transport');
+    }
+
+    const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+    const sender = from.startsWith('MG') ? { MessagingServiceSid: from } : { From: from };
+
+    return {
+        name: 'twilio',
+        async send({ to, text }) {
+            const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Basic ${auth}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({ To: to, Body: text, ...sender })
+            });
+            if (!response.ok) {
+                throw await responseError('Twilio', response);
+            }
+            const data = await response.json();
+            return { id: data.sid };
+        }
+    };
+}
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const PROVIDERS = {
+    email: {
+        sendgrid: env => sendgridTransport({ apiKey: env.SENDGRID_API_KEY, from: env.NOTIFY_EMAIL_FROM })
+    },
+    sms: {
+        twilio: env => twilioTransport({
+            accountSid: env.TWILIO_ACCOUNT_SID,
+            authToken: env.TWILIO_AUTH_TOKEN,
+            from: env.NOTIFY_SMS_FROM
+        })
+    }
+};
+
+/**
+ * Builds the transport for a channel from the environment
+ * NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT pick console (default), file, or the channel's provider
+ * @param {String} channel - 'email' or 'sms'
+ * @param {Object} env - Environment variables
+ * @returns {Object} Transport
+ */
+function createTransport(channel, env = process.env) {
+    const name = (env[`NOTIFY_${channel.toUpperCase()}_TRANSPORT`] || 'console').toLowerCase();
+
+    if (name === 'console') {
+        return consoleTransport(channel);
+    }
+    if (name === 'file') {
+        // Serverless platforms only allow writing under /tmp
+        return fileTransport(channel, env.NOTIFY_OUTBOX_FILE || path.join(os.tmpdir(), 'notifications.jsonl'));
+    }
+    if (PROVIDERS[channel][name]) {
+        return PROVIDERS[channel][name](env);
+    }
+
+    throw new Error(`Unknown ${channel} transport: ${name}`);
+}
+
+module.exports = {
+    TransportError,
+    consoleTransport,
+    fileTransport,
+    sendgridTransport,
+    twilioTransport,
+    createTransport
+};
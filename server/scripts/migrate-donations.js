@@ -0,0 +1,82 @@
+/**
+ * Migration: split legacy donor records into Donor + Donation
+ *
+ * Before returning-donor support, every registration created a Donor document
+ * holding the visit details (drive, screening, status, donatedAt). This script
+ * moves those details into a Donation per record and leaves the Donor as the person.
+ *
+ * Usage: npm run migrate:donations
+ * Safe to run more than once - already migrated donors are skipped.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Donor = require('../models/Donor');
+const Donation = require('../models/Donation');
+const Drive = require('../models/Drive');
+require('../models/Stats');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation';
+
+// Per-visit fields that used to live on Donor
+const LEGACY_VISIT_FIELDS = ['drive', 'screening', 'status', 'deferralReasons', 'donatedAt'];
+
+async function migrate() {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Donors from before drives existed are adopted by the default drive here
+    await Drive.getCurrent();
+
+    const cursor = Donor.collection.find({ donatedAt: { $exists: true } });
+    let migrated = 0;
+
+    for await (const legacy of cursor) {
+        const status = legacy.status || 'donated';
+
+        await Donation.updateOne(
+            { donor: legacy._id, drive: legacy.drive },
+            {
+                $setOnInsert: {
+                    screening: legacy.screening,
+                    status,
+                    deferralReasons: legacy.deferralReasons,
+                    donationNumber: status === 'donated' ? 1 : undefined,
+                    donatedAt: legacy.donatedAt
+                }
+            },
+            { upsert: true }
+        );
+
+        const unset = {};
+        LEGACY_VISIT_FIELDS.forEach(field => { unset[field] = ''; });
+
+        await Donor.collection.updateOne(
+            { _id: legacy._id },
+            {
+                $set: {
+                    donationCount: status === 'donated' ? 1 : 0,
+                    lastDonatedAt: status === 'donated' ? legacy.donatedAt : null,
+                    createdAt: legacy.donatedAt
+                },
+                $unset: unset
+            }
+        );
+
+        migrated++;
+    }
+
+    // Drop indexes on fields that moved to Donation
+    await Donor.syncIndexes();
+    await Donation.syncIndexes();
+
+    console.log(`✅ Migrated ${migrated} donor record(s)`);
+}
+
+migrate()
+    .catch(error => {
+        console.error('❌ Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
@@ -6,6 +6,8 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const multer = require('multer');
+const QRCode = require('qrcode');
 // Load environment variables from .env
 require('dotenv').config();
 const path = require('path');
@@ -20,7 +22,38 @@ try {
 
 // Import models
 const Donor = require('./models/Donor');
+const Donation = require('./models/Donation');
 const Stats = require('./models/Stats');
+const Admin = require('./models/Admin');
+const Drive = require('./models/Drive');
+const Slot = require('./models/Slot');
+const Booking = require('./models/Booking');
+const BloodUnit = require('./models/BloodUnit');
+const Notification = require('./models/Notification');
+const BloodRequest = require('./models/BloodRequest');
+const FormConfig = require('./models/FormConfig');
+const LiveEvent = require('./models/LiveEvent');
+
+// Import utilities
+const { RegistrationError, validateDonorDetails, validateRegistration, registerDonation, findRecentDuplicate } = require('./utils/registration');
+const { exportColumns, streamCsv, streamXlsx, sendHandoverCsv } = require('./utils/export');
+const { parseImportCsv, importDonations } = require('./utils/import');
+const { computeProgress } = require('./utils/progress');
+const { screenDonation, completeDonation } = require('./utils/checkin');
+const { localizeDeferrals } = require('./utils/eligibility');
+const { validateUnitDetails } = require('./utils/units');
+const { publicName, parseConsent } = require('./utils/privacy');
+const Validation = require('../public/validation');
+const { findMatches } = require('./utils/matching');
+const { printableName, renderCertificate } = require('./utils/certificate');
+const { normalizeCode } = require('./utils/codes');
+const { scheduleRegistrationConfirmation, scheduleFollowUps, scheduleBloodRequest, dispatchDue, startNotifier } = require('./notifier');
+
+// Import middleware
+const { readToken, signToken, signKioskToken, optionalAuth, optionalKiosk, requireAuth, requireRole, requireAdmin } = require('./middleware/auth');
+const { rateLimit, byIp, byDevice, byKiosk, exceptKiosks } = require('./middleware/rateLimit');
+const { idempotent } = require('./middleware/idempotency');
+const { localize } = require('./middleware/locale');
 
 // Initialize Express app
 const app = express();
@@ -29,6 +62,49 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation';
 
+// Timezone the venue runs on, used for timeline buckets
+const TIMEZONE = process.env.TIMEZONE || 'Asia/Kolkata';
+
+// Donor fields that are safe to show on public screens
+const PUBLIC_DONOR_FIELDS = 'fullName bloodGroup displayConsent';
+const MAX_PUBLIC_DONOR_LIMIT = 20;
+const MAX_ADMIN_DONOR_LIMIT = 100;
+
+// Identity keys an admin may correct or clear
+const { IDENTITY_FIELDS } = Validation;
+
+// Fields the admin donor listing can be sorted by
+const DONOR_SORT_FIELDS = ['donatedAt', 'status', 'fullName', 'bloodGroup', 'age', 'year'];
+
+// Registration throttling: a campus network shares a few IPs, so the per-IP limit is the looser one
+const MINUTE_MS = 60 * 1000;
+const DONATE_RATE_WINDOW_MS = (parseInt(process.env.DONATE_RATE_WINDOW_MINUTES, 10) || 10) * MINUTE_MS;
+const DONATE_RATE_LIMIT_IP = parseInt(process.env.DONATE_RATE_LIMIT_IP, 10) || 60;
+const DONATE_RATE_LIMIT_DEVICE = parseInt(process.env.DONATE_RATE_LIMIT_DEVICE, 10) || 10;
+// Kiosks set up by staff register a queue of walk-ins from one device, so they get their own limit
+const DONATE_RATE_LIMIT_KIOSK = parseInt(process.env.DONATE_RATE_LIMIT_KIOSK, 10) || 120;
+
+// Same name and blood group at a drive within this window is treated as a double submission
+const DUPLICATE_WINDOW_MS = (parseInt(process.env.DUPLICATE_WINDOW_MINUTES, 10) || 10) * MINUTE_MS;
+
+// Hidden form field that only bots fill in
+const HONEYPOT_FIELD = 'website';
+
+// Certificate verification lookups allowed per IP in each window
+const VERIFY_RATE_WINDOW_MS = 10 * MINUTE_MS;
+const VERIFY_RATE_LIMIT_IP = 60;
+
+// Admin login attempts allowed in each window, per IP and per username (slows password guessing)
+const LOGIN_RATE_WINDOW_MS = 15 * MINUTE_MS;
+const LOGIN_RATE_LIMIT_IP = 20;
+const LOGIN_RATE_LIMIT_USERNAME = 10;
+
+// How often a long-running server sends due notifications (serverless deployments use the cron route)
+const NOTIFY_INTERVAL_MS = (parseInt(process.env.NOTIFY_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+// Client IPs come from X-Forwarded-For behind Vercel's proxy
+app.set('trust proxy', process.env.TRUST_PROXY_HOPS ? parseInt(process.env.TRUST_PROXY_HOPS, 10) : 1);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -37,9 +113,26 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
+// API messages in the caller's language (Accept-Language)
+app.use(localize);
+
+// CSV uploads are small and parsed in memory
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024, files: 1 }
+}).single('file');
+
 // Global DB connection cache for serverless
 let cachedDb = null;
 
+// Connected Server-Sent Events clients (dashboard screens) on this instance, mapped to the drive slug they follow
+const streamClients = new Map();
+const STREAM_HEARTBEAT_INTERVAL = 25000; // 25 seconds
+// Events are shared through MongoDB (LiveEvent), which each instance with open streams polls
+const STREAM_POLL_INTERVAL = 2000; // 2 seconds
+// How far back each poll looks, so events from an instance whose clock runs behind aren't missed
+const STREAM_LOOKBACK_MS = 15000;
+
 /**
  * Connect to MongoDB with connection pooling
  */
@@ -61,9 +154,24 @@ async function connectDB() {
         cachedDb = mongoose.connection;
         console.log('✅ Connected to MongoDB successfully');
         
-        // Initialize stats document if it doesn't exist
-        await Stats.getStats();
-        console.log('✅ Stats collection initialized');
+        // Initialize the current drive and its stats document if they don't exist
+        const drive = await Drive.getCurrent();
+        await Stats.getStats(drive._id);
+        console.log(`✅ Stats collection initialized for drive: ${drive.slug}`);
+
+        // Create the first admin account from env vars if none exists yet
+        // A bad ADMIN_PASSWORD must not take registrations down with it
+        try {
+            const bootstrapAdmin = await Admin.ensureBootstrapAdmin(
+                process.env.ADMIN_USERNAME,
+                process.env.ADMIN_PASSWORD
+            );
+            if (bootstrapAdmin) {
+                console.log(`✅ Admin account created: ${bootstrapAdmin.username}`);
+            }
+        } catch (error) {
+            console.error('❌ Could not create the admin account from ADMIN_USERNAME / ADMIN_PASSWORD:', error.message);
+        }
         
         return cachedDb;
     } catch (error) {
@@ -77,124 +185,615 @@ async function connectDB() {
 }
 
 // ============================================
-// API ROUTES
+// LIVE UPDATES (SERVER-SENT EVENTS)
 // ============================================
 
+// Events already sent to this instance's streams (id -> createdAt), so the look-back doesn't resend them
+const deliveredEvents = new Map();
+let streamPoller = null;
+let streamPollRunning = false;
+
 /**
- * POST /api/donate
- * Register a new blood donor and increment count
+ * Shares an event with the dashboard streams on every server instance
+ * Each instance's poller picks it up within STREAM_POLL_INTERVAL
+ * @param {String} event - Event name
+ * @param {Object} data - JSON-serialisable payload
+ * @param {String} driveSlug - Drive the event belongs to
+ */
+async function broadcastEvent(event, data, driveSlug) {
+    try {
+        await LiveEvent.create({ event, drive: driveSlug, data });
+    } catch (error) {
+        // The change is already saved; dashboards catch up on their next fetch
+        console.error(`Error broadcasting ${event}:`, error);
+    }
+}
+
+/**
+ * Sends an event to every dashboard stream on this instance following its drive
+ * @param {Object} liveEvent - LiveEvent (event, drive, data)
+ */
+function sendToStreams(liveEvent) {
+    const message = `event: ${liveEvent.event}\ndata: ${JSON.stringify({ ...liveEvent.data, drive: liveEvent.drive })}\n\n`;
+    streamClients.forEach((followedSlug, client) => {
+        if (!followedSlug || followedSlug === liveEvent.drive) {
+            client.write(message);
+        }
+    });
+}
+
+/**
+ * Sends events shared since the last poll to this instance's streams
+ * @param {Boolean} prime - Only note the events already there, without sending them (first stream opening)
+ */
+async function pollLiveEvents(prime = false) {
+    // A slow query mustn't overlap the next tick and send an event twice
+    if (streamPollRunning) return;
+    streamPollRunning = true;
+
+    try {
+        await connectDB();
+
+        const since = new Date(Date.now() - STREAM_LOOKBACK_MS);
+        const events = await LiveEvent.findSince(since);
+        events.forEach(liveEvent => {
+            const id = liveEvent._id.toString();
+            if (deliveredEvents.has(id)) return;
+            deliveredEvents.set(id, liveEvent.createdAt);
+            if (!prime) sendToStreams(liveEvent);
+        });
+
+        // Events older than the look-back won't be returned again
+        deliveredEvents.forEach((createdAt, id) => {
+            if (createdAt <= since) deliveredEvents.delete(id);
+        });
+    } catch (error) {
+        console.error('Error polling live events:', error);
+    } finally {
+        streamPollRunning = false;
+    }
+}
+
+/**
+ * Starts polling for shared events when this instance opens its first stream
+ */
+function watchLiveEvents() {
+    if (streamPoller) return;
+    pollLiveEvents(true);
+    streamPoller = setInterval(pollLiveEvents, STREAM_POLL_INTERVAL);
+}
+
+/**
+ * Stops polling once this instance has no streams open
+ */
+function unwatchLiveEvents() {
+    if (!streamPoller || streamClients.size > 0) return;
+    clearInterval(streamPoller);
+    streamPoller = null;
+    deliveredEvents.clear();
+}
+
+/**
+ * Builds the stats payload for a drive: totals plus progress towards its target
+ * @param {Object} drive - Drive document
+ * @param {Object} stats - Stats document (loaded when omitted)
+ * @returns {Promise<Object>} Stats payload
+ */
+async function getDriveStats(drive, stats) {
+    if (!stats) {
+        stats = await Stats.getStats(drive._id);
+    }
+
+    const { firstDonatedAt, lastDonatedAt } = await Donation.getTimeRange(drive._id);
+
+    return {
+        totalBloodUnits: stats.totalBloodUnits,
+        lastUpdated: stats.lastUpdated,
+        progress: computeProgress({
+            totalUnits: stats.totalBloodUnits,
+            drive,
+            firstDonatedAt,
+            lastDonatedAt
+        })
+    };
+}
+
+/**
+ * Tells dashboards following a drive that its totals changed
+ * @param {Object} drive - Drive document
+ * @param {Object} stats - Updated Stats document
+ */
+async function broadcastStats(drive, stats) {
+    try {
+        await broadcastEvent('stats-updated', await getDriveStats(drive, stats), drive.slug);
+    } catch (error) {
+        // The change is already saved; dashboards catch up on their next fetch
+        console.error('Error broadcasting stats:', error);
+    }
+}
+
+/**
+ * Counts a collected unit and tells dashboards about the new donor
+ * @param {Object} drive - Drive document
+ * @param {Object} donor - Donor document
+ * @param {Object} donation - Donation document (status 'donated')
+ * @returns {Promise<Object>} Updated Stats document
+ */
+async function announceDonation(drive, donor, donation) {
+    // Increment total blood units count for the drive
+    const stats = await Stats.incrementCount(1, drive._id);
+
+    console.log(`🩸 New donor registered: ${donor.fullName} (${donor.bloodGroup}), donation #${donation.donationNumber}`);
+
+    // Notify connected dashboards, which may be on a projector
+    await broadcastEvent('donor-registered', {
+        fullName: publicName(donor, drive.publicNames),
+        bloodGroup: donor.bloodGroup,
+        donationNumber: donation.donationNumber,
+        donatedAt: donation.donatedAt
+    }, drive.slug);
+    await broadcastStats(drive, stats);
+
+    return stats;
+}
+
+// Keep idle connections open through proxies that drop silent sockets
+setInterval(() => {
+    streamClients.forEach((followedSlug, client) => client.write(': heartbeat\n\n'));
+}, STREAM_HEARTBEAT_INTERVAL).unref();
+
+// ============================================
+// DRIVE HELPERS
+// ============================================
+
+/**
+ * Middleware that connects to the database before database-backed middleware runs
+ */
+async function ensureDB(req, res, next) {
+    try {
+        await connectDB();
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Middleware that ends the sessions of disabled, deleted or re-roled staff accounts straight away,
+ * rather than when their token expires (the role is read from the token, so a demoted admin logs in again)
+ * Only requests that carry a staff token are checked
+ */
+async function rejectInactiveSessions(req, res, next) {
+    const session = readToken(req);
+    if (!session) return next();
+
+    try {
+        await connectDB();
+        if (!(await Admin.isActive(session.sub, session.role))) {
+            return res.status(401).json({
+                success: false,
+                messageKey: 'api.authenticationRequired'
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+app.use('/api', rejectInactiveSessions);
+
+/**
+ * Middleware that loads the drive named by `:slug` into `req.drive`
+ * Falls back to the current drive on routes without a slug
  */
-app.post('/api/donate', async (req, res) => {
+async function loadDrive(req, res, next) {
     try {
         // Ensure DB connection in serverless environment
         await connectDB();
-        
-        const { fullName, bloodGroup, age, year } = req.body;
 
-        // Server-side validation
-        if (!fullName || !bloodGroup || !age || !year) {
-            return res.status(400).json({
+        const drive = req.params.slug
+            ? await Drive.findBySlug(req.params.slug)
+            : await Drive.getCurrent();
+
+        if (!drive) {
+            return res.status(404).json({
                 success: false,
-                message: 'All fields are required'
+                messageKey: 'api.driveNotFound'
             });
         }
 
-        // Validate age
-        const ageNum = parseInt(age);
-        if (isNaN(ageNum) || ageNum < 18) {
+        req.drive = drive;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Picks the editable drive fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Drive fields
+ */
+function pickDriveFields(body) {
+    const fields = {};
+    ['name', 'slug', 'venue', 'startDate', 'endDate', 'targetUnits', 'publicNames'].forEach(key => {
+        if (body[key] !== undefined) {
+            fields[key] = body[key];
+        }
+    });
+    return fields;
+}
+
+/**
+ * Parses a date query parameter
+ * Date-only values ("2026-03-14") used as an upper bound cover the whole day
+ * @param {String} value - Raw query value
+ * @param {Boolean} endOfDay - Treat date-only values as the end of that day
+ * @returns {Date|null} Parsed date, or null if missing or invalid
+ */
+function parseDateParam(value, endOfDay = false) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+
+    return date;
+}
+
+/**
+ * Parses a positive integer query parameter, clamped to a maximum
+ * Rejects partial numbers like "25abc" by falling back to the default
+ * @param {String} value - Raw query value
+ * @param {Number} fallback - Value used when missing or invalid
+ * @param {Number} max - Upper bound
+ * @returns {Number} Parsed value
+ */
+function parsePositiveInt(value, fallback, max = Infinity) {
+    if (typeof value !== 'string' || !/^\d+$/.test(value)) return fallback;
+    const number = parseInt(value, 10);
+    return number < 1 ? fallback : Math.min(number, max);
+}
+
+/**
+ * Checks that a string is a timezone the runtime knows (e.g. "Asia/Kolkata")
+ * @param {String} timezone - IANA timezone name
+ * @returns {Boolean} Whether it is valid
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Escapes user input for use inside a regular expression
+ * @param {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds donation and donor filters from listing/export query parameters
+ * Query: from, to, status, bloodGroup, year, q (name search)
+ * @param {Object} query - Express query object
+ * @returns {{ error: String|null, filter: Object, donorMatch: Object }} `error` is a message key
+ */
+function buildDonationFilters(query) {
+    const filter = {};
+    const donorMatch = {};
+    const str = value => (typeof value === 'string' ? value.trim() : '');
+
+    const from = str(query.from);
+    const to = str(query.to);
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to, true);
+    if ((from && !fromDate) || (to && !toDate)) {
+        return { error: 'api.invalidDateRange', filter, donorMatch };
+    }
+    if (fromDate || toDate) {
+        filter.donatedAt = {};
+        if (fromDate) filter.donatedAt.$gte = fromDate;
+        if (toDate) filter.donatedAt.$lte = toDate;
+    }
+
+    if (str(query.status)) filter.status = str(query.status);
+
+    // Donor-level filters
+    if (str(query.bloodGroup)) donorMatch.bloodGroup = str(query.bloodGroup).toUpperCase();
+    if (str(query.year)) donorMatch.year = str(query.year);
+    if (str(query.q)) donorMatch.fullName = { $regex: escapeRegex(str(query.q)), $options: 'i' };
+
+    return { error: null, filter, donorMatch };
+}
+
+/**
+ * Reduces a donation (with populated donor) to what public screens may show
+ * Names follow the donor's consent and the drive's public name mode
+ * @param {Object} donation - Donation document
+ * @param {Object} drive - Drive document
+ * @returns {Object} Public donor entry
+ */
+function toPublicDonor(donation, drive) {
+    return {
+        fullName: publicName(donation.donor, drive.publicNames),
+        bloodGroup: donation.donor ? donation.donor.bloodGroup : '',
+        donationNumber: donation.donationNumber,
+        donatedAt: donation.donatedAt
+    };
+}
+
+/**
+ * Joins the messages of a mongoose validation error
+ * Model messages are in English; responses send them as the `details` of api.invalidDetails
+ * @param {Object} error - ValidationError
+ * @returns {String} e.g. "Slot capacity is required, End time must be after the start time"
+ */
+function validationDetails(error) {
+    return Object.values(error.errors).map(err => err.message).join(', ');
+}
+
+/**
+ * Sends a 400 response for mongoose validation errors and 409 for duplicate keys
+ * @returns {Boolean} Whether a response was sent
+ */
+function handleDriveWriteError(error, res) {
+    if (error.name === 'ValidationError') {
+        res.status(400).json({
+            success: false,
+            messageKey: 'api.invalidDetails',
+            messageParams: { details: validationDetails(error) }
+        });
+        return true;
+    }
+    if (error.code === 11000) {
+        res.status(409).json({
+            success: false,
+            messageKey: 'api.driveSlugTaken'
+        });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Sends the response for a registration: a check-in code for eligible donors,
+ * or the deferral reasons
+ * Includes what the thank-you page shows: registration id, drive name, the drive's units so far
+ * and which of the donor's donations this will be (returning donors see "3rd donation!")
+ * @param {Object} req - Express request (deferral reasons are given in its language)
+ * @param {Object} res - Express response
+ * @param {Object} registration - { donor, donation, drive }
+ * @param {Number} status - HTTP status (201, or 200 for a replayed submission)
+ */
+async function sendRegistration(req, res, { donor, donation, drive }, status = 201) {
+    const stats = await Stats.getStats(drive._id);
+    const data = {
+        registrationId: donation._id,
+        donor: {
+            id: donor._id,
+            fullName: donor.fullName,
+            bloodGroup: donor.bloodGroup
+        },
+        drive: drive.slug,
+        driveName: drive.name,
+        status: donation.status,
+        registeredAt: donation.donatedAt,
+        totalUnits: stats.totalBloodUnits
+    };
+
+    if (donation.status === 'deferred') {
+        return res.status(status).json({
+            success: true,
+            messageKey: 'api.registrationDeferred',
+            data: { ...data, deferralReasons: localizeDeferrals(donation.deferralReasons, req.t) }
+        });
+    }
+
+    // Set once the donation is recorded; until then, one more than the donations completed before this visit
+    const donationNumber = donation.donationNumber || await Donation.countDocuments({
+        donor: donor._id,
+        status: 'donated',
+        donatedAt: { $lt: donation.donatedAt }
+    }) + 1;
+
+    res.status(status).json({
+        success: true,
+        messageKey: 'api.registered',
+        data: {
+            ...data,
+            donationNumber,
+            checkInCode: donation.checkInCode,
+            qrCodeUrl: `/api/checkin/${donation.checkInCode}/qr`
+        }
+    });
+}
+
+/**
+ * Finds the registration an offline kiosk already submitted under a client id
+ * @param {String} clientId - Id the browser gave the submission
+ * @returns {Promise<Object|null>} { donor, donation, drive }, or null
+ */
+async function findClientRegistration(clientId) {
+    if (!clientId) return null;
+    const donation = await Donation.findOne({ clientId }).populate('donor drive');
+    if (!donation || !donation.donor || !donation.drive) return null;
+    return { donor: donation.donor, donation, drive: donation.drive };
+}
+
+// ============================================
+// API ROUTES
+// ============================================
+
+/**
+ * POST /api/donate
+ * Register a donor for the drive and pre-screen their eligibility
+ * Eligible donors get a check-in code (and QR) for the venue; the unit is
+ * only counted when staff record the donation at check-in
+ * Returning donors are matched by roll number, email or phone
+ * Deferred visits are recorded with their reasons but not counted
+ * Rate limited per IP and per device (X-Device-Id); kiosks set up by staff
+ * (X-Kiosk-Token) are limited per kiosk instead. Send an Idempotency-Key
+ * header to make retries safe
+ * Offline kiosks send a `clientId` with each queued submission; replaying it
+ * returns the original registration instead of registering twice
+ */
+app.post('/api/donate', ensureDB, optionalKiosk, rateLimit({
+    name: 'donate-ip',
+    windowMs: DONATE_RATE_WINDOW_MS,
+    max: DONATE_RATE_LIMIT_IP,
+    key: exceptKiosks(byIp),
+    messageKey: 'api.tooManyRegistrationsNetwork'
+}), rateLimit({
+    name: 'donate-device',
+    windowMs: DONATE_RATE_WINDOW_MS,
+    max: DONATE_RATE_LIMIT_DEVICE,
+    key: exceptKiosks(byDevice),
+    messageKey: 'api.tooManyRegistrationsDevice'
+}), rateLimit({
+    name: 'donate-kiosk',
+    windowMs: DONATE_RATE_WINDOW_MS,
+    max: DONATE_RATE_LIMIT_KIOSK,
+    key: byKiosk,
+    messageKey: 'api.tooManyRegistrationsDevice'
+}), idempotent('donate'), async (req, res) => {
+    try {
+        // Bots fill in every field, including the one people never see
+        if (req.body[HONEYPOT_FIELD]) {
+            console.warn(`🚫 Honeypot registration rejected from ${req.ip}`);
             return res.status(400).json({
                 success: false,
-                message: 'Donor must be at least 18 years old'
+                messageKey: 'api.registrationRejected'
             });
         }
-        if (ageNum > 65) {
+
+        // Server-side validation, against the form as the admin configured it
+        const config = await FormConfig.getCurrent();
+        const { error: validationError, errorKey, errors, value } = validateRegistration(req.body, config, req.t);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: 'Maximum age for donation is 65 years'
+                messageKey: errorKey,
+                message: validationError,
+                errors
             });
         }
 
-        // Validate blood group
-        const validBloodGroups = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
-        if (!validBloodGroups.includes(bloodGroup)) {
+        // A queued submission that already reached us (the reply was lost on the way back)
+        const replayed = await findClientRegistration(value.clientId);
+        if (replayed) {
+            return await sendRegistration(req, res, replayed, 200);
+        }
+
+        // Register against the requested drive, or the current one
+        const drive = req.body.drive ? await Drive.findBySlug(req.body.drive) : await Drive.getCurrent();
+        if (!drive) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid blood group'
+                messageKey: 'api.invalidDrive'
             });
         }
 
-        // Validate year
-        const validYears = ['FY', 'SY', 'TY', 'Final Year'];
-        if (!validYears.includes(year)) {
-            return res.status(400).json({
+        const duplicate = await findRecentDuplicate({ value, drive, withinMs: DUPLICATE_WINDOW_MS });
+        if (duplicate) {
+            return res.status(409).json({
                 success: false,
-                message: 'Invalid year selection'
+                messageKey: 'api.recentDuplicate',
+                messageParams: { name: value.fullName, bloodGroup: value.bloodGroup }
             });
         }
 
-        // Create new donor record
-        const donor = new Donor({
-            fullName: fullName.trim(),
-            bloodGroup,
-            age: ageNum,
-            year
-        });
+        const { donor, donation, eligible, deferrals } = await registerDonation({ value, drive, status: 'registered' });
 
-        await donor.save();
+        if (!eligible) {
+            console.log(`⏸️ Donor deferred: ${donor.fullName} (${deferrals.map(d => d.code).join(', ')})`);
+            return await sendRegistration(req, res, { donor, donation, drive });
+        }
 
-        // Increment total blood units count
-        const stats = await Stats.incrementCount(1);
+        console.log(`📝 Donor registered: ${donor.fullName} (${donor.bloodGroup}), check-in code ${donation.checkInCode}`);
 
-        console.log(`🩸 New donor registered: ${fullName} (${bloodGroup})`);
+        // Send the confirmation straight away instead of waiting for the next dispatch run
+        if (await scheduleRegistrationConfirmation(donor, donation)) {
+            dispatchDue({ limit: 5 }).catch(err => console.error('Error dispatching notifications:', err));
+        }
 
-        res.status(201).json({
-            success: true,
-            message: 'Donation registered successfully',
-            data: {
-                donor: {
-                    fullName: donor.fullName,
-                    bloodGroup: donor.bloodGroup
-                },
-                totalUnits: stats.totalBloodUnits
-            }
-        });
+        await sendRegistration(req, res, { donor, donation, drive });
 
     } catch (error) {
+        // The same queued submission arrived twice at once; answer with the one that won
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.clientId) {
+            try {
+                const replayed = await findClientRegistration(req.body.clientId);
+                if (replayed) {
+                    return await sendRegistration(req, res, replayed, 200);
+                }
+            } catch (replayError) {
+                console.error('Error replaying registration:', replayError);
+            }
+        }
+
+        // Duplicate registration or a donation too soon after the last one
+        if (error instanceof RegistrationError) {
+            return res.status(error.status).json({
+                success: false,
+                messageKey: error.messageKey,
+                messageParams: error.messageParams,
+                data: error.data
+            });
+        }
+
         console.error('Error registering donor:', error && error.stack ? error.stack : error);
         
         // Handle mongoose validation errors
         if (error.name === 'ValidationError') {
-            const messages = Object.values(error.errors).map(err => err.message);
             return res.status(400).json({
                 success: false,
-                message: messages.join(', ')
+                messageKey: 'api.invalidDetails',
+                messageParams: { details: validationDetails(error) }
+            });
+        }
+
+        // Duplicate identity key or a second submission for the same drive
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                messageKey: 'api.registrationExists'
             });
         }
 
         // Return error message to client for debugging (in production, avoid exposing internal errors)
         res.status(500).json({
             success: false,
-            message: error.message || 'Server error. Please try again later.'
+            messageKey: 'api.serverError',
+            message: error.message || req.t('api.serverError')
         });
     }
 });
 
 /**
  * GET /api/stats
- * Get total blood units collected
+ * GET /api/drives/:slug/stats
+ * Get total blood units collected for the current (or given) drive,
+ * with progress towards its target (percent, units per hour, projected finish)
  */
-app.get('/api/stats', async (req, res) => {
+app.get(['/api/stats', '/api/drives/:slug/stats'], loadDrive, async (req, res) => {
     try {
-        // Ensure DB connection in serverless environment
-        await connectDB();
-        
-        const stats = await Stats.getStats();
-        
+        const stats = await getDriveStats(req.drive);
+
         res.json({
             success: true,
             data: {
-                totalBloodUnits: stats.totalBloodUnits,
-                lastUpdated: stats.lastUpdated
+                ...stats,
+                drive: req.drive.toSummary()
             }
         });
 
@@ -202,72 +801,2180 @@ app.get('/api/stats', async (req, res) => {
         console.error('Error fetching stats:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching statistics'
+            messageKey: 'api.errorFetchingStatistics'
         });
     }
 });
 
 /**
- * POST /api/sync-stats
- * Sync stats with actual donor count (admin utility)
+ * GET /api/stats/breakdown
+ * GET /api/drives/:slug/stats/breakdown
+ * Get donated units by blood group, academic year and age band
+ * Year and age bands follow the form configuration; `year` is null when the form doesn't ask for it
  */
-app.post('/api/sync-stats', async (req, res) => {
+app.get(['/api/stats/breakdown', '/api/drives/:slug/stats/breakdown'], loadDrive, async (req, res) => {
     try {
-        const donorCount = await Donor.countDocuments();
-        await Stats.findOneAndUpdate(
-            { identifier: 'global' },
-            { totalBloodUnits: donorCount, lastUpdated: new Date() },
-            { upsert: true }
-        );
-        
+        const breakdown = await Donation.getBreakdown(req.drive._id, await FormConfig.getCurrent());
+
         res.json({
             success: true,
-            message: `Stats synced. Total donors: ${donorCount}`,
-            data: { totalBloodUnits: donorCount }
+            data: breakdown
         });
+
     } catch (error) {
-        console.error('Error syncing stats:', error);
+        console.error('Error fetching breakdown:', error);
         res.status(500).json({
             success: false,
-            message: 'Error syncing statistics'
+            messageKey: 'api.errorFetchingBreakdown'
         });
     }
 });
 
 /**
- * GET /api/donors
- * Get list of recent donors (optional endpoint)
+ * GET /api/stats/timeline
+ * GET /api/drives/:slug/stats/timeline
+ * Get registrations per time bucket, to spot peaks and plan volunteer shifts
+ * Query: bucket=15m|1h|1d (default 1h), tz (default TIMEZONE)
  */
-app.get('/api/donors', async (req, res) => {
+app.get(['/api/stats/timeline', '/api/drives/:slug/stats/timeline'], loadDrive, async (req, res) => {
     try {
-        // Ensure DB connection in serverless environment
-        await connectDB();
-        
-        const limit = parseInt(req.query.limit) || 10;
-        const donors = await Donor.find()
-            .select('fullName bloodGroup donatedAt')
-            .sort({ donatedAt: -1 })
-            .limit(limit);
+        const bucket = req.query.bucket || '1h';
+        const timezone = req.query.tz || TIMEZONE;
+
+        if (!Donation.TIMELINE_BUCKETS.includes(bucket)) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidBucket',
+                messageParams: { options: Donation.TIMELINE_BUCKETS.join(', ') }
+            });
+        }
+
+        if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidTimezone'
+            });
+        }
+
+        const { buckets, peak } = await Donation.getTimeline(req.drive._id, { bucket, timezone });
 
         res.json({
             success: true,
-            data: donors
+            data: {
+                bucket,
+                timezone,
+                buckets,
+                peak
+            }
         });
 
     } catch (error) {
-        console.error('Error fetching donors:', error);
+        console.error('Error fetching timeline:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching donors'
+            messageKey: 'api.errorFetchingTimeline'
         });
     }
 });
 
-// ============================================
-// PAGE ROUTES
-// ============================================
+/**
+ * GET /api/stream
+ * Server-Sent Events stream of live dashboard updates
+ * Emits `donor-registered` and `stats-updated` events
+ * Pass `?drive=<slug>` to follow a single drive
+ */
+app.get('/api/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
 
-// Serve registration page
+    // Ask the browser to wait a few seconds before reconnecting
+    res.write('retry: 3000\n\n');
+
+    streamClients.set(res, req.query.drive ? String(req.query.drive).toLowerCase() : null);
+    watchLiveEvents();
+
+    req.on('close', () => {
+        streamClients.delete(res);
+        unwatchLiveEvents();
+    });
+});
+
+/**
+ * POST /api/sync-stats
+ * POST /api/drives/:slug/sync-stats
+ * Sync a drive's stats with its recorded blood units (admin only)
+ */
+app.post(['/api/sync-stats', '/api/drives/:slug/sync-stats'], requireAdmin, loadDrive, async (req, res) => {
+    try {
+        const unitCount = await BloodUnit.countDocuments({ drive: req.drive._id });
+        const stats = await Stats.setCount(unitCount, req.drive._id);
+
+        await broadcastStats(req.drive, stats);
+        
+        res.json({
+            success: true,
+            messageKey: 'api.statsSynced',
+            messageParams: { units: unitCount },
+            data: { totalBloodUnits: unitCount }
+        });
+    } catch (error) {
+        console.error('Error syncing stats:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorSyncingStatistics'
+        });
+    }
+});
+
+/**
+ * GET /api/donors
+ * GET /api/drives/:slug/donors
+ * Get list of recent donors for the current (or given) drive
+ * Public callers (and check-in staff) get names and blood groups of the latest donors only;
+ * admins get full records with pagination, search and filters
+ * Admin query: page, limit, q, bloodGroup, year, status, from, to, sort
+ */
+app.get(['/api/donors', '/api/drives/:slug/donors'], optionalAuth, loadDrive, async (req, res) => {
+    try {
+        if (!req.admin || req.admin.role !== 'admin') {
+            const limit = parsePositiveInt(req.query.limit, 10, MAX_PUBLIC_DONOR_LIMIT);
+
+            // Deferred visits never appear on public screens
+            const donations = await Donation.find(Donation.countedFilter({ drive: req.drive._id }))
+                .sort({ donatedAt: -1 })
+                .limit(limit)
+                .populate('donor', PUBLIC_DONOR_FIELDS);
+
+            return res.json({
+                success: true,
+                data: donations.map(donation => toPublicDonor(donation, req.drive))
+            });
+        }
+
+        const { error: filterError, filter, donorMatch } = buildDonationFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                success: false,
+                messageKey: filterError
+            });
+        }
+
+        const page = parsePositiveInt(req.query.page, 1);
+        const limit = parsePositiveInt(req.query.limit, 25, MAX_ADMIN_DONOR_LIMIT);
+
+        // "-donatedAt" sorts descending; donor fields sort on the joined donor
+        const sortParam = typeof req.query.sort === 'string' ? req.query.sort : '-donatedAt';
+        const sortField = sortParam.replace(/^-/, '');
+        if (!DONOR_SORT_FIELDS.includes(sortField)) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidSort',
+                messageParams: { options: DONOR_SORT_FIELDS.join(', ') }
+            });
+        }
+        const sortPath = ['donatedAt', 'status'].includes(sortField) ? sortField : `donor.${sortField}`;
+        const sortOrder = sortParam.startsWith('-') ? -1 : 1;
+
+        const donorConditions = {};
+        Object.entries(donorMatch).forEach(([key, value]) => {
+            donorConditions[`donor.${key}`] = value;
+        });
+
+        const [result] = await Donation.aggregate([
+            { $match: { ...filter, drive: req.drive._id } },
+            {
+                $lookup: {
+                    from: Donor.collection.name,
+                    localField: 'donor',
+                    foreignField: '_id',
+                    as: 'donor'
+                }
+            },
+            { $unwind: '$donor' },
+            { $match: donorConditions },
+            { $sort: { [sortPath]: sortOrder, _id: sortOrder } },
+            {
+                $facet: {
+                    data: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result.total.length ? result.total[0].count : 0;
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching donors:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingDonors'
+        });
+    }
+});
+
+/**
+ * GET /api/donors/export
+ * Download every donation with full donor details as CSV or Excel (admin only)
+ * Query: format=csv|xlsx, drive, from, to, bloodGroup, year, status, q
+ * Custom form fields are added as extra columns
+ */
+app.get('/api/donors/export', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const { format = 'csv', drive: driveSlug } = req.query;
+
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidExportFormat'
+            });
+        }
+
+        const { error: filterError, filter, donorMatch } = buildDonationFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                success: false,
+                messageKey: filterError
+            });
+        }
+
+        let drive = null;
+        if (driveSlug) {
+            drive = await Drive.findBySlug(driveSlug);
+            if (!drive) {
+                return res.status(404).json({
+                    success: false,
+                    messageKey: 'api.driveNotFound'
+                });
+            }
+            filter.drive = drive._id;
+        }
+
+        // Donor-level filters are applied while populating
+        const cursor = Donation.find(filter)
+            .sort({ donatedAt: 1 })
+            .populate({ path: 'donor', match: donorMatch })
+            .populate('drive', 'name slug')
+            .cursor({ batchSize: 500 });
+
+        // Skip donations whose donor didn't match the donor filters
+        const rows = (async function* () {
+            for await (const donation of cursor) {
+                if (donation.donor) yield donation;
+            }
+        })();
+
+        const filename = `donors-${drive ? drive.slug : 'all'}-${new Date().toISOString().slice(0, 10)}`;
+        const columns = exportColumns(await FormConfig.getCurrent());
+
+        if (format === 'xlsx') {
+            await streamXlsx(rows, res, filename, columns);
+        } else {
+            await streamCsv(rows, res, filename, columns);
+        }
+
+    } catch (error) {
+        console.error('Error exporting donors:', error);
+
+        // Headers are already sent once streaming has started
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorExportingDonors'
+        });
+    }
+});
+
+/**
+ * POST /api/donors/import
+ * Load paper-sheet registrations from a CSV upload (admin only)
+ * Multipart field `file`; pass `dryRun=true` to validate without saving
+ * Rows are checked with the same rules as POST /api/donate
+ */
+app.post('/api/donors/import', requireAdmin, (req, res, next) => {
+    csvUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json(err.code === 'LIMIT_FILE_SIZE'
+                ? { success: false, messageKey: 'api.csvTooLarge' }
+                : { success: false, messageKey: 'api.uploadFailed', messageParams: { details: err.message } });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        await connectDB();
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.csvFileMissing'
+            });
+        }
+
+        const driveSlug = req.body.drive || req.query.drive;
+        const drive = driveSlug ? await Drive.findBySlug(driveSlug) : await Drive.getCurrent();
+        if (!drive) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.driveNotFound'
+            });
+        }
+
+        let rows;
+        try {
+            rows = parseImportCsv(req.file.buffer);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.csvUnreadable',
+                messageParams: { details: parseError.message }
+            });
+        }
+
+        const dryRun = [req.body.dryRun, req.query.dryRun].includes('true');
+        const summary = await importDonations({ rows, drive, dryRun, t: req.t });
+
+        // Count every recorded bag in one atomic step
+        if (!dryRun && summary.units > 0) {
+            const stats = await Stats.incrementCount(summary.units, drive._id);
+            await broadcastStats(drive, stats);
+        }
+
+        console.log(`📥 Import into ${drive.slug}${dryRun ? ' (dry run)' : ''}: ${summary.donated} donated (${summary.units} bags), ${summary.deferred} deferred, ${summary.failed} failed`);
+
+        res.json({
+            success: true,
+            messageKey: dryRun ? 'api.importChecked' : 'api.imported',
+            messageParams: {
+                count: dryRun ? summary.total - summary.failed : summary.donated + summary.deferred,
+                total: summary.total
+            },
+            data: {
+                drive: drive.slug,
+                ...summary
+            }
+        });
+
+    } catch (error) {
+        console.error('Error importing donors:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorImportingDonors'
+        });
+    }
+});
+
+/**
+ * GET /api/donors/:id/history
+ * Get a donor's details and every visit they have made (admin only)
+ */
+app.get('/api/donors/:id/history', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.donorNotFound'
+            });
+        }
+
+        const donor = await Donor.findById(req.params.id);
+        if (!donor) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.donorNotFound'
+            });
+        }
+
+        const donations = await Donation.find({ donor: donor._id })
+            .sort({ donatedAt: -1 })
+            .populate('drive', 'name slug venue startDate endDate');
+
+        res.json({
+            success: true,
+            data: {
+                donor,
+                donations
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching donor history:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingDonorHistory'
+        });
+    }
+});
+
+/**
+ * Gets the public address of the site, for links printed on certificates
+ * @param {Object} req - Express request
+ * @returns {String} e.g. "https://drive.example.org"
+ */
+function publicBaseUrl(req) {
+    return process.env.PUBLIC_BASE_URL
+        ? process.env.PUBLIC_BASE_URL.replace(/\/$/, '')
+        : `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * GET /api/donors/:id/certificate
+ * Download a donor's appreciation certificate as a PDF
+ * Staff (admin or check-in) can download any donor's certificate; donors use the
+ * link in their after-care message, which carries their verification code
+ * Query: donation (default: latest completed donation), code
+ */
+app.get('/api/donors/:id/certificate', optionalAuth, async (req, res) => {
+    try {
+        await connectDB();
+
+        const donor = mongoose.isValidObjectId(req.params.id) ? await Donor.findById(req.params.id) : null;
+        const code = normalizeCode(req.query.code);
+
+        if (!req.admin && !code) {
+            return res.status(401).json({
+                success: false,
+                messageKey: 'api.authenticationRequired'
+            });
+        }
+        // A wrong code looks the same as a missing donor
+        if (!donor || (!req.admin && code !== donor.certificateCode)) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.certificateNotFound'
+            });
+        }
+
+        const donationFilter = { donor: donor._id, status: 'donated' };
+        if (req.query.donation) {
+            if (!mongoose.isValidObjectId(req.query.donation)) {
+                return res.status(404).json({
+                    success: false,
+                    messageKey: 'api.donationNotFound'
+                });
+            }
+            donationFilter._id = req.query.donation;
+        }
+
+        const donation = await Donation.findOne(donationFilter).sort({ donatedAt: -1 }).populate('drive');
+        if (!donation || !donation.drive) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.nothingToCertify'
+            });
+        }
+
+        // Helvetica has no Devanagari: the donor's name in English letters is needed instead
+        const name = printableName(donor);
+        if (!name) {
+            return res.status(422).json({
+                success: false,
+                messageKey: 'api.certificateNameUnprintable'
+            });
+        }
+
+        const certified = await Donor.ensureCertificateCode(donor._id);
+        const pdf = renderCertificate({
+            donor: certified,
+            donation,
+            drive: donation.drive,
+            verifyUrl: `${publicBaseUrl(req)}/verify/${certified.certificateCode}`,
+            timeZone: TIMEZONE
+        });
+
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'donor';
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="certificate-${slug}.pdf"`);
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Error rendering certificate:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorRenderingCertificate'
+        });
+    }
+});
+
+/**
+ * GET /api/verify/:code
+ * Confirm a certificate is genuine: the donor it was issued to and their completed donations
+ */
+app.get('/api/verify/:code', ensureDB, rateLimit({
+    name: 'verify-ip',
+    windowMs: VERIFY_RATE_WINDOW_MS,
+    max: VERIFY_RATE_LIMIT_IP,
+    key: byIp,
+    messageKey: 'api.tooManyVerifications'
+}), async (req, res) => {
+    try {
+        const code = normalizeCode(req.params.code);
+        const donor = code ? await Donor.findOne({ certificateCode: code }) : null;
+        if (!donor) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.certificateCodeUnknown'
+            });
+        }
+
+        const donations = await Donation.find({ donor: donor._id, status: 'donated' })
+            .sort({ donatedAt: -1 })
+            .populate('drive', 'name venue');
+
+        res.json({
+            success: true,
+            data: {
+                code,
+                fullName: donor.fullName,
+                bloodGroup: donor.bloodGroup,
+                donationCount: donations.length,
+                donations: donations.map(donation => ({
+                    drive: donation.drive ? donation.drive.name : null,
+                    venue: donation.drive ? donation.drive.venue : null,
+                    donatedAt: donation.donatedAt,
+                    donationNumber: donation.donationNumber
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error verifying certificate:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorVerifyingCertificate'
+        });
+    }
+});
+
+/**
+ * PATCH /api/donors/:id
+ * Correct a donor's details (admin only)
+ * Body: any of fullName, bloodGroup, age, year, rollNumber, email, phone, displayConsent, contactConsent,
+ * customFields (answers keyed by custom field name)
+ * Identity keys and custom answers sent as an empty string are removed
+ */
+app.patch('/api/donors/:id', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const donor = mongoose.isValidObjectId(req.params.id)
+            ? await Donor.findById(req.params.id)
+            : null;
+        if (!donor) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.donorNotFound'
+            });
+        }
+
+        // Each field sent is checked with the same rules as registration
+        const config = await FormConfig.getCurrent();
+        const fields = Validation.buildDonorFields(config);
+        const updates = {};
+        const errors = {};
+        const errorKeys = {};
+        Object.keys(fields).forEach(key => {
+            if (req.body[key] === undefined) return;
+            const { value, error, errorKey } = Validation.validateField(fields[key], req.body[key], req.t);
+            if (error) {
+                errors[key] = error;
+                errorKeys[key] = errorKey;
+            } else if (!IDENTITY_FIELDS.includes(key)) {
+                updates[key] = value;
+            }
+        });
+
+        // Custom answers are checked on their own, so an answer left blank isn't reported as missing
+        const customFields = Validation.buildCustomFields(config);
+        const customAnswers = req.body.customFields || {};
+        Object.keys(customFields).forEach(name => {
+            if (customAnswers[name] === undefined) return;
+            const { value, error, errorKey } = Validation.validateField({ ...customFields[name], required: false }, customAnswers[name], req.t);
+            if (error) {
+                errors[`customFields.${name}`] = error;
+                errorKeys[`customFields.${name}`] = errorKey;
+            } else {
+                updates[`customFields.${name}`] = value || undefined;
+            }
+        });
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                messageKey: Object.values(errorKeys)[0],
+                message: Object.values(errors)[0],
+                errors
+            });
+        }
+        // Lets staff withdraw a donor from public screens or messages on request
+        if (req.body.displayConsent !== undefined) {
+            updates.displayConsent = parseConsent(req.body.displayConsent);
+        }
+        if (req.body.contactConsent !== undefined) {
+            updates.contactConsent = parseConsent(req.body.contactConsent);
+        }
+        donor.set(updates);
+
+        // Identity keys go through the same normalisation as registration
+        const identity = Donor.normalizeIdentity(req.body);
+        IDENTITY_FIELDS.forEach(key => {
+            if (req.body[key] === undefined) return;
+            donor.set(key, identity[key] || undefined);
+        });
+
+        if (IDENTITY_FIELDS.every(key => !donor[key])) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.donorNeedsIdentity'
+            });
+        }
+
+        await donor.save();
+
+        res.json({
+            success: true,
+            messageKey: 'api.donorUpdated',
+            data: donor
+        });
+
+    } catch (error) {
+        console.error('Error updating donor:', error);
+
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json(error.errors
+                ? { success: false, messageKey: 'api.invalidDetails', messageParams: { details: validationDetails(error) } }
+                : { success: false, messageKey: 'api.invalidDonorDetails' });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                messageKey: 'api.identityTaken'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorUpdatingDonor'
+        });
+    }
+});
+
+/**
+ * DELETE /api/donors/:id
+ * Remove a donor with all of their donations and blood units (admin only)
+ * Drive totals are reduced by the units removed
+ */
+app.delete('/api/donors/:id', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const donor = mongoose.isValidObjectId(req.params.id)
+            ? await Donor.findById(req.params.id)
+            : null;
+        if (!donor) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.donorNotFound'
+            });
+        }
+
+        // Units per drive, so each drive's total can be corrected
+        const counted = await BloodUnit.aggregate([
+            { $match: { donor: donor._id } },
+            { $group: { _id: '$drive', count: { $sum: 1 } } }
+        ]);
+
+        await BloodUnit.deleteMany({ donor: donor._id });
+        await Notification.deleteMany({ donor: donor._id });
+        const { deletedCount } = await Donation.deleteMany({ donor: donor._id });
+        await donor.deleteOne();
+
+        for (const { _id: driveId, count } of counted) {
+            const stats = await Stats.incrementCount(-count, driveId);
+            const drive = await Drive.findById(driveId);
+            if (drive) {
+                await broadcastStats(drive, stats);
+            }
+        }
+
+        console.log(`🗑️ Donor deleted: ${donor.fullName} (${deletedCount} donation(s))`);
+
+        res.json({
+            success: true,
+            messageKey: 'api.donorDeleted',
+            data: {
+                id: donor._id,
+                deletedDonations: deletedCount
+            }
+        });
+
+    } catch (error) {
+        console.error('Error deleting donor:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorDeletingDonor'
+        });
+    }
+});
+
+// ============================================
+// DRIVE ROUTES
+// ============================================
+
+/**
+ * GET /api/drives
+ * List all drives, newest first, with their totals
+ */
+app.get('/api/drives', async (req, res) => {
+    try {
+        // Ensure DB connection in serverless environment
+        await connectDB();
+
+        const drives = await Drive.find().sort({ startDate: -1 });
+        const stats = await Stats.find({ identifier: { $in: drives.map(drive => drive._id.toString()) } });
+        const totals = new Map(stats.map(s => [s.identifier, s.totalBloodUnits]));
+
+        res.json({
+            success: true,
+            data: drives.map(drive => ({
+                ...drive.toSummary(),
+                totalBloodUnits: totals.get(drive._id.toString()) || 0
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching drives:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingDrives'
+        });
+    }
+});
+
+/**
+ * GET /api/drives/current
+ * GET /api/drives/:slug
+ * Get a single drive
+ */
+app.get(['/api/drives/current', '/api/drives/:slug'], loadDrive, (req, res) => {
+    res.json({
+        success: true,
+        data: req.drive.toSummary()
+    });
+});
+
+/**
+ * POST /api/drives
+ * Create a new drive (admin only)
+ * Pass `isActive: true` to make it the drive new registrations go to
+ */
+app.post('/api/drives', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const fields = pickDriveFields(req.body);
+        if (!fields.slug) {
+            fields.slug = Drive.slugify(fields.name);
+        }
+
+        let drive = await Drive.create(fields);
+        if (req.body.isActive === true) {
+            drive = await Drive.activate(drive._id);
+        }
+
+        res.status(201).json({
+            success: true,
+            messageKey: 'api.driveCreated',
+            data: drive.toSummary()
+        });
+
+    } catch (error) {
+        if (handleDriveWriteError(error, res)) return;
+
+        console.error('Error creating drive:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorCreatingDrive'
+        });
+    }
+});
+
+/**
+ * PATCH /api/drives/:slug
+ * Update a drive's details (admin only)
+ */
+app.patch('/api/drives/:slug', requireAdmin, loadDrive, async (req, res) => {
+    try {
+        let drive = req.drive;
+        drive.set(pickDriveFields(req.body));
+        await drive.save();
+
+        if (req.body.isActive === true) {
+            drive = await Drive.activate(drive._id);
+        }
+
+        res.json({
+            success: true,
+            messageKey: 'api.driveUpdated',
+            data: drive.toSummary()
+        });
+
+    } catch (error) {
+        if (handleDriveWriteError(error, res)) return;
+
+        console.error('Error updating drive:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorUpdatingDrive'
+        });
+    }
+});
+
+// ============================================
+// FORM CONFIGURATION ROUTES
+// ============================================
+
+/**
+ * Picks the form settings an admin may change from a request body
+ * Custom fields sent without a name are named after their label
+ * @param {Object} body - Request body
+ * @returns {Object} Settings for FormConfig.saveConfig
+ */
+function pickFormConfigFields(body) {
+    const fields = {};
+    ['ageMin', 'ageMax', 'livesPerUnit', 'year'].forEach(key => {
+        if (body[key] !== undefined) {
+            fields[key] = body[key];
+        }
+    });
+
+    // Year options may be given as plain strings
+    if (fields.year && Array.isArray(fields.year.options)) {
+        fields.year = {
+            ...fields.year,
+            options: fields.year.options.map(option => (typeof option === 'string' ? { value: option, label: option } : option))
+        };
+    }
+
+    if (Array.isArray(body.customFields)) {
+        fields.customFields = body.customFields.map(field => ({
+            ...field,
+            name: field.name || FormConfig.nameFromLabel(field.label)
+        }));
+    }
+    return fields;
+}
+
+/**
+ * GET /api/config/form
+ * Get the registration form settings: age limits, the year field, custom fields and lives per unit
+ */
+app.get('/api/config/form', async (req, res) => {
+    try {
+        await connectDB();
+
+        res.json({
+            success: true,
+            data: await FormConfig.getCurrent()
+        });
+
+    } catch (error) {
+        console.error('Error fetching form settings:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingFormSettings'
+        });
+    }
+});
+
+/**
+ * PUT /api/config/form
+ * Change the registration form settings (admin only)
+ * Body: any of ageMin, ageMax, livesPerUnit, year { enabled, required, label, options },
+ * customFields [{ name, label, type: text|select, required, options }]
+ * Applies to new registrations; donors already registered keep their answers
+ */
+app.put('/api/config/form', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const config = await FormConfig.saveConfig(pickFormConfigFields(req.body), req.admin.username);
+        console.log(`⚙️ Form settings updated by ${req.admin.username}`);
+
+        res.json({
+            success: true,
+            messageKey: 'api.formSettingsSaved',
+            data: config
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json(error.errors
+                ? { success: false, messageKey: 'api.invalidDetails', messageParams: { details: validationDetails(error) } }
+                : { success: false, messageKey: 'api.invalidFormSettings' });
+        }
+
+        console.error('Error saving form settings:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorSavingFormSettings'
+        });
+    }
+});
+
+// ============================================
+// SLOT & BOOKING ROUTES
+// ============================================
+
+/**
+ * GET /api/slots
+ * GET /api/drives/:slug/slots
+ * Get the upcoming appointment slots for the current (or given) drive
+ */
+app.get(['/api/slots', '/api/drives/:slug/slots'], loadDrive, async (req, res) => {
+    try {
+        const slots = await Slot.find({ drive: req.drive._id, startsAt: { $gt: new Date() } })
+            .sort({ startsAt: 1 });
+
+        res.json({
+            success: true,
+            data: slots.map(slot => slot.toSummary())
+        });
+
+    } catch (error) {
+        console.error('Error fetching slots:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingSlots'
+        });
+    }
+});
+
+/**
+ * POST /api/slots
+ * POST /api/drives/:slug/slots
+ * Create an appointment slot (admin only)
+ * Body: startsAt, endsAt, capacity
+ */
+app.post(['/api/slots', '/api/drives/:slug/slots'], requireAdmin, loadDrive, async (req, res) => {
+    try {
+        const { startsAt, endsAt, capacity } = req.body;
+        const slot = await Slot.create({ drive: req.drive._id, startsAt, endsAt, capacity });
+
+        res.status(201).json({
+            success: true,
+            messageKey: 'api.slotCreated',
+            data: slot.toSummary()
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidDetails',
+                messageParams: { details: validationDetails(error) }
+            });
+        }
+
+        console.error('Error creating slot:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorCreatingSlot'
+        });
+    }
+});
+
+/**
+ * POST /api/slots/:id/book
+ * Book a place in a slot; screening happens at check-in on the day
+ * Body: fullName, bloodGroup, age, year, customFields and at least one of rollNumber, email, phone
+ */
+app.post('/api/slots/:id/book', async (req, res) => {
+    try {
+        await connectDB();
+
+        const config = await FormConfig.getCurrent();
+        const { error: validationError, errorKey, errors, value } = validateDonorDetails(req.body, config, req.t);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                messageKey: errorKey,
+                message: validationError,
+                errors
+            });
+        }
+
+        const slot = mongoose.isValidObjectId(req.params.id)
+            ? await Slot.findById(req.params.id)
+            : null;
+        if (!slot) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.slotNotFound'
+            });
+        }
+
+        const existing = await Booking.findActive(slot.drive, value.identity);
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                messageKey: 'api.alreadyBooked'
+            });
+        }
+
+        const donor = await Donor.findByIdentity(value.identity);
+        if (donor && await Donation.exists({ donor: donor._id, drive: slot.drive })) {
+            return res.status(409).json({
+                success: false,
+                messageKey: 'api.alreadyRegistered'
+            });
+        }
+
+        // Atomic: fails instead of overbooking when the last place goes concurrently
+        const reserved = await Slot.reserve(slot._id);
+        if (!reserved) {
+            return res.status(409).json({
+                success: false,
+                messageKey: slot.startsAt <= new Date() ? 'api.slotStarted' : 'api.slotFull'
+            });
+        }
+
+        let booking;
+        try {
+            booking = await Booking.create({
+                slot: slot._id,
+                drive: slot.drive,
+                fullName: value.fullName,
+                certificateName: value.certificateName,
+                bloodGroup: value.bloodGroup,
+                age: value.age,
+                year: value.year,
+                customFields: value.customFields,
+                displayConsent: value.displayConsent,
+                contactConsent: value.contactConsent,
+                ...value.identity
+            });
+        } catch (createError) {
+            // Give the place back if the booking couldn't be saved
+            await Slot.release(slot._id);
+            throw createError;
+        }
+
+        console.log(`📅 Slot booked: ${booking.fullName} at ${slot.startsAt.toISOString()} (${booking.code})`);
+
+        res.status(201).json({
+            success: true,
+            messageKey: 'api.slotBooked',
+            data: booking.toSummary(reserved)
+        });
+
+    } catch (error) {
+        // Handle mongoose validation errors
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidDetails',
+                messageParams: { details: validationDetails(error) }
+            });
+        }
+
+        console.error('Error booking slot:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorBookingSlot'
+        });
+    }
+});
+
+/**
+ * GET /api/bookings/:code
+ * Look up a booking by its code
+ */
+app.get('/api/bookings/:code', async (req, res) => {
+    try {
+        await connectDB();
+
+        const booking = await Booking.findByCode(req.params.code);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.bookingNotFound'
+            });
+        }
+
+        const slot = await Slot.findById(booking.slot);
+
+        res.json({
+            success: true,
+            data: booking.toSummary(slot)
+        });
+
+    } catch (error) {
+        console.error('Error fetching booking:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingBooking'
+        });
+    }
+});
+
+/**
+ * POST /api/bookings/:code/cancel
+ * Cancel a booking and free its place in the slot
+ */
+app.post('/api/bookings/:code/cancel', async (req, res) => {
+    try {
+        await connectDB();
+
+        const booking = await Booking.findByCode(req.params.code);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.bookingNotFound'
+            });
+        }
+
+        // Only the request that flips the status releases the place
+        const cancelled = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: 'booked' },
+            { status: 'cancelled' },
+            { new: true }
+        );
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                messageKey: 'api.bookingAlready',
+                messageParams: { status: booking.status }
+            });
+        }
+
+        await Slot.release(booking.slot);
+
+        res.json({
+            success: true,
+            messageKey: 'api.bookingCancelled',
+            data: cancelled.toSummary()
+        });
+
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorCancellingBooking'
+        });
+    }
+});
+
+/**
+ * POST /api/bookings/:code/check-in
+ * Turn a booking into a screened visit when the donor arrives (staff)
+ * The donation is then recorded with POST /api/checkin/:code/donate
+ * Body: screening - the same questionnaire as POST /api/donate
+ */
+app.post('/api/bookings/:code/check-in', requireRole('admin', 'staff'), async (req, res) => {
+    let claimed = null;
+
+    try {
+        await connectDB();
+
+        const booking = await Booking.findByCode(req.params.code);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.bookingNotFound'
+            });
+        }
+
+        const { error: validationError, errorKey, errors, value } = validateRegistration({
+            fullName: booking.fullName,
+            certificateName: booking.certificateName,
+            bloodGroup: booking.bloodGroup,
+            age: booking.age,
+            year: booking.year,
+            customFields: Object.fromEntries(booking.customFields || []),
+            rollNumber: booking.rollNumber,
+            email: booking.email,
+            phone: booking.phone,
+            displayConsent: booking.displayConsent,
+            contactConsent: booking.contactConsent,
+            screening: req.body.screening
+        }, await FormConfig.getCurrent(), req.t);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                messageKey: errorKey,
+                message: validationError,
+                errors
+            });
+        }
+
+        const drive = await Drive.findById(booking.drive);
+        if (!drive) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.driveNotFound'
+            });
+        }
+
+        // Claim the booking first so two scanners can't check it in twice
+        claimed = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: 'booked' },
+            { status: 'checked-in', checkedInAt: new Date() },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                messageKey: 'api.bookingAlready',
+                messageParams: { status: booking.status }
+            });
+        }
+
+        // Staff screen the donor as part of checking the booking in
+        const { donor, donation, eligible, deferrals } = await registerDonation({ value, drive, status: 'screened' });
+
+        claimed.donation = donation._id;
+        await claimed.save();
+
+        if (!eligible) {
+            console.log(`⏸️ Donor deferred at check-in: ${donor.fullName} (${deferrals.map(d => d.code).join(', ')})`);
+        }
+
+        res.status(201).json({
+            success: true,
+            messageKey: eligible ? 'api.checkedIn' : 'api.checkedInDeferred',
+            data: {
+                booking: claimed.toSummary(),
+                donor: {
+                    id: donor._id,
+                    fullName: donor.fullName,
+                    bloodGroup: donor.bloodGroup
+                },
+                drive: drive.slug,
+                status: donation.status,
+                checkInCode: donation.checkInCode,
+                deferralReasons: eligible ? undefined : localizeDeferrals(deferrals, req.t)
+            }
+        });
+
+    } catch (error) {
+        // Registration failed: the booking can be checked in again
+        if (claimed && !claimed.donation) {
+            await Booking.updateOne({ _id: claimed._id }, { status: 'booked', $unset: { checkedInAt: '' } })
+                .catch(err => console.error('Error reopening booking:', err));
+        }
+
+        if (error instanceof RegistrationError) {
+            return res.status(error.status).json({
+                success: false,
+                messageKey: error.messageKey,
+                messageParams: error.messageParams,
+                data: error.data
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidDetails',
+                messageParams: { details: validationDetails(error) }
+            });
+        }
+
+        console.error('Error checking in booking:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorCheckingInBooking'
+        });
+    }
+});
+
+// ============================================
+// CHECK-IN ROUTES
+// ============================================
+
+/**
+ * Middleware that loads the visit named by `:code` into `req.donation`
+ */
+async function loadCheckIn(req, res, next) {
+    try {
+        await connectDB();
+
+        const donation = await Donation.findByCheckInCode(req.params.code);
+        if (!donation) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.checkInCodeUnknown'
+            });
+        }
+
+        req.donation = donation;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Builds what the check-in desk sees about a visit
+ * @param {Object} donation - Donation with donor and drive populated
+ * @returns {Object} Check-in summary
+ */
+function toCheckInSummary(donation) {
+    const { donor, drive } = donation;
+    return {
+        checkInCode: donation.checkInCode,
+        status: donation.status,
+        donor: donor && {
+            id: donor._id,
+            fullName: donor.fullName,
+            bloodGroup: donor.bloodGroup,
+            age: donor.age,
+            year: donor.year
+        },
+        drive: drive && drive.slug,
+        screening: donation.screening,
+        deferralReasons: donation.deferralReasons,
+        screenedAt: donation.screenedAt,
+        donationNumber: donation.donationNumber,
+        donatedAt: donation.donatedAt
+    };
+}
+
+/**
+ * Sends a RegistrationError raised by the check-in workflow
+ * @returns {Boolean} Whether a response was sent
+ */
+function handleCheckInError(error, res) {
+    if (error instanceof RegistrationError) {
+        res.status(error.status).json({
+            success: false,
+            messageKey: error.messageKey,
+            messageParams: error.messageParams,
+            data: error.data,
+            errors: error.errors
+        });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * GET /api/checkin/:code/qr
+ * QR code of a check-in code, for the donor to show at the desk
+ * Query: format=svg|png (default svg)
+ */
+app.get('/api/checkin/:code/qr', loadCheckIn, async (req, res) => {
+    try {
+        const { checkInCode } = req.donation;
+        // Don't let shared caches keep a donor's code
+        res.set('Cache-Control', 'private, max-age=86400');
+
+        if (req.query.format === 'png') {
+            res.type('png').send(await QRCode.toBuffer(checkInCode, { margin: 2, width: 320 }));
+        } else {
+            res.type('svg').send(await QRCode.toString(checkInCode, { type: 'svg', margin: 2 }));
+        }
+
+    } catch (error) {
+        console.error('Error generating QR code:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorGeneratingQRCode'
+        });
+    }
+});
+
+/**
+ * GET /api/checkin/:code
+ * Look up a registration at the check-in desk (staff)
+ */
+app.get('/api/checkin/:code', requireRole('admin', 'staff'), loadCheckIn, async (req, res) => {
+    try {
+        await req.donation.populate([
+            { path: 'donor', select: 'fullName bloodGroup age year' },
+            { path: 'drive', select: 'slug' }
+        ]);
+
+        res.json({
+            success: true,
+            data: toCheckInSummary(req.donation)
+        });
+
+    } catch (error) {
+        console.error('Error fetching check-in:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingRegistration'
+        });
+    }
+});
+
+/**
+ * POST /api/checkin/:code/screen
+ * Record on-site screening: registered -> screened, or deferred (staff)
+ * Body: screening - the questionnaire as confirmed by staff
+ */
+app.post('/api/checkin/:code/screen', requireRole('admin', 'staff'), loadCheckIn, async (req, res) => {
+    try {
+        const { donation, eligible } = await screenDonation(req.donation, req.body.screening, req.t);
+        await donation.populate([
+            { path: 'donor', select: 'fullName bloodGroup age year' },
+            { path: 'drive', select: 'slug' }
+        ]);
+
+        console.log(`🩺 Donor screened: ${donation.donor.fullName} (${donation.status})`);
+
+        res.json({
+            success: true,
+            messageKey: eligible ? 'api.screeningPassed' : 'api.donorNotEligible',
+            data: toCheckInSummary(donation)
+        });
+
+    } catch (error) {
+        if (handleCheckInError(error, res)) return;
+
+        console.error('Error screening donor:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorRecordingScreening'
+        });
+    }
+});
+
+/**
+ * POST /api/checkin/:code/donate
+ * Record the bag collected: screened -> donated (staff)
+ * This is the only point a registration is counted towards the drive total
+ * Body: bagNumber, volumeMl (350 or 450), phlebotomist
+ */
+app.post('/api/checkin/:code/donate', requireRole('admin', 'staff'), loadCheckIn, async (req, res) => {
+    try {
+        const { error: unitError, value: details } = validateUnitDetails(req.body, req.t);
+        if (unitError) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidDetails',
+                messageParams: { details: unitError }
+            });
+        }
+
+        const { donation, unit } = await completeDonation(req.donation, details);
+        await donation.populate([
+            { path: 'donor', select: 'fullName bloodGroup age year displayConsent contactConsent email phone' },
+            { path: 'drive' }
+        ]);
+
+        const stats = await announceDonation(donation.drive, donation.donor, donation);
+        await scheduleFollowUps(donation.donor, donation);
+
+        res.json({
+            success: true,
+            messageKey: 'api.donationRecorded',
+            data: {
+                ...toCheckInSummary(donation),
+                unit: {
+                    bagNumber: unit.bagNumber,
+                    volumeMl: unit.volumeMl,
+                    collectedAt: unit.collectedAt,
+                    phlebotomist: unit.phlebotomist
+                },
+                totalUnits: stats.totalBloodUnits
+            }
+        });
+
+    } catch (error) {
+        if (handleCheckInError(error, res)) return;
+
+        console.error('Error recording donation:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorRecordingDonation'
+        });
+    }
+});
+
+// ============================================
+// BLOOD UNIT ROUTES
+// ============================================
+
+/**
+ * GET /api/units/handover
+ * GET /api/drives/:slug/units/handover
+ * Handover report of a drive's bags for the receiving blood bank, grouped by blood group (staff)
+ * Query: format=json|csv (default json)
+ */
+app.get(['/api/units/handover', '/api/drives/:slug/units/handover'], requireRole('admin', 'staff'), loadDrive, async (req, res) => {
+    try {
+        const groups = await BloodUnit.getHandover(req.drive._id);
+
+        if (req.query.format === 'csv') {
+            return sendHandoverCsv(groups, res, `handover-${req.drive.slug}`);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                drive: req.drive.slug,
+                generatedAt: new Date(),
+                totalUnits: groups.reduce((sum, group) => sum + group.units, 0),
+                totalVolumeMl: groups.reduce((sum, group) => sum + group.totalVolumeMl, 0),
+                groups
+            }
+        });
+
+    } catch (error) {
+        console.error('Error building handover report:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorBuildingHandoverReport'
+        });
+    }
+});
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+/**
+ * Keys a login attempt by the username tried, normalised like Admin.authenticate
+ * @param {Object} req - Express request
+ * @returns {String|null} Client key, or null when no username was sent
+ */
+function byLoginUsername(req) {
+    const username = String((req.body && req.body.username) || '').trim().toLowerCase();
+    return username || null;
+}
+
+/**
+ * POST /api/admin/login
+ * Exchange admin credentials for a signed session token
+ * Rate limited per IP and per username, so a password can't be guessed from many addresses either
+ */
+app.post('/api/admin/login', ensureDB, rateLimit({
+    name: 'login-ip',
+    windowMs: LOGIN_RATE_WINDOW_MS,
+    max: LOGIN_RATE_LIMIT_IP,
+    key: byIp,
+    messageKey: 'api.tooManyLoginAttempts'
+}), rateLimit({
+    name: 'login-username',
+    windowMs: LOGIN_RATE_WINDOW_MS,
+    max: LOGIN_RATE_LIMIT_USERNAME,
+    key: byLoginUsername,
+    messageKey: 'api.tooManyLoginAttempts'
+}), async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.credentialsRequired'
+            });
+        }
+
+        const admin = await Admin.authenticate(username, password);
+
+        if (!admin) {
+            return res.status(401).json({
+                success: false,
+                messageKey: 'api.invalidCredentials'
+            });
+        }
+
+        res.json({
+            success: true,
+            messageKey: 'api.loggedIn',
+            data: {
+                token: signToken(admin),
+                admin: {
+                    username: admin.username,
+                    role: admin.role
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorLoggingIn'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/me
+ * Return the currently signed-in admin
+ */
+app.get('/api/admin/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            username: req.admin.username,
+            role: req.admin.role
+        }
+    });
+});
+
+/**
+ * POST /api/admin/kiosk
+ * Set up the calling browser (its X-Device-Id) as a registration kiosk
+ * The returned token is sent with the kiosk's registrations and lifts them
+ * from the per-device limit to the per-kiosk one
+ */
+app.post('/api/admin/kiosk', requireRole('admin', 'staff'), (req, res) => {
+    const deviceId = byDevice(req);
+
+    if (!deviceId) {
+        return res.status(400).json({
+            success: false,
+            messageKey: 'api.deviceIdRequired'
+        });
+    }
+
+    try {
+        console.log(`🖥️ Kiosk set up by ${req.admin.username}: ${deviceId}`);
+        res.json({
+            success: true,
+            messageKey: 'api.kioskRegistered',
+            data: {
+                token: signKioskToken(deviceId, req.admin)
+            }
+        });
+    } catch (error) {
+        console.error('Error setting up kiosk:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorSettingUpKiosk'
+        });
+    }
+});
+
+// ============================================
+// STAFF ACCOUNT ROUTES
+// ============================================
+
+/**
+ * Loads the staff account named in the URL
+ * Sets req.account, or responds 404
+ */
+async function loadAccount(req, res, next) {
+    try {
+        await connectDB();
+
+        const account = mongoose.isValidObjectId(req.params.id)
+            ? await Admin.findById(req.params.id)
+            : null;
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.accountNotFound'
+            });
+        }
+
+        req.account = account;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Sends the response for a failed account save, if it is one the caller can fix
+ * @param {Error} error - Error from saving the account
+ * @param {Object} res - Express response
+ * @returns {Boolean} Whether a response was sent
+ */
+function handleAccountWriteError(error, res) {
+    if (error.name === 'ValidationError') {
+        res.status(400).json({
+            success: false,
+            messageKey: 'api.invalidDetails',
+            messageParams: { details: validationDetails(error) }
+        });
+        return true;
+    }
+    if (error.code === 11000) {
+        res.status(409).json({
+            success: false,
+            messageKey: 'api.usernameTaken'
+        });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Checks a new password against the account policy
+ * @param {*} password - Password from the request body
+ * @returns {Object|null} 400 response body, or null when the password is acceptable
+ */
+function passwordProblem(password) {
+    if (typeof password !== 'string' || password.length < Admin.PASSWORD_MIN_LENGTH) {
+        return {
+            success: false,
+            messageKey: 'api.passwordTooShort',
+            messageParams: { min: Admin.PASSWORD_MIN_LENGTH }
+        };
+    }
+    return null;
+}
+
+/**
+ * GET /api/admin/users
+ * List staff and admin accounts
+ */
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const accounts = await Admin.find().sort({ username: 1 });
+
+        res.json({
+            success: true,
+            data: accounts.map(account => account.toSummary())
+        });
+
+    } catch (error) {
+        console.error('Error fetching accounts:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingAccounts'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users
+ * Create a login for a check-in desk volunteer (or another admin)
+ * Body: username, password, role ('staff' by default)
+ */
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const { username, password, role = 'staff' } = req.body;
+
+        if (!Admin.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidRole',
+                messageParams: { options: Admin.ROLES.join(', ') }
+            });
+        }
+        const problem = passwordProblem(password);
+        if (problem) {
+            return res.status(400).json(problem);
+        }
+
+        const account = new Admin({ username, role });
+        await account.setPassword(password);
+        await account.save();
+
+        console.log(`👤 Account created by ${req.admin.username}: ${account.username} (${account.role})`);
+
+        res.status(201).json({
+            success: true,
+            messageKey: 'api.accountCreated',
+            messageParams: { username: account.username },
+            data: account.toSummary()
+        });
+
+    } catch (error) {
+        console.error('Error creating account:', error);
+        if (handleAccountWriteError(error, res)) return;
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorSavingAccount'
+        });
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:id
+ * Change an account's role, disable or re-enable it, or set a new password
+ * Body: any of role, disabled, password
+ * Admins can't demote or disable themselves, so there is always someone left to manage accounts
+ */
+app.patch('/api/admin/users/:id', requireAdmin, loadAccount, async (req, res) => {
+    try {
+        const { account } = req;
+        const { role, disabled, password } = req.body;
+        const isSelf = account._id.toString() === req.admin.sub;
+
+        if (role !== undefined && !Admin.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.invalidRole',
+                messageParams: { options: Admin.ROLES.join(', ') }
+            });
+        }
+        if (isSelf && ((role !== undefined && role !== account.role) || disabled === true)) {
+            return res.status(400).json({
+                success: false,
+                messageKey: 'api.cannotChangeOwnAccount'
+            });
+        }
+        if (password !== undefined) {
+            const problem = passwordProblem(password);
+            if (problem) {
+                return res.status(400).json(problem);
+            }
+            await account.setPassword(password);
+        }
+
+        if (role !== undefined) {
+            account.role = role;
+        }
+        if (disabled !== undefined) {
+            account.disabled = Boolean(disabled);
+        }
+        await account.save();
+
+        console.log(`👤 Account updated by ${req.admin.username}: ${account.username} (${account.role}${account.disabled ? ', disabled' : ''})`);
+
+        res.json({
+            success: true,
+            messageKey: 'api.accountUpdated',
+            messageParams: { username: account.username },
+            data: account.toSummary()
+        });
+
+    } catch (error) {
+        console.error('Error updating account:', error);
+        if (handleAccountWriteError(error, res)) return;
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorSavingAccount'
+        });
+    }
+});
+
+// ============================================
+// BLOOD REQUEST ROUTES
+// ============================================
+
+/**
+ * Loads the blood request named in the URL
+ * Sets req.bloodRequest, or responds 404
+ */
+async function loadBloodRequest(req, res, next) {
+    try {
+        await connectDB();
+
+        const request = mongoose.isValidObjectId(req.params.id)
+            ? await BloodRequest.findById(req.params.id)
+            : null;
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                messageKey: 'api.bloodRequestNotFound'
+            });
+        }
+
+        req.bloodRequest = request;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Picks the editable blood request fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Blood request fields
+ */
+function pickBloodRequestFields(body) {
+    const fields = {};
+    ['bloodGroup', 'units', 'urgency', 'hospital', 'contact', 'notes', 'neededBy', 'status'].forEach(key => {
+        if (body[key] !== undefined) {
+            // Blank dates clear the deadline
+            fields[key] = key === 'neededBy' && body[key] === '' ? null : body[key];
+        }
+    });
+    return fields;
+}
+
+/**
+ * Sends a validation error from saving a blood request
+ * @returns {Boolean} Whether a response was sent
+ */
+function handleBloodRequestWriteError(error, res) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        res.status(400).json(error.errors
+            ? { success: false, messageKey: 'api.invalidDetails', messageParams: { details: validationDetails(error) } }
+            : { success: false, messageKey: 'api.invalidBloodRequest' });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * GET /api/requests
+ * List blood requests, newest first, with how many donors have been contacted (admin)
+ * Query: status (open, fulfilled, cancelled)
+ */
+app.get('/api/requests', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const filter = BloodRequest.STATUSES.includes(req.query.status) ? { status: req.query.status } : {};
+        const requests = await BloodRequest.find(filter).sort({ createdAt: -1 }).limit(100).lean();
+
+        // Donors messaged per request, whichever channels reached them
+        const contacted = await Notification.aggregate([
+            { $match: { bloodRequest: { $in: requests.map(request => request._id) } } },
+            { $group: { _id: { request: '$bloodRequest', donor: '$donor' } } },
+            { $group: { _id: '$_id.request', donors: { $sum: 1 } } }
+        ]);
+        const contactedById = new Map(contacted.map(row => [row._id.toString(), row.donors]));
+
+        res.json({
+            success: true,
+            data: requests.map(request => ({
+                ...request,
+                contactedDonors: contactedById.get(request._id.toString()) || 0
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching blood requests:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorFetchingBloodRequests'
+        });
+    }
+});
+
+/**
+ * POST /api/requests
+ * Log a hospital's request for blood (admin)
+ * Body: bloodGroup, units, hospital, contact, and optionally urgency, notes, neededBy
+ */
+app.post('/api/requests', requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const request = await BloodRequest.create({
+            ...pickBloodRequestFields(req.body),
+            status: 'open',
+            createdBy: req.admin.username
+        });
+
+        console.log(`🚨 Blood request: ${request.units} x ${request.bloodGroup} for ${request.hospital} (${request.urgency})`);
+
+        res.status(201).json({
+            success: true,
+            messageKey: 'api.bloodRequestCreated',
+            data: request
+        });
+
+    } catch (error) {
+        if (handleBloodRequestWriteError(error, res)) return;
+
+        console.error('Error creating blood request:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorCreatingBloodRequest'
+        });
+    }
+});
+
+/**
+ * PATCH /api/requests/:id
+ * Update a blood request, e.g. mark it fulfilled or cancelled (admin)
+ * Messages not yet sent for a closed request are dropped
+ */
+app.patch('/api/requests/:id', requireAdmin, loadBloodRequest, async (req, res) => {
+    try {
+        const request = req.bloodRequest;
+        request.set(pickBloodRequestFields(req.body));
+        await request.save();
+
+        res.json({
+            success: true,
+            messageKey: 'api.bloodRequestUpdated',
+            data: request
+        });
+
+    } catch (error) {
+        if (handleBloodRequestWriteError(error, res)) return;
+
+        console.error('Error updating blood request:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorUpdatingBloodRequest'
+        });
+    }
+});
+
+/**
+ * GET /api/requests/:id/matches
+ * Past donors who could give to this request: compatible blood group, exact matches first,
+ * and at least 90 days since their last donation (admin)
+ */
+app.get('/api/requests/:id/matches', requireAdmin, loadBloodRequest, async (req, res) => {
+    try {
+        const request = req.bloodRequest;
+        const matches = await findMatches(request);
+        const contacted = await Notification.distinct('donor', { bloodRequest: request._id });
+        const contactedIds = new Set(contacted.map(id => id.toString()));
+
+        res.json({
+            success: true,
+            data: {
+                request,
+                matches: matches.map(donor => ({
+                    id: donor._id,
+                    fullName: donor.fullName,
+                    bloodGroup: donor.bloodGroup,
+                    email: donor.email,
+                    phone: donor.phone,
+                    donationCount: donor.donationCount,
+                    lastDonatedAt: donor.lastDonatedAt,
+                    daysSinceLastDonation: donor.daysSinceLastDonation,
+                    exactMatch: donor.exactMatch,
+                    contactable: donor.contactable,
+                    contacted: contactedIds.has(donor._id.toString())
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error matching donors:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorMatchingDonors'
+        });
+    }
+});
+
+/**
+ * POST /api/requests/:id/contact
+ * Message matched donors who opted in, by email and/or SMS (admin)
+ * Donors already contacted about this request are skipped
+ * Body: donorIds (optional; default every contactable match)
+ */
+app.post('/api/requests/:id/contact', requireAdmin, loadBloodRequest, async (req, res) => {
+    try {
+        const request = req.bloodRequest;
+        if (request.status !== 'open') {
+            return res.status(409).json({
+                success: false,
+                messageKey: 'api.bloodRequestClosed',
+                messageParams: { status: request.status }
+            });
+        }
+
+        let matches = (await findMatches(request)).filter(donor => donor.contactable);
+        if (Array.isArray(req.body.donorIds)) {
+            const wanted = new Set(req.body.donorIds.map(String));
+            matches = matches.filter(donor => wanted.has(donor._id.toString()));
+        }
+
+        let contacted = 0;
+        for (const donor of matches) {
+            if (await scheduleBloodRequest(donor, request) > 0) {
+                contacted++;
+            }
+        }
+
+        if (contacted > 0) {
+            console.log(`📣 Contacting ${contacted} donor(s) for ${request.bloodGroup} at ${request.hospital}`);
+            dispatchDue({ limit: contacted * Notification.CHANNELS.length })
+                .catch(err => console.error('Error dispatching notifications:', err));
+        }
+
+        res.json({
+            success: true,
+            messageKey: contacted === 0 ? 'api.noDonorsToContact' : contacted === 1 ? 'api.contactingDonor' : 'api.contactingDonors',
+            messageParams: { count: contacted },
+            data: {
+                contacted,
+                alreadyContacted: matches.length - contacted
+            }
+        });
+
+    } catch (error) {
+        console.error('Error contacting donors:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorContactingDonors'
+        });
+    }
+});
+
+// ============================================
+// NOTIFICATION ROUTES
+// ============================================
+
+/**
+ * Sends due notifications and reports what happened
+ */
+async function dispatchNotifications(req, res) {
+    try {
+        await connectDB();
+
+        const summary = await dispatchDue();
+
+        res.json({
+            success: true,
+            messageKey: 'api.notificationsDispatched',
+            data: summary
+        });
+
+    } catch (error) {
+        console.error('Error dispatching notifications:', error);
+        res.status(500).json({
+            success: false,
+            messageKey: 'api.errorDispatchingNotifications'
+        });
+    }
+}
+
+/**
+ * GET|POST /api/notifications/dispatch
+ * Send due confirmations, care reminders and "eligible again" messages
+ * Called by a scheduler with `Authorization: Bearer <CRON_SECRET>` (e.g. Vercel Cron), or by an admin
+ */
+app.all('/api/notifications/dispatch', (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (secret && req.get('Authorization') === `Bearer ${secret}`) {
+        return dispatchNotifications(req, res);
+    }
+    next();
+});
+app.post('/api/notifications/dispatch', requireAdmin, dispatchNotifications);
+
+// ============================================
+// PAGE ROUTES
+// ============================================
+
+// Serve registration page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/index.html'));
 });
@@ -277,11 +2984,26 @@ app.get('/thank-you', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/thankyou.html'));
 });
 
-// Serve dashboard page
-app.get('/dashboard', (req, res) => {
+// Serve certificate verification page
+app.get(['/verify', '/verify/:code'], (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/verify.html'));
+});
+
+// Serve dashboard page (current drive, or a specific drive by slug)
+app.get(['/dashboard', '/dashboard/:slug'], (req, res) => {
     res.sendFile(path.join(__dirname, '../public/dashboard.html'));
 });
 
+// Serve staff check-in desk
+app.get('/checkin', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/checkin.html'));
+});
+
+// Serve staff admin console
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/admin.html'));
+});
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).sendFile(path.join(__dirname, '../public/index.html'));
@@ -292,7 +3014,7 @@ app.use((err, req, res, next) => {
     console.error('Server error:', err);
     res.status(500).json({
         success: false,
-        message: 'Internal server error'
+        messageKey: 'api.internalError'
     });
 });
 
@@ -313,6 +3035,9 @@ async function startServer() {
         console.log('========================================');
     });
 
+    // Long-running servers send due notifications themselves
+    startNotifier(NOTIFY_INTERVAL_MS);
+
     // Graceful error handling for listen errors (e.g., EADDRINUSE)
     server.on('error', (err) => {
         if (err && err.code === 'EADDRINUSE') {
@@ -0,0 +1,157 @@
+/**
+ * Donor Certificates
+ * Renders the appreciation certificate students use for NSS / volunteer credit
+ * Each certificate carries the donor's verification code and a QR code linking
+ * to the public /verify page, where a college office can check it is genuine
+ */
+
+const QRCode = require('qrcode');
+const { createPdf, canDraw } = require('./pdf');
+
+const RED = '#DC143C';
+const DARK = '#343A40';
+const GRAY = '#6C757D';
+
+// Widest a name may be drawn before its font size is reduced
+const NAME_MAX_WIDTH = 640;
+
+/**
+ * Formats a date for the certificate in the venue's timezone
+ * @param {Date} date - Date
+ * @param {String} timeZone - IANA timezone
+ * @returns {String} e.g. "12 March 2026"
+ */
+function formatLongDate(date, timeZone) {
+    return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone });
+}
+
+/**
+ * Formats a number as an ordinal
+ * @param {Number} n - Number
+ * @returns {String} e.g. "3rd"
+ */
+function ordinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
+}
+
+/**
+ * Picks the name to print on a donor's certificate
+ * The PDF can only print Latin letters, so a name in another script (e.g. Devanagari)
+ * needs the donor's name in English letters (certificateName)
+ * @param {Object} donor - Donor (fullName, certificateName)
+ * @returns {String|null} Name to print, or null if neither can be printed
+ */
+function printableName(donor) {
+    return [donor.certificateName, donor.fullName].find(name => name && canDraw(name)) || null;
+}
+
+/**
+ * Draws the blood drop logo
+ * @param {Object} pdf - PDF being drawn
+ * @param {Number} x - Centre of the round part
+ * @param {Number} y - Centre of the round part
+ * @param {Number} r - Radius of the round part
+ */
+function drawDrop(pdf, x, y, r) {
+    // Two quarter-circle curves make the round bottom (0.5523 approximates a circle with Béziers)
+    const k = 0.5523 * r;
+    pdf.path([
+        ['M', x, y - r * 2.2],
+        ['C', x + r * 0.4, y - r * 1.4, x + r, y - r * 0.6, x + r, y],
+        ['C', x + r, y + k, x + k, y + r, x, y + r],
+        ['C', x - k, y + r, x - r, y + k, x - r, y],
+        ['C', x - r, y - r * 0.6, x - r * 0.4, y - r * 1.4, x, y - r * 2.2]
+    ], RED);
+}
+
+/**
+ * Draws a QR code, joining dark modules in each row into single bars
+ * @param {Object} pdf - PDF being drawn
+ * @param {String} text - Encoded text
+ * @param {Number} x - Left
+ * @param {Number} y - Top
+ * @param {Number} size - Width and height
+ */
+function drawQrCode(pdf, text, x, y, size) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const cell = size / modules.size;
+
+    for (let row = 0; row < modules.size; row++) {
+        let start = -1;
+        for (let col = 0; col <= modules.size; col++) {
+            const dark = col < modules.size && modules.get(row, col);
+            if (dark && start < 0) {
+                start = col;
+            } else if (!dark && start >= 0) {
+                pdf.rect(x + start * cell, y + row * cell, (col - start) * cell, cell, { fill: DARK });
+                start = -1;
+            }
+        }
+    }
+}
+
+/**
+ * Renders a donor's certificate for one completed donation
+ * @param {Object} options
+ * @param {Object} options.donor - Donor (fullName, certificateName, bloodGroup, certificateCode);
+ * check printableName first
+ * @param {Object} options.donation - Donated visit (donatedAt, donationNumber)
+ * @param {Object} options.drive - Drive the donation was made at (name, venue)
+ * @param {String} options.verifyUrl - Public URL that verifies this certificate
+ * @param {String} options.timeZone - IANA timezone for dates
+ * @returns {Buffer} PDF file
+ */
+function renderCertificate({ donor, donation, drive, verifyUrl, timeZone }) {
+    const name = printableName(donor);
+    if (!name) {
+        throw new Error('Donor name cannot be printed on the certificate');
+    }
+
+    const pdf = createPdf({ title: `Certificate of Appreciation - ${name}` });
+    const { width, height } = pdf;
+    const centre = width / 2;
+
+    // Border
+    pdf.rect(0, 0, width, height, { fill: '#FFFDF8' });
+    pdf.rect(20, 20, width - 40, height - 40, { stroke: RED, lineWidth: 6 });
+    pdf.rect(34, 34, width - 68, height - 68, { stroke: RED, lineWidth: 1.2 });
+
+    // Heading
+    drawDrop(pdf, centre, 92, 14);
+    pdf.text('BLOOD DONATION DRIVE', centre, 132, { size: 11, font: 'bold', color: GRAY, align: 'center' });
+    pdf.text('Certificate of Appreciation', centre, 180, { size: 36, font: 'bold', color: RED, align: 'center' });
+    pdf.text('This certificate is presented to', centre, 222, { size: 14, color: GRAY, align: 'center' });
+
+    // Name, shrunk to fit on one line
+    let nameSize = 32;
+    while (nameSize > 16 && pdf.widthOf(name, nameSize, 'bold') > NAME_MAX_WIDTH) {
+        nameSize -= 2;
+    }
+    pdf.text(name, centre, 272, { size: nameSize, font: 'bold', color: DARK, align: 'center' });
+    pdf.line(centre - 220, 288, centre + 220, 288, { color: RED, lineWidth: 0.8 });
+
+    // What it's for
+    const place = drive.venue ? `${drive.name}, ${drive.venue}` : drive.name;
+    pdf.text(`for voluntarily donating blood (blood group ${donor.bloodGroup})`, centre, 322, { size: 14, color: DARK, align: 'center' });
+    pdf.text(`at ${place} on ${formatLongDate(donation.donatedAt, timeZone)}`, centre, 344, { size: 14, color: DARK, align: 'center' });
+    if (donation.donationNumber > 1) {
+        pdf.text(`This was their ${ordinal(donation.donationNumber)} donation.`, centre, 370, { size: 12, font: 'italic', color: GRAY, align: 'center' });
+    }
+    pdf.text('"A single drop of blood can make a huge difference"', centre, 420, { size: 12, font: 'italic', color: RED, align: 'center' });
+
+    // Verification
+    pdf.text('Verification code', 60, 480, { size: 10, font: 'bold', color: GRAY });
+    pdf.text(donor.certificateCode, 60, 502, { size: 18, font: 'bold', color: DARK });
+    pdf.text('Check this certificate at', 60, 524, { size: 9, color: GRAY });
+    pdf.text(verifyUrl, 60, 537, { size: 9, color: DARK });
+    pdf.text(`Issued ${formatLongDate(new Date(), timeZone)}`, centre, 537, { size: 9, color: GRAY, align: 'center' });
+    drawQrCode(pdf, verifyUrl, width - 60 - 90, 452, 90);
+
+    return pdf.toBuffer();
+}
+
+module.exports = {
+    printableName,
+    renderCertificate
+};
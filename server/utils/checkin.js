@@ -0,0 +1,117 @@
+/**
+ * Check-in Workflow
+ * Moves a registration through the venue: registered -> screened -> donated,
+ * or deferred when on-site screening finds the donor ineligible
+ */
+
+const Donor = require('../models/Donor');
+const Donation = require('../models/Donation');
+const BloodUnit = require('../models/BloodUnit');
+const { parseScreening, evaluateEligibility } = require('./eligibility');
+const { RegistrationError } = require('./registration');
+const { recordUnit } = require('./units');
+const { english } = require('./i18n');
+
+// Why a visit in each status can't move on (locale bundle keys)
+const STATUS_MESSAGES = {
+    registered: 'api.notScreened',
+    screened: 'api.alreadyScreened',
+    donated: 'api.alreadyDonated',
+    deferred: 'api.donorDeferred'
+};
+
+/**
+ * Explains why a visit can't make the requested move, using its latest status
+ * @param {Object} donation - Donation that failed to update
+ * @returns {Promise<RegistrationError>} 409 error
+ */
+async function wrongStatus(donation) {
+    const current = await Donation.findById(donation._id, 'status');
+    const status = current ? current.status : donation.status;
+    return new RegistrationError(409, STATUS_MESSAGES[status], { data: { status } });
+}
+
+/**
+ * Records staff screening at the venue
+ * The answers replace the donor's self-reported ones (e.g. measured hemoglobin)
+ * @param {Object} donation - Donation with status 'registered'
+ * @param {Object} input - Screening questionnaire
+ * @param {Function} t - Translate function for the field errors (default: English)
+ * @param {Date} now - Screening time
+ * @returns {Promise<{ donation, eligible, deferrals }>}
+ * @throws {RegistrationError} 400 for invalid answers, 409 if not awaiting screening
+ */
+async function screenDonation(donation, input, t = english, now = new Date()) {
+    const { screening, errorKey, errors } = parseScreening(input, t);
+    if (errorKey) {
+        throw new RegistrationError(400, errorKey, { errors });
+    }
+
+    const { eligible, deferrals } = evaluateEligibility(screening, now);
+
+    // The status condition makes this safe against two desks screening at once
+    const updated = await Donation.findOneAndUpdate(
+        { _id: donation._id, status: 'registered' },
+        {
+            screening,
+            screenedAt: now,
+            status: eligible ? 'screened' : 'deferred',
+            ...(eligible ? {} : { deferralReasons: deferrals })
+        },
+        { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+        throw await wrongStatus(donation);
+    }
+
+    return { donation: updated, eligible, deferrals };
+}
+
+/**
+ * Records the bag collected from a screened visit, marks it donated and credits the donor
+ * @param {Object} donation - Donation with status 'screened'
+ * @param {Object} details - Bag details (output of validateUnitDetails)
+ * @param {Date} now - Donation time
+ * @returns {Promise<{ donation, unit }>}
+ * @throws {RegistrationError} 409 if the donor hasn't been screened or the bag is already recorded
+ */
+async function completeDonation(donation, details, now = new Date()) {
+    if (donation.status !== 'screened') {
+        throw await wrongStatus(donation);
+    }
+
+    const donor = await Donor.findById(donation.donor, 'bloodGroup');
+    // The bag goes in first: its unique indexes stop two desks recording the same donation
+    const unit = await recordUnit({ donation, bloodGroup: donor.bloodGroup, details, collectedAt: now });
+
+    const previousDonations = await Donation.countDocuments({
+        donor: donation.donor,
+        status: 'donated',
+        donatedAt: { $lt: now }
+    });
+
+    const updated = await Donation.findOneAndUpdate(
+        { _id: donation._id, status: 'screened' },
+        {
+            status: 'donated',
+            donationNumber: previousDonations + 1,
+            donatedAt: now
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        await BloodUnit.deleteOne({ _id: unit._id });
+        throw await wrongStatus(donation);
+    }
+
+    await Donor.recordDonation(updated.donor, updated.donatedAt);
+
+    return { donation: updated, unit };
+}
+
+module.exports = {
+    screenDonation,
+    completeDonation
+};
@@ -0,0 +1,33 @@
+/**
+ * Reference Codes
+ * Short random codes donors show to staff (booking, check-in and certificate codes)
+ */
+
+const crypto = require('crypto');
+
+// Codes avoid look-alike characters (0/O, 1/I) so they can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Generates a random code
+ * @returns {String} Code such as "K7M2QX9A"
+ */
+function generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Normalises a code as typed or scanned (ignores case and spaces)
+ * @param {String} code - Raw code
+ * @returns {String} Normalised code ('' when empty)
+ */
+function normalizeCode(code) {
+    return String(code || '').replace(/\s/g, '').toUpperCase();
+}
+
+module.exports = {
+    generateCode,
+    normalizeCode
+};
@@ -0,0 +1,172 @@
+/**
+ * Eligibility Rules Engine
+ * Screens a donor's questionnaire answers and explains any deferral
+ */
+
+const Validation = require('../../public/validation');
+const { english } = require('./i18n');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum gap between two whole-blood donations
+const MIN_DONATION_GAP_DAYS = 90;
+
+// Yes/no questions on the screening form, keyed by the field stored on Donor.screening
+const SCREENING_QUESTIONS = [
+    'recentIllness',
+    'onMedication',
+    'recentTattoo',
+    'recentSurgery',
+    'pregnantOrBreastfeeding'
+];
+
+/**
+ * Each rule inspects the screening answers and returns a deferral or null
+ * Rules run in order and every failing rule is reported, not just the first
+ * Messages are stored in English; responses translate them by code (`deferrals.<code>`)
+ */
+const RULES = [
+    {
+        code: 'LOW_WEIGHT',
+        field: 'weightKg',
+        check: (s) => s.weightKg < 50 && 'Minimum weight for donation is 50 kg'
+    },
+    {
+        code: 'LOW_HEMOGLOBIN',
+        field: 'hemoglobin',
+        // Hemoglobin is often measured on site, so only screen it when provided
+        check: (s) => s.hemoglobin != null && s.hemoglobin < 12.5 && 'Hemoglobin must be at least 12.5 g/dL'
+    },
+    {
+        code: 'RECENT_DONATION',
+        field: 'lastDonationDate',
+        check: (s, now) => {
+            if (!s.lastDonationDate) return null;
+            const eligibleFrom = new Date(s.lastDonationDate.getTime() + MIN_DONATION_GAP_DAYS * DAY_MS);
+            return eligibleFrom > now && {
+                message: `At least ${MIN_DONATION_GAP_DAYS} days are required between donations`,
+                until: eligibleFrom
+            };
+        }
+    },
+    {
+        code: 'RECENT_ILLNESS',
+        field: 'recentIllness',
+        check: (s) => s.recentIllness && 'Fever, cold or other illness in the last 2 weeks'
+    },
+    {
+        code: 'ON_MEDICATION',
+        field: 'onMedication',
+        check: (s) => s.onMedication && 'Currently taking antibiotics or other medication'
+    },
+    {
+        code: 'RECENT_TATTOO',
+        field: 'recentTattoo',
+        check: (s) => s.recentTattoo && 'Tattoo or piercing in the last 12 months'
+    },
+    {
+        code: 'RECENT_SURGERY',
+        field: 'recentSurgery',
+        check: (s) => s.recentSurgery && 'Surgery or major dental work in the last 6 months'
+    },
+    {
+        code: 'PREGNANT_OR_BREASTFEEDING',
+        field: 'pregnantOrBreastfeeding',
+        check: (s) => s.pregnantOrBreastfeeding && 'Currently pregnant or breastfeeding'
+    }
+];
+
+/**
+ * Converts a form answer ("yes"/"no", true/false) into a boolean
+ * @param {*} value - Raw answer
+ * @returns {Boolean|null} Parsed answer, or null if unanswered
+ */
+function parseAnswer(value) {
+    if (value === true || value === 'yes' || value === 'true') return true;
+    if (value === false || value === 'no' || value === 'false') return false;
+    return null;
+}
+
+/**
+ * Validates and normalises the screening section of a registration
+ * Measurements use the shared field rules; every yes/no question must be answered
+ * @param {Object} input - Raw `screening` object from the request body
+ * @param {Function} t - Translate function (default: English)
+ * @returns {{ screening: Object|null, error: String|null, errorKey: String|null, errors: Object|null, errorKeys: Object|null }}
+ * Errors and their message keys are keyed by field name; `error` is the first one
+ */
+function parseScreening(input, t = english) {
+    if (!input || typeof input !== 'object') {
+        const errorKey = 'validation.screening.required';
+        const error = t(errorKey);
+        return { screening: null, error, errorKey, errors: { screening: error }, errorKeys: { screening: errorKey } };
+    }
+
+    const { value: screening, errors, errorKeys } = Validation.validateFields(Validation.SCREENING_FIELDS, input, t);
+
+    SCREENING_QUESTIONS.forEach(question => {
+        const answer = parseAnswer(input[question]);
+        if (answer === null) {
+            errorKeys[question] = 'validation.screening.unanswered';
+            errors[question] = t(errorKeys[question]);
+        } else {
+            screening[question] = answer;
+        }
+    });
+
+    const fields = Object.keys(errors);
+    if (fields.length > 0) {
+        return { screening: null, error: errors[fields[0]], errorKey: errorKeys[fields[0]], errors, errorKeys };
+    }
+
+    return { screening, error: null, errorKey: null, errors: null, errorKeys: null };
+}
+
+/**
+ * Runs every eligibility rule against a donor's screening answers
+ * @param {Object} screening - Parsed screening answers
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {{ eligible: Boolean, deferrals: Array<{ code, field, message, until }> }}
+ */
+function evaluateEligibility(screening, now = new Date()) {
+    const deferrals = [];
+
+    RULES.forEach(rule => {
+        const result = rule.check(screening, now);
+        if (!result) return;
+
+        const { message, until } = typeof result === 'string' ? { message: result } : result;
+        deferrals.push({ code: rule.code, field: rule.field, message, until: until || null });
+    });
+
+    return {
+        eligible: deferrals.length === 0,
+        deferrals
+    };
+}
+
+/**
+ * Translates deferral reasons for a response
+ * @param {Array} deferrals - Deferrals from evaluateEligibility or a saved donation
+ * @param {Function} t - Translate function
+ * @returns {Array<{ code, field, message, until }>} Copies with `message` in t's language
+ */
+function localizeDeferrals(deferrals, t) {
+    if (!deferrals) return deferrals;
+
+    return deferrals.map(({ code, field, until }) => ({
+        code,
+        field,
+        message: t(`deferrals.${code}`, { days: MIN_DONATION_GAP_DAYS }),
+        until: until || null
+    }));
+}
+
+module.exports = {
+    MIN_DONATION_GAP_DAYS,
+    SCREENING_QUESTIONS,
+    RULES,
+    parseScreening,
+    evaluateEligibility,
+    localizeDeferrals
+};
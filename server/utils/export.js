@@ -0,0 +1,188 @@
+/**
+ * Donor Export
+ * Streams donation records as CSV or Excel without loading them all into memory,
+ * and writes the blood bank handover sheet
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// Yes/No helper for screening answers
+const yesNo = value => (value === true ? 'Yes' : value === false ? 'No' : '');
+
+// ISO timestamp helper (empty for missing dates)
+const isoDate = value => (value ? new Date(value).toISOString() : '');
+
+/**
+ * Export columns, in order
+ * `value` receives a Donation with `donor` and `drive` populated
+ */
+const EXPORT_COLUMNS = [
+    { header: 'Donor ID', key: 'donorId', width: 26, value: d => (d.donor ? d.donor._id.toString() : '') },
+    { header: 'Full Name', key: 'fullName', width: 28, value: d => d.donor && d.donor.fullName },
+    { header: 'Certificate Name', key: 'certificateName', width: 28, value: d => d.donor && d.donor.certificateName },
+    { header: 'Blood Group', key: 'bloodGroup', width: 12, value: d => d.donor && d.donor.bloodGroup },
+    { header: 'Age', key: 'age', width: 8, value: d => d.donor && d.donor.age },
+    { header: 'Year', key: 'year', width: 12, value: d => d.donor && d.donor.year },
+    { header: 'Roll Number', key: 'rollNumber', width: 16, value: d => d.donor && d.donor.rollNumber },
+    { header: 'Email', key: 'email', width: 28, value: d => d.donor && d.donor.email },
+    { header: 'Phone', key: 'phone', width: 16, value: d => d.donor && d.donor.phone },
+    { header: 'Display Consent', key: 'displayConsent', width: 16, value: d => d.donor && yesNo(d.donor.displayConsent) },
+    { header: 'Contact Consent', key: 'contactConsent', width: 16, value: d => d.donor && yesNo(d.donor.contactConsent) },
+    { header: 'Total Donations', key: 'donationCount', width: 16, value: d => d.donor && d.donor.donationCount },
+    { header: 'First Registered', key: 'createdAt', width: 24, value: d => d.donor && isoDate(d.donor.createdAt) },
+    { header: 'Drive', key: 'driveName', width: 28, value: d => d.drive && d.drive.name },
+    { header: 'Drive Slug', key: 'driveSlug', width: 20, value: d => d.drive && d.drive.slug },
+    { header: 'Donation ID', key: 'donationId', width: 26, value: d => d._id.toString() },
+    { header: 'Status', key: 'status', width: 12, value: d => d.status },
+    { header: 'Donation Number', key: 'donationNumber', width: 16, value: d => d.donationNumber },
+    { header: 'Donated At', key: 'donatedAt', width: 24, value: d => isoDate(d.donatedAt) },
+    { header: 'Weight (kg)', key: 'weightKg', width: 12, value: d => d.screening && d.screening.weightKg },
+    { header: 'Hemoglobin (g/dL)', key: 'hemoglobin', width: 18, value: d => d.screening && d.screening.hemoglobin },
+    { header: 'Reported Last Donation', key: 'lastDonationDate', width: 24, value: d => d.screening && isoDate(d.screening.lastDonationDate) },
+    { header: 'Recent Illness', key: 'recentIllness', width: 14, value: d => d.screening && yesNo(d.screening.recentIllness) },
+    { header: 'On Medication', key: 'onMedication', width: 14, value: d => d.screening && yesNo(d.screening.onMedication) },
+    { header: 'Recent Tattoo', key: 'recentTattoo', width: 14, value: d => d.screening && yesNo(d.screening.recentTattoo) },
+    { header: 'Recent Surgery', key: 'recentSurgery', width: 14, value: d => d.screening && yesNo(d.screening.recentSurgery) },
+    { header: 'Pregnant/Breastfeeding', key: 'pregnantOrBreastfeeding', width: 22, value: d => d.screening && yesNo(d.screening.pregnantOrBreastfeeding) },
+    { header: 'Deferral Reasons', key: 'deferralReasons', width: 40, value: d => (d.deferralReasons || []).map(r => r.message).join('; ') }
+];
+
+/**
+ * Export columns for a form configuration: the standard ones, then one per custom field
+ * Custom columns are titled with the field's label and keyed `customFields.<name>`
+ * @param {Object} config - Form configuration
+ * @returns {Array<Object>} Columns, in order
+ */
+function exportColumns(config) {
+    return [
+        ...EXPORT_COLUMNS,
+        ...config.customFields.map(field => ({
+            header: field.label,
+            key: `customFields.${field.name}`,
+            width: 20,
+            value: d => d.donor && d.donor.customFields && d.donor.customFields.get(field.name)
+        }))
+    ];
+}
+
+/**
+ * Converts a donation into a flat export row
+ * @param {Object} donation - Donation with donor and drive populated
+ * @param {Array<Object>} columns - Columns to fill (default: EXPORT_COLUMNS)
+ * @returns {Object} Row keyed by column key
+ */
+function toExportRow(donation, columns = EXPORT_COLUMNS) {
+    const row = {};
+    columns.forEach(column => {
+        const value = column.value(donation);
+        row[column.key] = value === undefined || value === null ? '' : value;
+    });
+    return row;
+}
+
+/**
+ * Escapes a value for CSV, neutralising spreadsheet formula injection
+ * @param {*} value - Cell value
+ * @returns {String} CSV-safe cell
+ */
+function toCsvCell(value) {
+    let text = String(value);
+
+    // Stop spreadsheet apps from evaluating user-entered text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+/**
+ * Streams donations to the response as CSV
+ * @param {AsyncIterable} cursor - Mongoose cursor of donations
+ * @param {Object} res - Express response
+ * @param {String} filename - Download filename (without extension)
+ * @param {Array<Object>} columns - Columns to write (default: EXPORT_COLUMNS)
+ */
+async function streamCsv(cursor, res, filename, columns = EXPORT_COLUMNS) {
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+    });
+
+    // BOM so Excel opens UTF-8 names correctly
+    res.write('\uFEFF' + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+
+    for await (const donation of cursor) {
+        const row = toExportRow(donation, columns);
+        const line = columns.map(column => toCsvCell(row[column.key])).join(',') + '\r\n';
+
+        // Respect backpressure so large exports don't buffer in memory
+        if (!res.write(line)) {
+            await once(res, 'drain');
+        }
+    }
+
+    res.end();
+}
+
+/**
+ * Streams donations to the response as an Excel workbook
+ * @param {AsyncIterable} cursor - Mongoose cursor of donations
+ * @param {Object} res - Express response
+ * @param {String} filename - Download filename (without extension)
+ * @param {Array<Object>} columns - Columns to write (default: EXPORT_COLUMNS)
+ */
+async function streamXlsx(cursor, res, filename, columns = EXPORT_COLUMNS) {
+    res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${filename}.xlsx"`
+    });
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Donors');
+    sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const donation of cursor) {
+        sheet.addRow(toExportRow(donation, columns)).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+}
+
+/**
+ * Sends a handover report as CSV, one bag per row, ordered by blood group
+ * @param {Array} groups - Output of BloodUnit.getHandover
+ * @param {Object} res - Express response
+ * @param {String} filename - Download filename (without extension)
+ */
+function sendHandoverCsv(groups, res, filename) {
+    const lines = [['Blood Group', 'Bag Number', 'Volume (ml)', 'Collected At', 'Phlebotomist']];
+    groups.forEach(group => {
+        group.bags.forEach(bag => {
+            lines.push([group.bloodGroup, bag.bagNumber, bag.volumeMl, isoDate(bag.collectedAt), bag.phlebotomist]);
+        });
+    });
+
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+    });
+    res.send('\uFEFF' + lines.map(line => line.map(toCsvCell).join(',')).join('\r\n') + '\r\n');
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    exportColumns,
+    toExportRow,
+    streamCsv,
+    streamXlsx,
+    sendHandoverCsv
+};
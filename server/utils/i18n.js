@@ -0,0 +1,39 @@
+/**
+ * Server Translations
+ * Loads the locale bundles the browser also uses (public/locales) and creates
+ * translate functions for API messages
+ */
+
+const I18n = require('../../public/i18n');
+
+// Required one by one so serverless bundlers include every file
+const BUNDLES = {
+    en: require('../../public/locales/en.json'),
+    hi: require('../../public/locales/hi.json'),
+    mr: require('../../public/locales/mr.json')
+};
+
+// One translate function per language, created on first use
+const translators = {};
+
+/**
+ * Returns the translate function for a language
+ * @param {String} locale - Supported code (anything else gets English)
+ * @returns {Function} t(key, params)
+ */
+function translatorFor(locale) {
+    const code = I18n.supportedLocale(locale) || I18n.DEFAULT_LOCALE;
+    if (!translators[code]) {
+        translators[code] = I18n.createTranslator(code, BUNDLES);
+    }
+    return translators[code];
+}
+
+// English messages, for logs and errors raised outside a request
+const english = translatorFor(I18n.DEFAULT_LOCALE);
+
+module.exports = {
+    BUNDLES,
+    translatorFor,
+    english
+};
@@ -0,0 +1,224 @@
+/**
+ * Donor Import
+ * Loads paper-sheet registrations from CSV using the same rules as POST /api/donate
+ */
+
+const { parse } = require('csv-parse/sync');
+const { EXPORT_COLUMNS } = require('./export');
+const { SCREENING_QUESTIONS } = require('./eligibility');
+const { RegistrationError, validateRegistration, registerDonation } = require('./registration');
+const { validateUnitDetails, recordUnit } = require('./units');
+const BloodUnit = require('../models/BloodUnit');
+const FormConfig = require('../models/FormConfig');
+const { english } = require('./i18n');
+
+// Largest file we accept in one upload
+const MAX_IMPORT_ROWS = 5000;
+
+// Accept both field names ("fullName") and export headers ("Full Name") as column titles
+const HEADER_ALIASES = new Map(
+    EXPORT_COLUMNS.map(column => [column.header.toLowerCase(), column.key])
+);
+
+/**
+ * Maps a CSV header to the field name it represents
+ * @param {String} header - Column title as written in the file
+ * @returns {String} Field name
+ */
+function normalizeHeader(header) {
+    const trimmed = String(header).trim();
+    return HEADER_ALIASES.get(trimmed.toLowerCase()) || trimmed;
+}
+
+/**
+ * Parses an uploaded CSV file into row objects keyed by field name
+ * @param {Buffer|String} content - File contents
+ * @returns {Array<Object>} Rows
+ * @throws {Error} When the file is not valid CSV or has too many rows
+ */
+function parseImportCsv(content) {
+    const rows = parse(content, {
+        bom: true,
+        columns: headers => headers.map(normalizeHeader),
+        skip_empty_lines: true,
+        trim: true
+    });
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Import files may contain at most ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return rows;
+}
+
+/**
+ * Finds a custom field's column in a row
+ * Accepts the field name, its label (the export header) or `customFields.<name>`
+ * @param {Object} row - CSV row keyed by field name
+ * @param {Object} field - Custom field from the form configuration
+ * @returns {String|undefined} Cell value
+ */
+function customFieldCell(row, field) {
+    const titles = [field.name, field.label, `customFields.${field.name}`].map(title => title.toLowerCase());
+    const column = Object.keys(row).find(key => titles.includes(key.toLowerCase()));
+    return column === undefined ? undefined : row[column];
+}
+
+/**
+ * Converts a flat CSV row into the shape POST /api/donate accepts
+ * @param {Object} row - CSV row keyed by field name
+ * @param {Object} config - Form configuration
+ * @returns {Object} Registration input
+ */
+function rowToRegistration(row, config) {
+    const screening = {
+        weightKg: row.weightKg,
+        hemoglobin: row.hemoglobin,
+        lastDonationDate: row.lastDonationDate
+    };
+    SCREENING_QUESTIONS.forEach(question => {
+        screening[question] = String(row[question] || '').toLowerCase();
+    });
+
+    return {
+        fullName: row.fullName,
+        certificateName: row.certificateName,
+        bloodGroup: String(row.bloodGroup || '').toUpperCase(),
+        age: row.age,
+        year: row.year,
+        rollNumber: row.rollNumber,
+        email: row.email,
+        phone: row.phone,
+        displayConsent: row.displayConsent,
+        contactConsent: row.contactConsent,
+        customFields: Object.fromEntries(config.customFields.map(field => [field.name, customFieldCell(row, field)])),
+        screening
+    };
+}
+
+/**
+ * Reads the optional bag columns of a row
+ * Rows without any bag details are recorded as donations without a unit
+ * @param {Object} row - CSV row keyed by field name
+ * @param {Function} t - Translate function
+ * @returns {{ error: String|null, value: Object|null }}
+ */
+function rowToUnit(row, t) {
+    if (!row.bagNumber && !row.volumeMl && !row.phlebotomist) {
+        return { error: null, value: null };
+    }
+    return validateUnitDetails(row, t);
+}
+
+/**
+ * Validates and (unless dry-running) records every row of an import
+ * Rows are independent: a bad row is reported and the rest still go in
+ * Only rows with bag details add units to the drive total
+ * @param {Object} options
+ * @param {Array<Object>} options.rows - Parsed CSV rows
+ * @param {Object} options.drive - Drive the rows belong to
+ * @param {Boolean} options.dryRun - Validate only, write nothing
+ * @param {Function} options.t - Translate function for row errors (default: English)
+ * @returns {Promise<Object>} Import summary with row-level errors
+ */
+async function importDonations({ rows, drive, dryRun = false, t = english }) {
+    const summary = {
+        dryRun,
+        total: rows.length,
+        donated: 0,
+        units: 0,
+        deferred: 0,
+        failed: 0,
+        errors: []
+    };
+
+    // Rows are checked against the form as it is configured now
+    const config = await FormConfig.getCurrent();
+
+    // Identity keys and bag numbers already used earlier in this file, so duplicates are caught on dry runs too
+    const seenKeys = new Map();
+    const seenBags = new Map();
+
+    for (let i = 0; i < rows.length; i++) {
+        // Line number in the file (line 1 is the header)
+        const line = i + 2;
+        const fail = message => {
+            summary.failed++;
+            summary.errors.push({ row: line, message });
+        };
+
+        const { error, value } = validateRegistration(rowToRegistration(rows[i], config), config, t);
+        if (error) {
+            fail(error);
+            continue;
+        }
+
+        // Keep the timestamp written on the paper sheet
+        let donatedAt = new Date();
+        if (rows[i].donatedAt) {
+            donatedAt = new Date(rows[i].donatedAt);
+            if (isNaN(donatedAt.getTime()) || donatedAt > new Date()) {
+                fail(t('api.importInvalidDate'));
+                continue;
+            }
+        }
+
+        const { error: unitError, value: unit } = rowToUnit(rows[i], t);
+        if (unitError) {
+            fail(unitError);
+            continue;
+        }
+
+        const keys = Object.entries(value.identity).map(([key, keyValue]) => `${key}:${keyValue}`);
+        const duplicateOf = keys.map(key => seenKeys.get(key)).find(Boolean);
+        if (duplicateOf) {
+            fail(t('api.importDuplicateRow', { row: duplicateOf }));
+            continue;
+        }
+        if (unit && seenBags.has(unit.bagNumber)) {
+            fail(t('api.importBagInFile', { bagNumber: unit.bagNumber, row: seenBags.get(unit.bagNumber) }));
+            continue;
+        }
+        keys.forEach(key => seenKeys.set(key, line));
+        if (unit) seenBags.set(unit.bagNumber, line);
+
+        try {
+            if (unit && await BloodUnit.exists({ bagNumber: unit.bagNumber })) {
+                fail(t('api.bagRecorded', { bagNumber: unit.bagNumber }));
+                continue;
+            }
+
+            const { donation, eligible } = await registerDonation({ value, drive, donatedAt, dryRun });
+            if (!eligible) {
+                summary.deferred++;
+                continue;
+            }
+
+            if (unit && !dryRun) {
+                await recordUnit({ donation, bloodGroup: value.bloodGroup, details: unit, collectedAt: donatedAt });
+            }
+            summary.donated++;
+            if (unit) summary.units++;
+        } catch (err) {
+            if (err instanceof RegistrationError) {
+                fail(t(err.messageKey, err.messageParams));
+            } else if (err.name === 'ValidationError') {
+                fail(Object.values(err.errors).map(e => e.message).join(', '));
+            } else if (err.code === 11000) {
+                fail(t('api.registrationExists'));
+            } else {
+                // Keep going so rows already saved are still counted
+                console.error(`Error importing row ${line}:`, err);
+                fail(t('api.importRowNotSaved'));
+            }
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    parseImportCsv,
+    importDonations
+};
@@ -0,0 +1,68 @@
+/**
+ * Donor Matching
+ * Finds past donors who could answer a blood request: a compatible blood group
+ * and long enough since their last donation to give again
+ */
+
+const Donor = require('../models/Donor');
+const { MIN_DONATION_GAP_DAYS } = require('./eligibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Red cell compatibility: the donor groups each recipient group can receive
+ * O- gives to everyone; AB+ receives from everyone
+ */
+const COMPATIBLE_DONORS = {
+    'O-': ['O-'],
+    'O+': ['O+', 'O-'],
+    'A-': ['A-', 'O-'],
+    'A+': ['A+', 'A-', 'O+', 'O-'],
+    'B-': ['B-', 'O-'],
+    'B+': ['B+', 'B-', 'O+', 'O-'],
+    'AB-': ['AB-', 'A-', 'B-', 'O-'],
+    'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-']
+};
+
+// Most donors a request lists at once
+const MAX_MATCHES = 200;
+
+/**
+ * Finds past donors who can give to a request's blood group today
+ * Exact group matches come first (they spare the scarce universal O- stock),
+ * then those whose last donation was longest ago
+ * @param {Object} request - BloodRequest (bloodGroup)
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {Number} options.limit - Most donors to return (default and cap: 200)
+ * @returns {Promise<Array>} Donors with `exactMatch`, `daysSinceLastDonation` and `contactable`
+ */
+async function findMatches(request, { now = new Date(), limit = MAX_MATCHES } = {}) {
+    const eligibleBefore = new Date(now.getTime() - MIN_DONATION_GAP_DAYS * DAY_MS);
+
+    // Ranked before the limit, so exact matches are never cut in favour of other compatible groups
+    const donors = await Donor.aggregate([
+        {
+            $match: {
+                bloodGroup: { $in: COMPATIBLE_DONORS[request.bloodGroup] },
+                donationCount: { $gte: 1 },
+                lastDonatedAt: { $lte: eligibleBefore }
+            }
+        },
+        { $addFields: { exactMatch: { $eq: ['$bloodGroup', request.bloodGroup] } } },
+        { $sort: { exactMatch: -1, lastDonatedAt: 1, _id: 1 } },
+        { $limit: Math.min(limit, MAX_MATCHES) }
+    ]);
+
+    return donors.map(donor => ({
+        ...donor,
+        daysSinceLastDonation: Math.floor((now - donor.lastDonatedAt) / DAY_MS),
+        // Only donors who opted in and left an email or phone are messaged
+        contactable: Boolean(donor.contactConsent && (donor.email || donor.phone))
+    }));
+}
+
+module.exports = {
+    COMPATIBLE_DONORS,
+    findMatches
+};
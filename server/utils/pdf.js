@@ -0,0 +1,251 @@
+/**
+ * PDF Writer
+ * Builds small single-page PDFs (text, rectangles, lines and paths) without
+ * any external service or native dependency
+ * Text uses the standard Helvetica fonts every PDF viewer has built in, so
+ * only Latin characters (WinAnsi) can be drawn; check text with canDraw first
+ */
+
+// Built-in fonts, by the name the drawing calls use
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique'
+};
+
+// Glyph widths (1/1000 em) for characters 32-126, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const WIDTHS = {
+    regular: HELVETICA_WIDTHS,
+    bold: HELVETICA_BOLD_WIDTHS,
+    italic: HELVETICA_WIDTHS
+};
+
+// Typographic characters outside Latin-1 that WinAnsi still has
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+/**
+ * Converts text to WinAnsi character codes
+ * Latin-1 letters are kept ("é"), other accented letters lose the accent ("ő" becomes "o"), anything else becomes "?"
+ * @param {String} text - Text to draw
+ * @returns {Number[]} Character codes
+ */
+function toWinAnsi(text) {
+    const codes = [];
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) {
+            codes.push(code);
+        } else if (WIN_ANSI_EXTRAS[char]) {
+            codes.push(WIN_ANSI_EXTRAS[char]);
+        } else {
+            const base = char.normalize('NFD').replace(/\p{M}/gu, '');
+            const baseCode = base.length === 1 ? base.codePointAt(0) : 0;
+            codes.push(baseCode >= 32 && baseCode <= 0xFF ? baseCode : 63);
+        }
+    }
+    return codes;
+}
+
+/**
+ * Checks that text can be drawn without any character turning into "?"
+ * @param {String} text - Text to draw
+ * @returns {Boolean} Whether every character has a WinAnsi code
+ */
+function canDraw(text) {
+    const chars = [...String(text)];
+    return toWinAnsi(text).every((code, i) => code !== 63 || chars[i] === '?');
+}
+
+/**
+ * Writes character codes as a PDF literal string, escaping what PDF requires
+ * @param {Number[]} codes - WinAnsi character codes
+ * @returns {String} e.g. "(Ayush \\(A+\\))"
+ */
+function pdfString(codes) {
+    const body = codes.map(code => {
+        if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+        if (code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+        return String.fromCharCode(code);
+    }).join('');
+    return `(${body})`;
+}
+
+/**
+ * Formats a number for a content stream
+ * @param {Number} value - Number
+ * @returns {String} At most two decimals, no trailing zeros
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Converts "#DC143C" to PDF colour components
+ * @param {String} hex - Colour
+ * @returns {String} e.g. "0.86 0.08 0.24"
+ */
+function rgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [value >> 16, (value >> 8) & 0xFF, value & 0xFF].map(channel => num(channel / 255)).join(' ');
+}
+
+/**
+ * Formats a date as a PDF date string
+ * @param {Date} date - Date
+ * @returns {String} e.g. "D:20260312093000Z"
+ */
+function pdfDate(date) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Creates a one-page PDF
+ * Coordinates are in points (1/72 inch) from the top-left corner of the page
+ * @param {Object} options
+ * @param {Number} options.width - Page width (default: A4 landscape)
+ * @param {Number} options.height - Page height
+ * @param {String} options.title - Document title
+ * @returns {Object} Drawing methods and `toBuffer()`
+ */
+function createPdf({ width = 842, height = 595, title = '' } = {}) {
+    const ops = [];
+    const flipY = y => num(height - y);
+
+    const pdf = {
+        width,
+        height,
+
+        /**
+         * Measures text
+         * @param {String} text - Text
+         * @param {Number} size - Font size
+         * @param {String} font - 'regular', 'bold' or 'italic'
+         * @returns {Number} Width in points
+         */
+        widthOf(text, size, font = 'regular') {
+            const widths = WIDTHS[font];
+            const units = toWinAnsi(text).reduce((sum, code) => (
+                sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556)
+            ), 0);
+            return units * size / 1000;
+        },
+
+        /**
+         * Draws a line of text with its baseline at y
+         * @param {String} text - Text
+         * @param {Number} x - Left edge, centre or right edge depending on align
+         * @param {Number} y - Baseline
+         * @param {Object} options - { size, font, color, align: 'left'|'center'|'right' }
+         */
+        text(text, x, y, { size = 12, font = 'regular', color = '#000000', align = 'left' } = {}) {
+            const textWidth = pdf.widthOf(text, size, font);
+            const left = align === 'center' ? x - textWidth / 2 : align === 'right' ? x - textWidth : x;
+            const fontIndex = Object.keys(FONTS).indexOf(font) + 1;
+            ops.push(`BT ${rgb(color)} rg /F${fontIndex} ${num(size)} Tf ${num(left)} ${flipY(y)} Td ${pdfString(toWinAnsi(text))} Tj ET`);
+        },
+
+        /**
+         * Draws a rectangle
+         * @param {Number} x - Left
+         * @param {Number} y - Top
+         * @param {Number} w - Width
+         * @param {Number} h - Height
+         * @param {Object} options - { fill, stroke, lineWidth }
+         */
+        rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+            const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+            ops.push([
+                fill ? `${rgb(fill)} rg` : '',
+                stroke ? `${rgb(stroke)} RG ${num(lineWidth)} w` : '',
+                `${num(x)} ${flipY(y + h)} ${num(w)} ${num(h)} re ${paint}`
+            ].filter(Boolean).join(' '));
+        },
+
+        /**
+         * Draws a straight line
+         * @param {Number} x1 - Start x
+         * @param {Number} y1 - Start y
+         * @param {Number} x2 - End x
+         * @param {Number} y2 - End y
+         * @param {Object} options - { color, lineWidth }
+         */
+        line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+            ops.push(`${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${flipY(y1)} m ${num(x2)} ${flipY(y2)} l S`);
+        },
+
+        /**
+         * Fills a closed path of straight and curved segments
+         * @param {Array} segments - ['M', x, y], ['L', x, y] or ['C', x1, y1, x2, y2, x, y]
+         * @param {String} fill - Fill colour
+         */
+        path(segments, fill) {
+            const parts = segments.map(([command, ...points]) => {
+                const coords = points.map((value, i) => (i % 2 === 0 ? num(value) : flipY(value))).join(' ');
+                return `${coords} ${{ M: 'm', L: 'l', C: 'c' }[command]}`;
+            });
+            ops.push(`${rgb(fill)} rg ${parts.join(' ')} h f`);
+        },
+
+        /**
+         * Assembles the PDF file
+         * @returns {Buffer}
+         */
+        toBuffer() {
+            const content = ops.join('\n');
+            const fontRefs = Object.keys(FONTS).map((key, i) => `/F${i + 1} ${5 + i} 0 R`).join(' ');
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << ${fontRefs} >> >> /Contents 4 0 R >>`,
+                `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+                ...Object.values(FONTS).map(name => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`),
+                `<< /Title ${pdfString(toWinAnsi(title))} /Producer (Blood Donation Drive) /CreationDate (${pdfDate(new Date())}) >>`
+            ];
+
+            // Everything above is ASCII, so string lengths are byte offsets
+            let output = '%PDF-1.4\n';
+            const offsets = objects.map((object, i) => {
+                const offset = output.length;
+                output += `${i + 1} 0 obj\n${object}\nendobj\n`;
+                return offset;
+            });
+
+            const xrefOffset = output.length;
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+            output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Buffer.from(output, 'latin1');
+        }
+    };
+
+    return pdf;
+}
+
+module.exports = {
+    createPdf,
+    canDraw,
+    toWinAnsi
+};
@@ -0,0 +1,54 @@
+/**
+ * Donor Privacy
+ * Decides how a donor's name appears on public screens (dashboard, live stream)
+ */
+
+// Shown in place of donors who haven't agreed to be displayed
+const ANONYMOUS_NAME = 'Anonymous Hero';
+
+// How a drive shows the names of donors who agreed to be displayed
+const PUBLIC_NAME_MODES = ['full', 'masked', 'anonymous'];
+
+/**
+ * Shortens a name to the first name and last initial ("Ayush Laddha" -> "Ayush L.")
+ * @param {String} fullName - Donor's full name
+ * @returns {String} Masked name
+ */
+function maskName(fullName) {
+    const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return ANONYMOUS_NAME;
+    if (parts.length === 1) return parts[0];
+
+    return `${parts[0]} ${parts[parts.length - 1].charAt(0).toUpperCase()}.`;
+}
+
+/**
+ * Gets the name to show publicly for a donor
+ * @param {Object} donor - Donor (fullName, displayConsent)
+ * @param {String} mode - Drive's public name mode (default: 'masked')
+ * @returns {String} Display name
+ */
+function publicName(donor, mode = 'masked') {
+    if (!donor || !donor.displayConsent || mode === 'anonymous') {
+        return ANONYMOUS_NAME;
+    }
+    return mode === 'full' ? donor.fullName : maskName(donor.fullName);
+}
+
+/**
+ * Reads the display consent checkbox (form "on", JSON true, CSV "Yes")
+ * Anything else, including a missing answer, means no consent
+ * @param {*} value - Raw answer
+ * @returns {Boolean} Whether the donor agreed to be displayed
+ */
+function parseConsent(value) {
+    return value === true || ['true', 'yes', 'on', '1'].includes(String(value).trim().toLowerCase());
+}
+
+module.exports = {
+    ANONYMOUS_NAME,
+    PUBLIC_NAME_MODES,
+    maskName,
+    publicName,
+    parseConsent
+};
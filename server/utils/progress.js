@@ -0,0 +1,55 @@
+/**
+ * Drive Progress
+ * Works out how close a drive is to its target and when it should get there
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Shortest window the rate is measured over, so the first few donors
+// don't extrapolate to hundreds of units per hour
+const MIN_RATE_WINDOW_HOURS = 1;
+
+/**
+ * Computes progress towards a drive's target
+ * @param {Object} options
+ * @param {Number} options.totalUnits - Units collected so far
+ * @param {Object} options.drive - Drive document (targetUnits, isActive)
+ * @param {Date|null} options.firstDonatedAt - Time of the drive's first counted donation
+ * @param {Date|null} options.lastDonatedAt - Time of the drive's latest counted donation
+ * @param {Date} options.now - Current time
+ * @returns {{ targetUnits: Number, remainingUnits: Number|null, percentComplete: Number|null, unitsPerHour: Number|null, projectedFinishAt: Date|null }}
+ */
+function computeProgress({ totalUnits, drive, firstDonatedAt, lastDonatedAt, now = new Date() }) {
+    const targetUnits = drive.targetUnits || 0;
+    const progress = {
+        targetUnits,
+        remainingUnits: null,
+        percentComplete: null,
+        unitsPerHour: null,
+        projectedFinishAt: null
+    };
+
+    if (firstDonatedAt && totalUnits > 0) {
+        // Past drives are measured up to their last donation, not up to today
+        const end = drive.isActive ? now : lastDonatedAt;
+        const hours = Math.max((end - firstDonatedAt) / HOUR_MS, MIN_RATE_WINDOW_HOURS);
+        progress.unitsPerHour = Math.round((totalUnits / hours) * 10) / 10;
+    }
+
+    if (targetUnits > 0) {
+        progress.remainingUnits = Math.max(targetUnits - totalUnits, 0);
+        progress.percentComplete = Math.round((totalUnits / targetUnits) * 1000) / 10;
+
+        // Only live drives that still have units to go get a projection
+        if (drive.isActive && progress.remainingUnits > 0 && progress.unitsPerHour) {
+            const hoursLeft = progress.remainingUnits / progress.unitsPerHour;
+            progress.projectedFinishAt = new Date(now.getTime() + hoursLeft * HOUR_MS);
+        }
+    }
+
+    return progress;
+}
+
+module.exports = {
+    computeProgress
+};
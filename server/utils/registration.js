@@ -0,0 +1,251 @@
+/**
+ * Donor Registration
+ * Validation and record-keeping shared by POST /api/donate and the CSV import
+ */
+
+const Donor = require('../models/Donor');
+const Donation = require('../models/Donation');
+const { MIN_DONATION_GAP_DAYS, parseScreening, evaluateEligibility } = require('./eligibility');
+const { generateCode } = require('./codes');
+const { parseConsent } = require('./privacy');
+const Validation = require('../../public/validation');
+const { english } = require('./i18n');
+
+// Submission ids generated by the browser (UUIDs or similar)
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised when a registration is rejected (duplicate, too soon, ...)
+ * Carries the HTTP status the API should respond with, and the message as a
+ * locale bundle key so the response can be translated (`message` is English)
+ */
+class RegistrationError extends Error {
+    /**
+     * @param {Number} status - HTTP status
+     * @param {String} messageKey - e.g. 'api.alreadyRegistered'
+     * @param {Object} options - { params: message placeholders, data: response data, errors: field-level messages }
+     */
+    constructor(status, messageKey, { params, data, errors } = {}) {
+        super(english(messageKey, params));
+        this.name = 'RegistrationError';
+        this.status = status;
+        this.messageKey = messageKey;
+        this.messageParams = params;
+        this.data = data;
+        // Field-level messages for invalid input, keyed by field name
+        this.errors = errors;
+    }
+}
+
+/**
+ * Builds a failed validation result from field-level errors
+ * @param {Object} errors - Messages keyed by field name
+ * @param {Object} errorKeys - Their message keys, keyed the same way
+ * @returns {{ error: String, errorKey: String, errors: Object, errorKeys: Object, value: null }}
+ * `error` is the first message and `errorKey` its key
+ */
+function invalid(errors, errorKeys) {
+    const first = Object.keys(errors)[0];
+    return { error: errors[first], errorKey: errorKeys[first], errors, errorKeys, value: null };
+}
+
+/**
+ * Validates a donor's personal details and identity keys with the shared rules
+ * Shared by registrations and slot bookings (which skip screening until check-in)
+ * @param {Object} input - Raw details (request body or CSV row)
+ * @param {Object} config - Form configuration (FormConfig.getCurrent)
+ * @param {Function} t - Translate function for the messages (default: English)
+ * @returns {{ error: String|null, errorKey: String|null, errors: Object|null, value: Object|null }}
+ */
+function validateDonorDetails(input, config, t) {
+    const { value, errors, errorKeys } = Validation.validateDonor(input, config, t);
+    if (Object.keys(errors).length > 0) {
+        return invalid(errors, errorKeys);
+    }
+
+    return {
+        error: null,
+        errorKey: null,
+        errors: null,
+        value: {
+            fullName: value.fullName,
+            // Only asked for when the full name isn't in Latin letters
+            certificateName: value.certificateName || undefined,
+            bloodGroup: value.bloodGroup,
+            age: value.age,
+            // Left unset when the form doesn't ask for it
+            year: value.year || undefined,
+            customFields: value.customFields,
+            // A stable identity key lets us recognise returning donors
+            identity: Donor.normalizeIdentity(value),
+            displayConsent: parseConsent(input.displayConsent),
+            contactConsent: parseConsent(input.contactConsent)
+        }
+    };
+}
+
+/**
+ * Validates the fields of a registration: donor details plus screening
+ * Errors from both sections are reported together
+ * @param {Object} input - Raw registration (request body or CSV row)
+ * @param {Object} config - Form configuration (FormConfig.getCurrent)
+ * @param {Function} t - Translate function for the messages (default: English)
+ * @returns {{ error: String|null, errorKey: String|null, errors: Object|null, value: Object|null }}
+ */
+function validateRegistration(input, config, t = english) {
+    const details = validateDonorDetails(input, config, t);
+    const { screening, errors: screeningErrors, errorKeys: screeningErrorKeys } = parseScreening(input.screening, t);
+
+    const errors = { ...details.errors, ...screeningErrors };
+    const errorKeys = { ...details.errorKeys, ...screeningErrorKeys };
+    // Optional id the browser gave the submission (offline kiosk queue)
+    if (input.clientId !== undefined && !CLIENT_ID_PATTERN.test(String(input.clientId))) {
+        errorKeys.clientId = 'validation.clientId';
+        errors.clientId = t(errorKeys.clientId);
+    }
+    if (Object.keys(errors).length > 0) {
+        return invalid(errors, errorKeys);
+    }
+
+    return {
+        error: null,
+        errorKey: null,
+        errors: null,
+        value: { ...details.value, screening, clientId: input.clientId }
+    };
+}
+
+/**
+ * Records a donation visit, creating or updating the donor
+ * Rejects repeat registrations for a drive and donations too close together
+ * Eligible visits start at `status`: 'donated' for records of past donations
+ * (CSV import), or a pending 'registered'/'screened' state with a check-in
+ * code that staff move on to donated at the venue
+ * @param {Object} options
+ * @param {Object} options.value - Output of validateRegistration
+ * @param {Object} options.drive - Drive document
+ * @param {Date} options.donatedAt - When the visit happened (default: now)
+ * @param {String} options.status - Status for an eligible visit (default: 'donated')
+ * @param {Boolean} options.dryRun - Validate everything but write nothing
+ * @returns {Promise<{ donor, donation, eligible, deferrals }>}
+ * @throws {RegistrationError}
+ */
+async function registerDonation({ value, drive, donatedAt = new Date(), status = 'donated', dryRun = false }) {
+    const { fullName, certificateName, bloodGroup, age, year, customFields, identity, displayConsent, contactConsent, screening, clientId } = value;
+
+    // Recognise returning donors and guard against repeat submissions
+    let donor = await Donor.findByIdentity(identity);
+    let previousDonations = 0;
+
+    if (donor) {
+        const existing = await Donation.exists({ donor: donor._id, drive: drive._id });
+        if (existing) {
+            throw new RegistrationError(409, 'api.alreadyRegistered');
+        }
+
+        const gap = MIN_DONATION_GAP_DAYS * DAY_MS;
+        const tooClose = await Donation.findOne({
+            donor: donor._id,
+            status: 'donated',
+            donatedAt: { $gt: new Date(donatedAt.getTime() - gap), $lt: new Date(donatedAt.getTime() + gap) }
+        }).sort({ donatedAt: -1 });
+
+        if (tooClose) {
+            const eligibleFrom = new Date(tooClose.donatedAt.getTime() + gap);
+            throw new RegistrationError(409, 'api.donationTooRecent', {
+                params: { date: eligibleFrom },
+                data: { eligibleFrom }
+            });
+        }
+
+        previousDonations = await Donation.countDocuments({
+            donor: donor._id,
+            status: 'donated',
+            donatedAt: { $lt: donatedAt }
+        });
+
+        // Keep the donor's details and latest consent answers current
+        // A year or custom answer the form didn't ask for this time keeps its earlier value
+        donor.set({
+            fullName, bloodGroup, age, displayConsent, contactConsent, ...identity,
+            customFields: { ...Object.fromEntries(donor.customFields || []), ...customFields }
+        });
+        if (year) {
+            donor.year = year;
+        }
+        if (certificateName) {
+            donor.certificateName = certificateName;
+        }
+    } else {
+        // Create new donor record
+        donor = new Donor({ fullName, certificateName, bloodGroup, age, year, customFields, displayConsent, contactConsent, ...identity });
+    }
+
+    const { eligible, deferrals } = evaluateEligibility(screening, donatedAt);
+    const counted = eligible && status === 'donated';
+    const pending = eligible && status !== 'donated';
+
+    const donation = new Donation({
+        donor: donor._id,
+        drive: drive._id,
+        screening,
+        status: eligible ? status : 'deferred',
+        deferralReasons: eligible ? undefined : deferrals,
+        donationNumber: counted ? previousDonations + 1 : undefined,
+        checkInCode: pending ? generateCode() : undefined,
+        screenedAt: pending && status === 'screened' ? donatedAt : undefined,
+        clientId,
+        donatedAt
+    });
+
+    if (dryRun) {
+        await donor.validate();
+        await donation.validate();
+        return { donor, donation, eligible, deferrals };
+    }
+
+    await donor.save();
+
+    // The unique donor+drive index rejects concurrent duplicates
+    await donation.save();
+
+    if (counted) {
+        await Donor.recordDonation(donor._id, donation.donatedAt);
+    }
+
+    return { donor, donation, eligible, deferrals };
+}
+
+/**
+ * Finds a registration at the drive for the same name and blood group made in the last few minutes
+ * Catches double submissions that gave a different roll number, email or phone
+ * @param {Object} options
+ * @param {Object} options.value - Output of validateRegistration
+ * @param {Object} options.drive - Drive document
+ * @param {Number} options.withinMs - How far back to look, in milliseconds
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Document|null>} Matching donation
+ */
+async function findRecentDuplicate({ value, drive, withinMs, now = new Date() }) {
+    // Case-insensitive match on the name, ignoring repeated spaces
+    const fullName = value.fullName.replace(/\s+/g, ' ');
+    const donors = await Donor.find({ fullName, bloodGroup: value.bloodGroup }, '_id')
+        .collation({ locale: 'en', strength: 2 });
+    if (donors.length === 0) return null;
+
+    return Donation.findOne({
+        drive: drive._id,
+        donor: { $in: donors.map(donor => donor._id) },
+        donatedAt: { $gte: new Date(now.getTime() - withinMs) }
+    });
+}
+
+module.exports = {
+    RegistrationError,
+    validateDonorDetails,
+    validateRegistration,
+    registerDonation,
+    findRecentDuplicate
+};
@@ -0,0 +1,83 @@
+/**
+ * Blood Units
+ * Validates bag details and records the bag collected from a donation
+ */
+
+const BloodUnit = require('../models/BloodUnit');
+const { RegistrationError } = require('./registration');
+const { english } = require('./i18n');
+
+// Bag labels: letters, digits and dashes
+const BAG_NUMBER_PATTERN = /^[A-Z0-9-]{3,30}$/;
+
+/**
+ * Validates the details written down when a bag is filled
+ * @param {Object} input - Raw details (request body or CSV row)
+ * @param {Function} t - Translate function (default: English)
+ * @returns {{ error: String|null, errorKey: String|null, value: Object|null }}
+ */
+function validateUnitDetails(input = {}, t = english) {
+    const fail = (errorKey, params) => ({ error: t(errorKey, params), errorKey, value: null });
+
+    const bagNumber = String(input.bagNumber || '').trim().toUpperCase();
+    if (!bagNumber) {
+        return fail('validation.unit.bagNumberRequired');
+    }
+    if (!BAG_NUMBER_PATTERN.test(bagNumber)) {
+        return fail('validation.unit.bagNumberPattern');
+    }
+
+    const volumeMl = Number(input.volumeMl);
+    if (!BloodUnit.VOLUMES_ML.includes(volumeMl)) {
+        return fail('validation.unit.volume', { options: BloodUnit.VOLUMES_ML.join(', ') });
+    }
+
+    const phlebotomist = String(input.phlebotomist || '').trim();
+    if (!phlebotomist) {
+        return fail('validation.unit.phlebotomistRequired');
+    }
+    if (phlebotomist.length > 100) {
+        return fail('validation.unit.phlebotomistLength');
+    }
+
+    return {
+        error: null,
+        errorKey: null,
+        value: { bagNumber, volumeMl, phlebotomist }
+    };
+}
+
+/**
+ * Records the bag collected from a donation
+ * @param {Object} options
+ * @param {Object} options.donation - Donation the bag came from
+ * @param {String} options.bloodGroup - Donor's blood group
+ * @param {Object} options.details - Output of validateUnitDetails
+ * @param {Date} options.collectedAt - When the bag was filled (default: now)
+ * @returns {Promise<Object>} BloodUnit document
+ * @throws {RegistrationError} 409 if the bag number or donation already has a bag
+ */
+async function recordUnit({ donation, bloodGroup, details, collectedAt = new Date() }) {
+    try {
+        return await BloodUnit.create({
+            ...details,
+            bloodGroup,
+            collectedAt,
+            donation: donation._id,
+            donor: donation.donor,
+            drive: donation.drive
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw error.keyPattern && error.keyPattern.bagNumber
+                ? new RegistrationError(409, 'api.bagRecorded', { params: { bagNumber: details.bagNumber } })
+                : new RegistrationError(409, 'api.donationHasBag');
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    validateUnitDetails,
+    recordUnit
+};